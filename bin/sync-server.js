@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+// Sync server for the editor's collaboration mode: relays box edits, cursors and selections between everyone who
+// joined the same room. Needs nothing but Node; it speaks just enough WebSocket (RFC 6455, text messages) for the
+// browser. Rooms keep their merged state in memory (see src/sync.js), so people who join later or come back from
+// being offline get everything that happened meanwhile.
+//
+// Messages are JSON. Editor to server:
+//   { type: 'hello', room, name, replica }     join a room, sending everything the editor has (a delta)
+//   { type: 'delta', delta }                   local edits
+//   { type: 'presence', cursor, selection }    cursor { x, y, page } in natural pixels or null, selected box ids
+// Server to editor:
+//   { type: 'welcome', id, color, replica, peers }   after hello: the room's state and who else is there
+//   { type: 'delta', delta }                         edits by someone else
+//   { type: 'presence', peer }                       { id, name, color, cursor, selection } of someone else
+//   { type: 'leave', id }                            someone left
+//   { type: 'error', message }
+import { createHash, randomUUID } from 'node:crypto'
+import { createServer } from 'node:http'
+import { parseArgs } from 'node:util'
+import { DEFAULT_SYNC_PORT, PEER_COLORS, createReplica, isDelta, mergeDelta, replicaDelta } from '../src/sync.js'
+
+const USAGE = `Usage: sync-server [options]
+
+Relays edits between editors in collaboration mode. Editors connect to ws://<host>:<port>.
+
+Options:
+  --port <n>      Port to listen on (default: ${DEFAULT_SYNC_PORT})
+  --host <name>   Interface to listen on (default: localhost only)
+  --any-origin    Accept editors served from any origin, not just localhost
+  -h, --help      Show this help`
+
+// Fixed by RFC 6455 for the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'
+
+// Larger messages close the connection; a room of thousands of boxes stays well below
+const MAX_MESSAGE = 16 * 1024 * 1024
+
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa }
+
+class UsageError extends Error {}
+
+// Browsers send the page's origin; other clients (scripts, tests) send none
+const isLocalOrigin = (origin) => {
+    if (!origin) return true
+    try {
+        return ['localhost', '127.0.0.1', '[::1]'].includes(new URL(origin).hostname)
+    } catch {
+        return false
+    }
+}
+
+const encodeFrame = (opcode, payload) => {
+    const length = payload.length
+    const header = length < 126 ? Buffer.alloc(2) : length < 65536 ? Buffer.alloc(4) : Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    if (length < 126) {
+        header[1] = length
+    } else if (length < 65536) {
+        header[1] = 126
+        header.writeUInt16BE(length, 2)
+    } else {
+        header[1] = 127
+        header.writeBigUInt64BE(BigInt(length), 2)
+    }
+    return Buffer.concat([header, payload])
+}
+
+// The first frame in `buffer` as { fin, opcode, payload, size }, null while it is incomplete, or { tooLarge: true }
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return null
+    const masked = (buffer[1] & 0x80) !== 0
+    let length = buffer[1] & 0x7f
+    let offset = 2
+    if (length === 126) {
+        if (buffer.length < 4) return null
+        length = buffer.readUInt16BE(2)
+        offset = 4
+    } else if (length === 127) {
+        if (buffer.length < 10) return null
+        length = Number(buffer.readBigUInt64BE(2))
+        offset = 10
+    }
+    if (length > MAX_MESSAGE) return { tooLarge: true }
+    const mask = masked ? buffer.subarray(offset, offset + 4) : null
+    if (masked) offset += 4
+    if (buffer.length < offset + length) return null
+    const payload = Buffer.from(buffer.subarray(offset, offset + length))
+    if (mask) for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3]
+    return { fin: (buffer[0] & 0x80) !== 0, masked, opcode: buffer[0] & 0x0f, payload, size: offset + length }
+}
+
+// One WebSocket connection on an upgraded socket; calls onMessage(text) for each text message and onClose() once
+const openConnection = (socket, { onMessage, onClose }) => {
+    let buffer = Buffer.alloc(0)
+    let fragments = null
+    let closed = false
+
+    const connection = {
+        send: (text) => {
+            if (!closed) socket.write(encodeFrame(OPCODES.text, Buffer.from(text)))
+        },
+        close: (code = 1000, reason = '') => {
+            if (closed) return
+            closed = true
+            const payload = Buffer.alloc(2 + Buffer.byteLength(reason))
+            payload.writeUInt16BE(code, 0)
+            payload.write(reason, 2)
+            socket.end(encodeFrame(OPCODES.close, payload))
+            onClose()
+        },
+    }
+
+    const receive = (frame) => {
+        if (!frame.masked) return connection.close(1002, 'Frames from clients must be masked')
+        if (frame.opcode === OPCODES.close) return connection.close()
+        if (frame.opcode === OPCODES.ping) return socket.write(encodeFrame(OPCODES.pong, frame.payload))
+        if (frame.opcode === OPCODES.pong) return
+        if (frame.opcode === OPCODES.binary) return connection.close(1003, 'Only text messages are accepted')
+        if (frame.opcode === OPCODES.text) fragments = [frame.payload]
+        else if (frame.opcode === OPCODES.continuation && fragments) fragments.push(frame.payload)
+        else return connection.close(1002, 'Unexpected frame')
+        const size = fragments.reduce((sum, f) => sum + f.length, 0)
+        if (size > MAX_MESSAGE) return connection.close(1009, 'Message too large')
+        if (!frame.fin) return
+        const text = Buffer.concat(fragments).toString('utf8')
+        fragments = null
+        onMessage(text)
+    }
+
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk])
+        while (!closed) {
+            const frame = decodeFrame(buffer)
+            if (!frame) break
+            if (frame.tooLarge) return connection.close(1009, 'Message too large')
+            buffer = buffer.subarray(frame.size)
+            receive(frame)
+        }
+    })
+    socket.on('error', () => socket.destroy())
+    socket.on('close', () => {
+        if (closed) return
+        closed = true
+        onClose()
+    })
+    return connection
+}
+
+// Rooms by name: { replica, peers: Map id -> peer, joined }, where a peer is { id, name, color, cursor, selection, connection }
+const rooms = new Map()
+
+const roomOf = (name) => {
+    if (!rooms.has(name)) rooms.set(name, { replica: createReplica('server'), peers: new Map(), joined: 0 })
+    return rooms.get(name)
+}
+
+const describePeer = ({ id, name, color, cursor, selection }) => ({ id, name, color, cursor, selection })
+
+const broadcast = (room, from, message) => {
+    const text = JSON.stringify(message)
+    room.peers.forEach((peer) => peer.id !== from.id && peer.connection.send(text))
+}
+
+// Handle one connected editor: it joins a room with its first message
+const handlePeer = (socket) => {
+    let room = null
+    let peer = null
+    const send = (message) => connection.send(JSON.stringify(message))
+    const fail = (message) => send({ type: 'error', message })
+
+    const connection = openConnection(socket, {
+        onMessage: (text) => {
+            let message
+            try {
+                message = JSON.parse(text)
+            } catch {
+                return fail('Messages must be JSON')
+            }
+            if (message?.type === 'hello' && !room) {
+                if (typeof message.room !== 'string' || !message.room.trim()) return fail('hello needs a room name')
+                if (!isDelta(message.replica)) return fail('hello needs the editor’s boxes')
+                room = roomOf(message.room.trim())
+                peer = {
+                    id: randomUUID(),
+                    name: String(message.name || '').slice(0, 40) || 'Guest',
+                    color: PEER_COLORS[room.joined++ % PEER_COLORS.length],
+                    cursor: null,
+                    selection: [],
+                    connection,
+                }
+                // What the newcomer has is news to the others (edits made offline, or a room started from their copy)
+                if (mergeDelta(room.replica, message.replica)) broadcast(room, peer, { type: 'delta', delta: message.replica })
+                send({
+                    type: 'welcome',
+                    id: peer.id,
+                    color: peer.color,
+                    replica: replicaDelta(room.replica),
+                    peers: [...room.peers.values()].map(describePeer),
+                })
+                room.peers.set(peer.id, peer)
+                broadcast(room, peer, { type: 'presence', peer: describePeer(peer) })
+                console.log(`${peer.name} joined "${message.room.trim()}" (${room.peers.size} in the room)`)
+            } else if (!room) {
+                fail('Send hello first')
+            } else if (message?.type === 'delta') {
+                if (!isDelta(message.delta)) return fail('Malformed delta')
+                if (mergeDelta(room.replica, message.delta)) broadcast(room, peer, { type: 'delta', delta: message.delta })
+            } else if (message?.type === 'presence') {
+                peer.cursor = message.cursor && Number.isFinite(message.cursor.x) && Number.isFinite(message.cursor.y) ? message.cursor : null
+                peer.selection = Array.isArray(message.selection) ? message.selection.filter((id) => typeof id === 'string') : []
+                broadcast(room, peer, { type: 'presence', peer: describePeer(peer) })
+            } else {
+                fail(`Unknown message type "${message?.type}"`)
+            }
+        },
+        onClose: () => {
+            if (!room) return
+            room.peers.delete(peer.id)
+            broadcast(room, peer, { type: 'leave', id: peer.id })
+            console.log(`${peer.name} left (${room.peers.size} in the room)`)
+        },
+    })
+}
+
+const main = (argv) => {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            port: { type: 'string' },
+            host: { type: 'string' },
+            'any-origin': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    })
+    if (options.help) {
+        console.log(USAGE)
+        return
+    }
+    if (positionals.length) throw new UsageError(`Unexpected argument "${positionals[0]}"`)
+    const port = options.port === undefined ? DEFAULT_SYNC_PORT : Number(options.port)
+    if (!Number.isInteger(port) || port < 0 || port > 65535) throw new UsageError(`--port must be a port number, not "${options.port}"`)
+    const host = options.host || 'localhost'
+
+    const server = createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain', Upgrade: 'websocket' })
+        res.end('Sync server for the form template editor. Connect from the editor’s Collaborate panel.\n')
+    })
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key']
+        const refuse = (status) => socket.end(`HTTP/1.1 ${status}\r\nConnection: close\r\n\r\n`)
+        if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) return refuse('400 Bad Request')
+        if (!options['any-origin'] && !isLocalOrigin(req.headers.origin)) return refuse('403 Forbidden')
+        const accept = createHash('sha1')
+            .update(key + WEBSOCKET_GUID)
+            .digest('base64')
+        socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`)
+        handlePeer(socket)
+    })
+    server.on('error', (err) => {
+        console.error(err.code === 'EADDRINUSE' ? `Port ${port} is in use; pass --port to pick another` : err.message)
+        process.exitCode = 1
+    })
+    server.listen(port, host, () => console.log(`Sync server listening on ws://${host}:${server.address().port}`))
+}
+
+try {
+    main(process.argv.slice(2))
+} catch (err) {
+    if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+        console.error(`${err.message}\nRun with --help for usage.`)
+        process.exitCode = 2
+    } else {
+        throw err
+    }
+}
@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+// Command-line tool for templates exported by the editor, for CI and scripts. Uses the same modules as the
+// editor (schema.js, template.js, formats.js), so it accepts and writes exactly what the editor does.
+import { mkdirSync, readFileSync, statSync, writeFileSync } from 'node:fs'
+import { basename, extname, join } from 'node:path'
+import { parseArgs } from 'node:util'
+import { FORMATS, bundleFiles, detectFormat, exportTemplateAs, exportWarnings, importTemplateAs } from '../src/formats.js'
+import { KEY_STYLES } from '../src/keys.js'
+import { listNumbers } from '../src/order.js'
+import { decodePng, encodePng } from '../src/png.js'
+import { paintBoxes } from '../src/raster.js'
+import { TEMPLATE_SCHEMA, templatePages } from '../src/schema.js'
+import { buildTemplate, isAnchor, parseTemplate } from '../src/template.js'
+import { isTable } from '../src/table.js'
+import { parseTransform } from '../src/transform.js'
+import { validateTemplateText } from '../src/validate.js'
+
+const FORMAT_IDS = FORMATS.map((f) => f.id).join(', ')
+
+const USAGE = `Usage: template <command> [options]
+
+Commands:
+  validate <file...>                 Check templates against the schema; flags boxes outside their page,
+                                     duplicate ids, duplicate names and outdated schema versions
+  convert <file...> --to <format>    Translate between export formats (templates come out at the current version)
+  render <template> <image.png>      Draw the boxes of one page onto the image, written as PNG
+  schema                             Print the JSON Schema of the template format
+
+Options:
+  --from <format>      Format of the input (default: from the file name)
+  --classes <file>     Class names of YOLO input, one per line (default: a classes.txt among the inputs)
+  --to <format>        Output format of convert
+  --size <W>x<H>       convert: page size in pixels, for formats that carry none (YOLO) or to rescale
+  --name <name>        Image name written into converted templates
+  --key-style <style>  convert: style of field keys, ${KEY_STYLES.map((s) => s.value).join(' or ')} (default: the template's, else snake)
+  --page <n>           Page to render (default: 1)
+  -o, --output <path>  Output file, or directory for multi-file formats (default: stdout; render: <image>-overlay.png)
+  --strict             validate: fail on warnings too
+  -h, --help           Show this help
+
+Formats: ${FORMAT_IDS}
+Exit status: 0 when everything is valid, 1 on invalid templates, 2 on usage errors, 3 when a file cannot be read or written.`
+
+// Bad arguments; reported with a hint to --help and exit status 2
+class UsageError extends Error {}
+
+// What went wrong with a file, by error code; other codes keep Node's message
+const FILE_ERRORS = {
+    ENOENT: 'no such file or directory',
+    ENOTDIR: 'a part of the path is not a directory',
+    EISDIR: 'is a directory',
+    EACCES: 'permission denied',
+    EPERM: 'operation not permitted',
+    EEXIST: 'already exists',
+    ENOSPC: 'no space left on the device',
+    EROFS: 'read-only file system',
+    EMFILE: 'too many open files',
+    ENAMETOOLONG: 'name too long',
+}
+
+// Problems with a template's content; reported one per line and exit status 1
+class TemplateError extends Error {
+    constructor(file, problems) {
+        super(`${file}: ${problems.length} problem${problems.length === 1 ? '' : 's'}`)
+        this.problems = problems
+    }
+}
+
+const checkFormat = (id, option) => {
+    if (!FORMATS.some((f) => f.id === id)) throw new UsageError(`Unknown ${option} format "${id}" (expected one of ${FORMAT_IDS})`)
+    return id
+}
+
+const checkKeyStyle = (style) => {
+    if (!KEY_STYLES.some((s) => s.value === style)) throw new UsageError(`--key-style must be one of ${KEY_STYLES.map((s) => s.value).join(', ')}`)
+    return style
+}
+
+const parseSize = (text) => {
+    const match = /^(\d+)x(\d+)$/i.exec(text || '')
+    if (!match || !(+match[1] > 0 && +match[2] > 0)) throw new UsageError(`--size must look like 2480x3508, not "${text}"`)
+    return { width: +match[1], height: +match[2] }
+}
+
+// Contents of a file; errors name the file even when Node leaves it out (reading a directory)
+const readInput = (file, encoding) => {
+    try {
+        return readFileSync(file, encoding)
+    } catch (err) {
+        err.path ??= file
+        throw err
+    }
+}
+
+// Format and text of one or more files of the same format (several for per-page formats such as VOC and YOLO).
+// A YOLO class list given apart is read as the classes.txt of the labels.
+const read = (files, from, classes) => {
+    const format = from ? checkFormat(from, '--from') : detectFormat(basename(files[0]))
+    if (!format) throw new UsageError(`Cannot tell the format of ${files[0]}; pass --from (${FORMAT_IDS})`)
+    if (classes && format !== 'yolo') throw new UsageError('--classes only applies to YOLO input')
+    const inputs = files.map((file) => ({ name: basename(file), content: readInput(file, 'utf8') }))
+    if (classes) inputs.push({ name: 'classes.txt', content: readInput(classes, 'utf8') })
+    return { format, text: bundleFiles(inputs) }
+}
+
+// Template object from files as read by `read`, migrated to the current schema version
+const load = (files, from, classes) => {
+    const { format, text } = read(files, from, classes)
+    try {
+        return { format, data: importTemplateAs(format, text) }
+    } catch (err) {
+        throw new TemplateError(files.join(', '), [err.message])
+    }
+}
+
+// Number of pages a template uses: the declared ones, or as many as its boxes refer to
+const pageCount = (data) => {
+    const entries = [...(data.fields || []), ...(data.anchors || []), ...(data.tables || [])]
+    return Math.max(templatePages(data).length, 1, ...entries.map((e) => (Number.isInteger(e?.page) ? e.page + 1 : 1)))
+}
+
+// The template as the editor would export it, with every page at the given sizes (missing ones from the template),
+// so any format can be written from it. Rotations and crops of pages and the key style are kept unless overridden.
+const normalize = (data, file, { pages, name, keyStyle }) => {
+    const declared = templatePages(data)
+    const sizes = Array.from({ length: pageCount(data) }, (_, i) => pages[i] || declared[i])
+    if (!sizes.every((p) => p?.width > 0 && p?.height > 0)) throw new UsageError(`${file} carries no page size; pass --size WIDTHxHEIGHT`)
+    const { boxes, errors } = parseTemplate(data, sizes)
+    if (errors.length) throw new TemplateError(file, errors)
+    const transforms = (data.pages || []).map((p, i) => (p?.transform && !pages[i] ? parseTransform(p.transform) : null))
+    const template = buildTemplate(boxes, {
+        name: name || data.image?.name || basename(file, extname(file)),
+        pages: sizes.map(({ width, height }) => ({ width, height })),
+        sources: transforms.map((t) => t?.source),
+        transforms: transforms.map((t) => t?.transform || null),
+        keyStyle: keyStyle || (KEY_STYLES.some((s) => s.value === data.keyStyle) ? data.keyStyle : undefined),
+    })
+    return { template, boxes }
+}
+
+const validate = (files, options) => {
+    let failed = false
+    files.forEach((file) => {
+        const { format, text } = read([file], options.from)
+        const problems = validateTemplateText(format, text)
+        const errors = problems.filter((p) => p.level === 'error')
+        const warnings = problems.filter((p) => p.level === 'warning')
+        const count = (n, what) => `${n} ${what}${n === 1 ? '' : 's'}`
+        console.log(`${file}: ${errors.length || warnings.length ? `${count(errors.length, 'error')}, ${count(warnings.length, 'warning')}` : 'OK'}`)
+        const print = (p) => {
+            const where = `${p.line ? `line ${p.line} ` : ''}${p.path || '/'}${p.label ? ` ${p.label}` : ''}`
+            console.log(`  ${p.level.padEnd(7)} ${where}: ${p.message}`)
+        }
+        errors.forEach(print)
+        warnings.forEach(print)
+        if (errors.length || (options.strict && warnings.length)) failed = true
+    })
+    return failed ? 1 : 0
+}
+
+const convert = (files, options) => {
+    if (!options.to) throw new UsageError('convert needs --to <format>')
+    const to = checkFormat(options.to, '--to')
+    const { data } = load(files, options.from, options.classes)
+    const size = options.size && parseSize(options.size)
+    const pages = size ? Array.from({ length: pageCount(data) }, () => size) : []
+    const keyStyle = options['key-style'] && checkKeyStyle(options['key-style'])
+    const { template } = normalize(data, files[0], { pages, name: options.name, keyStyle })
+    const out = exportTemplateAs(to, template)
+    exportWarnings(to, template).forEach((msg) => console.error(`Warning: ${msg}`))
+
+    if (!options.output) {
+        process.stdout.write(`${bundleFiles(out).trimEnd()}\n`)
+        return 0
+    }
+    const isDir = out.length > 1 || statSync(options.output, { throwIfNoEntry: false })?.isDirectory()
+    if (isDir) {
+        mkdirSync(options.output, { recursive: true })
+        out.forEach((f) => writeFileSync(join(options.output, f.name), f.content))
+        console.error(`Wrote ${out.map((f) => join(options.output, f.name)).join(', ')}`)
+    } else {
+        writeFileSync(options.output, out[0].content)
+        console.error(`Wrote ${options.output}`)
+    }
+    return 0
+}
+
+const render = ([templateFile, imageFile, ...rest], options) => {
+    if (!templateFile || !imageFile || rest.length) throw new UsageError('render needs a template and one PNG image')
+    const page = options.page === undefined ? 0 : Number(options.page) - 1
+    if (!Number.isInteger(page) || page < 0) throw new UsageError(`--page must be a page number from 1, not "${options.page}"`)
+
+    const png = readInput(imageFile)
+    let image
+    try {
+        image = decodePng(png)
+    } catch (err) {
+        throw new UsageError(`${imageFile}: ${err.message}${err.message === 'Not a PNG file' ? ' (convert it to PNG first)' : ''}`)
+    }
+    const { data } = load([templateFile], options.from, options.classes)
+    if (page >= pageCount(data)) throw new UsageError(`${templateFile} has no page ${page + 1}`)
+
+    // Boxes are rescaled to the image when its size differs from the template's page
+    const imageSize = { width: image.width, height: image.height }
+    const declared = templatePages(data)
+    const pages = Array.from({ length: pageCount(data) }, (_, i) => (i === page ? imageSize : declared[i] || imageSize))
+    const { boxes } = normalize(data, templateFile, { pages, name: options.name })
+
+    // Numbered across the whole document as in the editor's list, anchors apart (A1, A2, …); the legend goes to stdout
+    const numbers = listNumbers(boxes)
+    const shown = boxes.filter((b) => (b.page || 0) === page)
+    paintBoxes(image, shown, { numbers })
+    const output = options.output || `${imageFile.slice(0, imageFile.length - extname(imageFile).length)}-overlay.png`
+    writeFileSync(output, encodePng(image))
+    const kind = (b) => (isAnchor(b) ? 'anchor' : isTable(b) ? 'table' : 'field')
+    shown.forEach((b) => console.log(`${`${isAnchor(b) ? 'A' : ''}${numbers.get(b.id)}`.padStart(4)}  ${kind(b).padEnd(6)}  ${b.name || '(unnamed)'}`))
+    console.error(`Wrote ${output} (${shown.length} box${shown.length === 1 ? '' : 'es'} on page ${page + 1})`)
+    return 0
+}
+
+const schema = (files, options) => {
+    if (files.length) throw new UsageError('schema takes no files')
+    const text = `${JSON.stringify(TEMPLATE_SCHEMA, null, 2)}\n`
+    if (!options.output) {
+        process.stdout.write(text)
+        return 0
+    }
+    writeFileSync(options.output, text)
+    console.error(`Wrote ${options.output}`)
+    return 0
+}
+
+const COMMANDS = { validate, convert, render, schema }
+
+const main = (argv) => {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            from: { type: 'string' },
+            classes: { type: 'string' },
+            to: { type: 'string' },
+            size: { type: 'string' },
+            name: { type: 'string' },
+            'key-style': { type: 'string' },
+            page: { type: 'string' },
+            output: { type: 'string', short: 'o' },
+            strict: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    })
+    const [command, ...files] = positionals
+    if (options.help || !command) {
+        console.log(USAGE)
+        return options.help ? 0 : 2
+    }
+    if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}"`)
+    if (!files.length && command !== 'schema') throw new UsageError(`${command} needs at least one file`)
+    return COMMANDS[command](files, options)
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2))
+} catch (err) {
+    if (err instanceof TemplateError) {
+        console.error(err.message)
+        err.problems.forEach((p) => console.error(`  ${p}`))
+        process.exitCode = 1
+    } else if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+        console.error(`${err.message}\nRun with --help for usage.`)
+        process.exitCode = 2
+    } else if (typeof err.code === 'string' && err.syscall) {
+        // File system errors: one line naming the file
+        const reason = FILE_ERRORS[err.code] || err.message
+        console.error(err.path && reason !== err.message ? `${err.path}: ${reason}` : reason)
+        process.exitCode = 3
+    } else {
+        throw err
+    }
+}
@@ -0,0 +1,235 @@
+import { useEffect, useState } from 'react'
+import { expectedFromOutput, flattenOutput } from './accuracy.js'
+import { getImage, saveImage } from './library.js'
+
+const percent = (rate) => (rate === null ? '–' : `${(rate * 100).toFixed(1)}%`)
+
+// Preview of a sample's scan from the library; opens full size in a new tab
+function SampleImage({ imageId, name }) {
+    const [url, setUrl] = useState(null)
+    const [error, setError] = useState('')
+
+    useEffect(() => {
+        let objectUrl = null
+        let cancelled = false
+        getImage(imageId).then(
+            (blob) => {
+                if (cancelled) return
+                if (!blob) return setError('The image is missing from storage')
+                objectUrl = URL.createObjectURL(blob)
+                setUrl(objectUrl)
+            },
+            (err) => !cancelled && setError(`Could not read the image: ${err.message}`),
+        )
+        return () => {
+            cancelled = true
+            if (objectUrl) URL.revokeObjectURL(objectUrl)
+        }
+    }, [imageId])
+
+    if (error) return <p className="muted">{error}</p>
+    if (!url) return null
+    return (
+        <a className="accuracy-panel__image" href={url} target="_blank" rel="noreferrer" title={`Open ${name} full size`}>
+            <img src={url} alt={name} />
+        </a>
+    )
+}
+
+// Accuracy report: expected values of the fields for a set of sample forms, the extraction output for each, and how
+// well the two agree per field and overall (see accuracy.js). Fields that missed are listed first and drawn in red on
+// the canvas. `onSamples(updater, options)` changes the document's samples (undoable, like all edits).
+function AccuracyPanel({ fields, samples, report, keyStyle, highlightFailing, onHighlightFailing, onSamples, onShow, onClose }) {
+    const [sampleId, setSampleId] = useState(samples[0]?.id || null)
+    const [error, setError] = useState('')
+    const sample = samples.find((s) => s.id === sampleId) || samples[0] || null
+
+    const updateSample = (patch, options) => onSamples((list) => list.map((s) => (s.id === sample.id ? { ...s, ...patch } : s)), options)
+
+    const addSample = () => {
+        const id = crypto.randomUUID()
+        onSamples((list) => [...list, { id, name: `Sample ${list.length + 1}`, expected: {}, output: null, outputName: '' }])
+        setSampleId(id)
+    }
+
+    const removeSample = () => {
+        onSamples((list) => list.filter((s) => s.id !== sample.id))
+        setSampleId(null)
+    }
+
+    // Store a scan of the sample form in the library, next to the project's own image
+    const attachImage = async (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+        const imageId = crypto.randomUUID()
+        try {
+            await saveImage(imageId, file)
+        } catch (err) {
+            setError(`Could not store ${file.name}: ${err.message}`)
+            return
+        }
+        updateSample({ imageId, imageName: file.name })
+        setError('')
+    }
+
+    // Read a JSON file keyed by field name into the current sample, as its output or its expected values
+    const importFile = (e, as) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+        file.text().then(
+            (text) => {
+                try {
+                    const data = JSON.parse(text)
+                    if (as === 'output') updateSample({ output: flattenOutput(data), outputName: file.name })
+                    else updateSample({ expected: { ...sample.expected, ...expectedFromOutput(fields, data, keyStyle) } })
+                    setError('')
+                } catch (err) {
+                    setError(`${file.name}: ${err.message}`)
+                }
+            },
+            (err) => setError(`${file.name}: ${err.message}`),
+        )
+    }
+
+    const check = (fieldId) => report.fields.find((r) => r.id === fieldId)?.checks.find((c) => c.sampleId === sample.id)
+    const { overall } = report
+    const compared = report.fields.filter((r) => r.compared > 0).sort((a, b) => b.failing - a.failing)
+
+    return (
+        <div className="accuracy-panel">
+            <div className="align-panel__header">
+                <strong>Accuracy</strong>
+                <button onClick={onClose}>Close</button>
+            </div>
+            <div className="row">
+                <select value={sample?.id || ''} onChange={(e) => setSampleId(e.target.value)} disabled={!samples.length} title="Sample form">
+                    {!samples.length && <option value="">No samples</option>}
+                    {samples.map((s) => (
+                        <option key={s.id} value={s.id}>
+                            {s.name || '(unnamed)'}
+                            {s.output ? '' : ' (no output)'}
+                        </option>
+                    ))}
+                </select>
+                <button onClick={addSample}>Add sample</button>
+                {sample && (
+                    <button className="danger" onClick={removeSample}>
+                        Remove
+                    </button>
+                )}
+            </div>
+
+            {sample && (
+                <>
+                    <input
+                        value={sample.name}
+                        onChange={(e) => updateSample({ name: e.target.value }, { merge: `sample-name:${sample.id}` })}
+                        placeholder="Sample name, e.g. the scan's file name"
+                    />
+                    <div className="row">
+                        <label className="button" title="JSON keyed by field name with the values this form should give">
+                            Import expected…
+                            <input type="file" accept=".json,application/json" onChange={(e) => importFile(e, 'expected')} hidden />
+                        </label>
+                        <label className="button" title="JSON keyed by field name, as the OCR/extraction run produced it for this form">
+                            Import output…
+                            <input type="file" accept=".json,application/json" onChange={(e) => importFile(e, 'output')} hidden />
+                        </label>
+                        {sample.output && (
+                            <button onClick={() => updateSample({ output: null, outputName: '' })} title={`Output from ${sample.outputName}`}>
+                                Clear output
+                            </button>
+                        )}
+                    </div>
+                    <div className="row">
+                        <label className="button" title="Scan or photo of this sample form">
+                            {sample.imageId ? 'Replace image…' : 'Attach image…'}
+                            <input type="file" accept="image/*" onChange={attachImage} hidden />
+                        </label>
+                        {sample.imageId && <button onClick={() => updateSample({ imageId: undefined, imageName: undefined })}>Remove image</button>}
+                    </div>
+                    {sample.imageId && <SampleImage key={sample.imageId} imageId={sample.imageId} name={sample.imageName || sample.name} />}
+                    {error && (
+                        <ul className="errors">
+                            <li>{error}</li>
+                        </ul>
+                    )}
+                    {fields.length === 0 ? (
+                        <p className="muted">Draw fields to enter their expected values.</p>
+                    ) : (
+                        <ul className="accuracy-panel__values">
+                            {fields.map((f) => {
+                                const c = check(f.id)
+                                return (
+                                    <li key={f.id} className={c && !c.exact ? 'accuracy-value--failing' : ''}>
+                                        <span className="accuracy-value__name" title={f.name} onClick={() => onShow(f.id)}>
+                                            {f.name || '(unnamed)'}
+                                        </span>
+                                        <input
+                                            value={sample.expected[f.id] ?? ''}
+                                            onChange={(e) =>
+                                                updateSample(
+                                                    { expected: { ...sample.expected, [f.id]: e.target.value } },
+                                                    { merge: `expected:${sample.id}:${f.id}` },
+                                                )
+                                            }
+                                            placeholder="Expected value"
+                                        />
+                                        {c && (
+                                            <span className="accuracy-value__actual" title={c.actual === null ? 'Not in the output' : `Output: ${c.actual}`}>
+                                                {c.exact ? '✓' : c.actual === null ? 'missing' : `“${c.actual}”`}
+                                            </span>
+                                        )}
+                                    </li>
+                                )
+                            })}
+                        </ul>
+                    )}
+                </>
+            )}
+
+            {overall.compared > 0 ? (
+                <>
+                    <p className="accuracy-panel__summary">
+                        Exact match {overall.exact}/{overall.compared} ({percent(overall.exactRate)}) · CER {percent(overall.cer)} · {overall.missing} missing,
+                        over {overall.samples} sample{overall.samples === 1 ? '' : 's'}
+                    </p>
+                    <label className="check">
+                        <input type="checkbox" checked={highlightFailing} onChange={(e) => onHighlightFailing(e.target.checked)} />
+                        Highlight failing fields
+                    </label>
+                    <table className="accuracy-panel__report">
+                        <thead>
+                            <tr>
+                                <th>Field</th>
+                                <th title="Samples where the output matches exactly">Exact</th>
+                                <th title="Character error rate: edits needed over the length of the expected values">CER</th>
+                                <th title="Samples whose output lacks the field">Missing</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {compared.map((r) => (
+                                <tr key={r.id} className={r.failing ? 'accuracy-row--failing' : ''} onClick={() => onShow(r.id)} title={r.key}>
+                                    <td>{r.name || '(unnamed)'}</td>
+                                    <td>
+                                        {r.exact}/{r.compared}
+                                    </td>
+                                    <td>{percent(r.cer)}</td>
+                                    <td>{r.missing}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </>
+            ) : (
+                <p className="muted">
+                    Enter the expected values of a sample form, then import the extraction output for it to see how accurate the template is.
+                </p>
+            )}
+        </div>
+    )
+}
+
+export default AccuracyPanel
@@ -0,0 +1,95 @@
+import { useEffect, useRef } from 'react'
+import { describeAffine, warpBox } from './registration'
+
+// Preview of a scan aligned to the template: fields are warped onto the scan with the estimated transform
+function AlignPanel({ scan, scanName, result, fields, onClose }) {
+    const canvasRef = useRef(null)
+    const wrapRef = useRef(null)
+
+    useEffect(() => {
+        const canvas = canvasRef.current
+        const wrap = wrapRef.current
+        if (!canvas || !wrap) return
+
+        const draw = () => {
+            const dpr = window.devicePixelRatio || 1
+            const cssWidth = Math.min(wrap.clientWidth, scan.naturalWidth)
+            const cssHeight = Math.round((cssWidth * scan.naturalHeight) / scan.naturalWidth)
+            canvas.style.width = `${cssWidth}px`
+            canvas.style.height = `${cssHeight}px`
+            canvas.width = Math.round(cssWidth * dpr)
+            canvas.height = Math.round(cssHeight * dpr)
+
+            const ctx = canvas.getContext('2d')
+            const k = canvas.width / scan.naturalWidth
+            ctx.setTransform(1, 0, 0, 1, 0, 0)
+            ctx.drawImage(scan, 0, 0, canvas.width, canvas.height)
+            ctx.setTransform(k, 0, 0, k, 0, 0)
+
+            if (result.transform) {
+                ctx.lineWidth = 2 / k
+                ctx.strokeStyle = '#2dd4bf'
+                ctx.fillStyle = 'rgba(45, 212, 191, 0.15)'
+                fields.forEach((b) => {
+                    const pts = warpBox(result.transform, b)
+                    ctx.beginPath()
+                    pts.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)))
+                    ctx.closePath()
+                    ctx.fill()
+                    ctx.stroke()
+                })
+            }
+
+            // Matched anchor centers; discarded matches in gray
+            const r = 8 / k
+            result.matches.forEach((m) => {
+                if (!m.to) return
+                ctx.strokeStyle = m.used ? '#a855f7' : '#94a3b8'
+                ctx.lineWidth = 2 / k
+                ctx.beginPath()
+                ctx.moveTo(m.to.x - r, m.to.y)
+                ctx.lineTo(m.to.x + r, m.to.y)
+                ctx.moveTo(m.to.x, m.to.y - r)
+                ctx.lineTo(m.to.x, m.to.y + r)
+                ctx.stroke()
+            })
+        }
+
+        draw()
+        const ro = new ResizeObserver(() => requestAnimationFrame(draw))
+        ro.observe(wrap)
+        return () => ro.disconnect()
+    }, [scan, result, fields])
+
+    const info = result.transform && describeAffine(result.transform)
+
+    return (
+        <div className="align-panel">
+            <div className="align-panel__header">
+                <strong>Alignment preview: {scanName}</strong>
+                <button onClick={onClose}>Close</button>
+            </div>
+            {info ? (
+                <div className="align-panel__stats">
+                    rotation {info.rotation.toFixed(2)}°, scale {info.scaleX.toFixed(3)} × {info.scaleY.toFixed(3)}, shift {info.dx.toFixed(1)},{' '}
+                    {info.dy.toFixed(1)} px, residual {result.rms.toFixed(2)} px
+                </div>
+            ) : (
+                <div className="align-panel__stats align-panel__stats--error">Could not estimate a transform. Check that at least 3 anchors were found.</div>
+            )}
+            <ul className="align-panel__anchors">
+                {result.matches.map((m) => (
+                    <li key={m.anchor.id} className={m.used ? '' : 'muted'}>
+                        {m.anchor.name || 'Anchor'}: {m.to ? `score ${m.score.toFixed(2)}` : 'not found'}
+                        {m.to && !m.used && ' (discarded)'}
+                    </li>
+                ))}
+            </ul>
+            <div className="align-panel__canvas" ref={wrapRef}>
+                <canvas ref={canvasRef} />
+            </div>
+        </div>
+    )
+}
+
+export default AlignPanel
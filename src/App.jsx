@@ -1,14 +1,298 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useMemo, useRef, useDeferredValue } from 'react'
 import './App.css'
+import AccuracyPanel from './AccuracyPanel.jsx'
+import AlignPanel from './AlignPanel'
+import BatchPanel from './BatchPanel.jsx'
+import CollabPanel from './CollabPanel.jsx'
+import ComparePanel from './ComparePanel.jsx'
+import FieldRules from './FieldRules'
+import ImageTools from './ImageTools.jsx'
+import LibraryPanel from './LibraryPanel.jsx'
+import TableEditor from './TableEditor.jsx'
+import { accuracyFields, accuracyReport } from './accuracy.js'
+import { createCollabSession, loadCollabSettings, saveCollabSettings } from './collab.js'
+import { diffBoxes } from './diff.js'
+import { downloadFile } from './download.js'
+import { DEFAULT_FIELD_TYPE, getFieldType, validateFieldRules } from './fields'
+import { FORMATS, bundleFiles, exportTemplateAs, exportWarnings, getFormat, importTemplateAs, packFiles, unbundleFiles } from './formats.js'
+import {
+    HANDLE_CURSORS,
+    alignBoxes,
+    angleTowards,
+    boundingRect,
+    distributeBoxes,
+    hitTestBoxes,
+    hitTestHandle,
+    matchSize,
+    moveBox,
+    overlapRatio,
+    resizeBox,
+    rotateHandlePoint,
+} from './geometry'
+import {
+    createProject,
+    getCurrentProjectId,
+    getImage,
+    getProject,
+    makeThumbnail,
+    migrateLegacyState,
+    pruneImages,
+    saveImage,
+    saveProject,
+    setCurrentProjectId,
+} from './library.js'
+import { DEFAULT_KEY_STYLE, KEY_STYLES, keyProblems, nameToKey, numberRepeatedNames } from './keys.js'
+import { READING_DIRECTIONS, READING_FLOWS, listNumbers, moveToIndex, readingOrder } from './order.js'
+import { MIN_ANCHORS, registerScan, toGray } from './registration'
+import { clearLayer, createImageCache, drawBoxLayer, drawDiffLayer, drawImageLayer, drawMinimap, drawOverlay, drawPlaceholder } from './render.js'
+import {
+    DEFAULT_POINT_RADIUS,
+    MIN_POLYGON_POINTS,
+    SHAPES,
+    changeShape,
+    normalizeAngle,
+    pointFromCenter,
+    polygonFromPoints,
+    shapeOf,
+    withoutShape,
+} from './shapes.js'
+import { SNAP_DISTANCE, snapPoint, snapRect, snapTargets } from './snap.js'
+import { createSpatialIndex } from './spatialIndex.js'
+import { applyChanges } from './sync.js'
+import { addDivider, hitTestDivider, isTable, moveDivider, newTableProps, validateTable } from './table.js'
+import { buildTemplate, isAnchor, isField, parseTemplate } from './template'
+import {
+    IDENTITY_TRANSFORM,
+    canvasToImage,
+    contentBounds,
+    estimateSkew,
+    isIdentity,
+    mapBox,
+    renderTransformed,
+    rotatedSize,
+    transformedSize,
+    withRotation,
+} from './transform.js'
+import useHistory from './useHistory'
+import { validateTemplateText } from './validate.js'
+
+// Resize handle size in CSS pixels (independent of zoom)
+const HANDLE_SIZE = 8
+
+// Distance of the rotation handle above a rotated rectangle, in CSS pixels
+const ROTATE_HANDLE_OFFSET = 24
+
+// Holding Shift while rotating turns in steps of this many degrees
+const ROTATE_STEP = 15
+
+// Zoom limits shared by the wheel, pinch and zoom buttons. Zoom is relative to the fitted canvas;
+// the upper limit is raised for large images so 1:1 can always be reached.
+const MIN_ZOOM = 0.2
+const MAX_ZOOM = 8
+
+// Each click on the zoom buttons scales by this factor
+const ZOOM_STEP = 1.25
+
+// Largest side of the minimap in CSS pixels
+const MINIMAP_SIZE = 160
+
+// Canvas layers, bottom to top, plus the minimap; see render.js
+const ALL_LAYERS = ['image', 'boxes', 'overlay', 'minimap']
+
+// A finger or pen held this long (ms) without moving more than the slop (CSS pixels) is a long-press
+const LONG_PRESS_DELAY = 500
+const LONG_PRESS_SLOP = 10
+
+// imageUrl is an object URL for the image Blob stored in the library under imageId.
+// transforms holds the rotation and crop of each page ({ rotation, crop } or null, see transform.js).
+// keyStyle is how field names become output keys (see keys.js).
+// samples holds ground truth and extraction output of sample forms for the accuracy report (see accuracy.js).
+const EMPTY_DOC = {
+    imageId: null,
+    imageUrl: null,
+    imageType: null,
+    imageName: 'uploaded-image',
+    boxes: [],
+    transforms: [],
+    keyStyle: DEFAULT_KEY_STYLE,
+    samples: [],
+}
+
+// Pages are analysed for deskew and crop-to-content at most this wide
+const ANALYSIS_WIDTH = 1000
+
+// Edits are written to the library once they have settled for this long
+const SAVE_DELAY = 500
+
+// PDFs are stored alongside images and rasterized page by page
+const isPdfType = (type) => type === 'application/pdf'
+
+// How each kind of auto-detected region is listed in the sidebar
+const SHAPE_LABELS = { box: 'Box', cell: 'Table cell', checkbox: 'Checkbox', line: 'Fill-in line' }
+
+// Shift, Ctrl or Cmd adds to (or removes from) the selection instead of replacing it
+const isAdditive = (e) => e.shiftKey || e.ctrlKey || e.metaKey
+
+// Axes a resize handle moves: 'x', 'y' or 'xy'
+const handleAxes = (handle) => `${/[ew]/.test(handle) ? 'x' : ''}${/[ns]/.test(handle) ? 'y' : ''}`
+
+// Rectangle dragged out between two points
+const dragRect = (a, b) => ({ x: Math.min(a.x, b.x), y: Math.min(a.y, b.y), w: Math.abs(b.x - a.x), h: Math.abs(b.y - a.y) })
+
+// Whether a drag changed any box; moving or resizing by nothing still makes new box objects
+const boxesChanged = (before, after) =>
+    before.length !== after.length || before.some((b, i) => b !== after[i] && JSON.stringify(b) !== JSON.stringify(after[i]))
+
+// Keyboard shortcuts should not fire while typing in a text field
+const isEditableTarget = (target) =>
+    target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+
+// Up to two initials for the presence chips in the header
+const initials = (name) =>
+    name
+        .split(/\s+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map((w) => w[0].toUpperCase())
+        .join('') || '?'
+
+// Recognized text and confidence for one sidebar row
+const OcrResult = ({ result }) => (
+    <div className={`ocr-result ${result.weak && !result.stale ? 'ocr-result--weak' : ''} ${result.stale ? 'ocr-result--stale' : ''}`}>
+        <span className="ocr-result__text">{result.text ? `“${result.text}”` : 'No text found'}</span>
+        <span className="ocr-result__confidence">{result.confidence}%</span>
+        {result.stale && <span className="ocr-result__note">box changed, re-run</span>}
+    </div>
+)
 
 function App() {
+    // Template document (image + boxes). All edits go through the undo history.
+    const {
+        state: doc,
+        set: setDoc,
+        setTransient: setDocTransient,
+        record: recordDoc,
+        undo,
+        redo,
+        reset: resetDoc,
+        rebase: rebaseDoc,
+        canUndo,
+        canRedo,
+    } = useHistory(EMPTY_DOC)
+    const { imageUrl, imageType, imageName, boxes } = doc // boxes: { id, x, y, w, h, name, page } in natural pixels of their page
+    const transforms = doc.transforms || EMPTY_DOC.transforms
+    const keyStyle = doc.keyStyle || DEFAULT_KEY_STYLE
+    const samples = doc.samples || EMPTY_DOC.samples
+    const setBoxes = (updater, options) =>
+        setDoc((d) => {
+            const next = typeof updater === 'function' ? updater(d.boxes) : updater
+            return next === d.boxes ? d : { ...d, boxes: next }
+        }, options)
+
     // Image handling
-    const [imageUrl, setImageUrl] = useState(null)
-    const [imageName, setImageName] = useState('uploaded-image')
-    const imageRef = useRef(null) // HTMLImageElement (not in DOM)
-    const canvasRef = useRef(null)
+    const imageRef = useRef(null) // HTMLImageElement (not in DOM); for PDFs, the current page
+    const imageCacheRef = useRef(null) // downscaled copies of the page image, see render.js
     const containerRef = useRef(null)
 
+    // Stacked canvases: the page image, the boxes, and on top the overlay, which also takes the pointer input
+    const stackRef = useRef(null)
+    const imageLayerRef = useRef(null)
+    const boxLayerRef = useRef(null)
+    const canvasRef = useRef(null)
+
+    // Redraws are coalesced into one animation frame that repaints only the layers marked dirty
+    const dirtyRef = useRef(new Set())
+    const frameRef = useRef(0)
+    const paintRef = useRef(null) // paints with the latest state; reassigned on every render
+
+    // Pages: a single image has one page, a PDF one per PDF page
+    const [pdf, setPdf] = useState(null) // pdf.js document proxy
+    const [pageIndex, setPageIndex] = useState(0)
+    const [sourceSizes, setSourceSizes] = useState([]) // { width, height } natural size of every original page
+    const pageSizes = useMemo(() => sourceSizes.map((size, i) => transformedSize(size, transforms[i])), [sourceSizes, transforms]) // after rotate/crop
+    const [source, setSource] = useState(null) // { img, page }: the current page before its transform
+    const [thumbnails, setThumbnails] = useState([]) // PDF page previews as data URLs
+    const [loadError, setLoadError] = useState('')
+    const pageBoxes = useMemo(() => boxes.filter((b) => (b.page || 0) === pageIndex), [boxes, pageIndex])
+    const boxIndex = useMemo(() => createSpatialIndex(pageBoxes), [pageBoxes]) // culling and hit testing
+    // Numbers of the boxes in the list, as exported in `order` (anchors are numbered apart, see listNumbers)
+    const boxNumbers = useMemo(() => listNumbers(boxes), [boxes])
+    // Canvas labels: the name, or the kind and number across the whole document
+    const boxLabels = useMemo(
+        () => new Map(boxes.map((b) => [b.id, b.name || `${isAnchor(b) ? 'Anchor' : isTable(b) ? 'Table' : 'Field'} ${boxNumbers.get(b.id)}`])),
+        [boxes, boxNumbers],
+    )
+    // Output keys of field and table names: warnings by box id, and whether any name repeats a key
+    const keyWarnings = useMemo(() => keyProblems(boxes, keyStyle), [boxes, keyStyle])
+    const hasRepeatedKeys = useMemo(() => numberRepeatedNames(boxes, keyStyle) !== boxes, [boxes, keyStyle])
+    const pageAnchors = pageBoxes.filter(isAnchor)
+    const pageTransform = transforms[pageIndex] || null
+
+    // Registration anchors and alignment of a new scan against them
+    const [drawKind, setDrawKind] = useState('field') // kind of box the next drag creates: 'field' | 'anchor' | 'table'
+    const [drawShape, setDrawShape] = useState('rect') // shape of the next field drawn, see shapes.js
+    const [alignment, setAlignment] = useState(null) // { scan, scanName, result, fields }
+    const [aligning, setAligning] = useState(false)
+
+    // OCR preview of field regions on the current page
+    const [ocrResults, setOcrResults] = useState({}) // id -> { text, confidence, weak, rect } (rect = geometry when read)
+    const [ocrProgress, setOcrProgress] = useState(null) // { done, total } while running
+    const [ocrError, setOcrError] = useState('')
+
+    // Auto-detected regions waiting to be accepted or rejected
+    const [suggestions, setSuggestions] = useState([]) // { id, x, y, w, h, shape, type, page }
+    const [hoveredSuggestion, setHoveredSuggestion] = useState(null) // id highlighted from the sidebar
+    const [detecting, setDetecting] = useState(false)
+    const [detectError, setDetectError] = useState('')
+    const pageSuggestions = suggestions.filter((s) => s.page === pageIndex)
+
+    // Project library: the open project and the state of saving to it
+    const [projectId, setProjectId] = useState(null) // null until the first edit creates a project
+    const sessionRef = useRef({ projectId: null }) // replaced whenever another project is loaded
+    const [libraryReady, setLibraryReady] = useState(false) // no saving until the last project has been reopened
+    const [libraryOpen, setLibraryOpen] = useState(false)
+    const [storageError, setStorageError] = useState('')
+    const savedDocRef = useRef(EMPTY_DOC) // document as last loaded or saved
+    const saveQueueRef = useRef(Promise.resolve())
+    const objectUrlsRef = useRef(new Set()) // image object URLs of the open project (kept for undo)
+
+    const [batchOpen, setBatchOpen] = useState(false)
+    const batchTemplate = useMemo(
+        () =>
+            batchOpen && pageSizes.length > 0 && boxes.some((b) => !isAnchor(b))
+                ? buildTemplate(boxes, { name: imageName, pages: pageSizes, sources: sourceSizes, transforms, keyStyle })
+                : null,
+        [batchOpen, boxes, imageName, pageSizes, sourceSizes, transforms, keyStyle],
+    )
+
+    // Compare mode: the boxes of two template versions over the same image, see diff.js
+    const [compareOpen, setCompareOpen] = useState(false)
+    const [compareSources, setCompareSources] = useState({ before: null, after: null }) // { label, boxes } or { label, current: true }
+    const [showUnchanged, setShowUnchanged] = useState(false)
+    const compareChanges = useMemo(() => {
+        const { before, after } = compareSources
+        if (!compareOpen || !before || !after) return null
+        return diffBoxes(before.current ? boxes : before.boxes, after.current ? boxes : after.boxes)
+    }, [compareOpen, compareSources, boxes])
+
+    // Accuracy report: ground truth and extraction output of sample forms, compared field by field (see accuracy.js)
+    const [accuracyOpen, setAccuracyOpen] = useState(false)
+    const [highlightFailing, setHighlightFailing] = useState(true)
+    const accuracy = useMemo(() => (accuracyOpen ? accuracyReport(accuracyFields(boxes), samples, keyStyle) : null), [accuracyOpen, boxes, samples, keyStyle])
+    const failingIds = useMemo(
+        () => (accuracy && highlightFailing ? new Set(accuracy.fields.filter((r) => r.failing).map((r) => r.id)) : null),
+        [accuracy, highlightFailing],
+    )
+
+    // Collaboration mode: the boxes are shared live with everyone in the same room of the sync server, see collab.js
+    const [collabOpen, setCollabOpen] = useState(false)
+    const [collabSettings, setCollabSettings] = useState(loadCollabSettings) // { server, room, name } of the last session
+    const [collabStatus, setCollabStatus] = useState(null) // { state, color, error } while in a room, else null
+    const [peers, setPeers] = useState([]) // { id, name, color, cursor: { x, y, page } | null, selection }
+    const collabRef = useRef(null) // { session, imageId, synced }: synced is the list of boxes the session last saw
+    const remoteChangesRef = useRef(null) // applies collaborators' edits; reassigned on every render
+    const cursorRef = useRef(null) // { cursor, frame }: our cursor waiting for the next animation frame to be sent
+
     // Viewport interaction (zoom/pan)
     const [zoom, setZoom] = useState(1) // 1 = fit-to-canvas
     const [pan, setPan] = useState({ x: 0, y: 0 })
@@ -18,62 +302,204 @@ function App() {
     const [isPanning, setIsPanning] = useState(false)
     const panStartRef = useRef({ x: 0, y: 0 })
 
+    // How the canvas is fitted into the pane: 'width' (may scroll vertically) or 'page' (whole page visible)
+    const [fitMode, setFitMode] = useState('width')
+    const fitModeRef = useRef('width') // read by the resize observer
+    const [canvasWidth, setCanvasWidth] = useState(0) // CSS width of the fitted canvas, for the zoom readout
+    const [showMinimap, setShowMinimap] = useState(true)
+    const minimapRef = useRef(null)
+    const minimapDragRef = useRef(null) // { dx, dy } from the pointer to the viewport center while dragging it
+
+    // Touch input: fingers on the canvas, the two-finger gesture and a pending long-press
+    const touchesRef = useRef(new Map()) // pointerId -> { x, y } in client pixels
+    const gestureRef = useRef(null) // { x, y, distance }: center and finger spread at the last pinch update
+    const pressRef = useRef(null) // { pointerId, x, y, timer }
 
     // Drawing state
-    const [boxes, setBoxes] = useState([]) // { id, x, y, w, h, name } in natural image pixels
     const [isDrawing, setIsDrawing] = useState(false)
     const [startPt, setStartPt] = useState(null) // { x, y } in natural pixels
     const [currentPt, setCurrentPt] = useState(null) // { x, y } in natural pixels
+    const [polygonDraft, setPolygonDraft] = useState(null) // vertices placed so far while drawing a polygon
+    const drawKeysRef = useRef(null) // keys for the polygon being drawn; reassigned on every render
+
+    // Selection and move/resize of existing boxes
+    const [selectedIds, setSelectedIds] = useState([]) // in the order they were selected
+    const selectedId = selectedIds.length === 1 ? selectedIds[0] : null // single selection: handles, dividers and rule editing
+    const [drag, setDrag] = useState(null) // { id, handle, divider, origin, group, targets, start, before }; handle and divider are null when moving
+    const rowRefs = useRef({}) // sidebar list items keyed by box id
+
+    // List order (numbers and export order): drag a row by its number, or sort by reading order
+    const [readingDirection, setReadingDirection] = useState('ltr') // id from READING_DIRECTIONS
+    const [readingFlow, setReadingFlow] = useState('rows') // id from READING_FLOWS
+    const draggedRowRef = useRef(null) // id of the box whose row is being dragged
+    const [dropTarget, setDropTarget] = useState(null) // { id, after }: the row the dragged one would land next to
+
+    // Snapping to other boxes and an optional grid (hold Alt to draw or drag freely)
+    const [snapEnabled, setSnapEnabled] = useState(true)
+    const [gridSize, setGridSize] = useState(0) // natural pixels; 0 = no grid
+    const [guides, setGuides] = useState([]) // { axis: 'x' | 'y', at } lines shown while snapping
+    const drawTargetsRef = useRef(null) // snap targets while drawing a box, collected once when it starts
 
     // UI state
-    const [exportedJson, setExportedJson] = useState('')
+    const [exportFormat, setExportFormat] = useState('template') // id from FORMATS
+    const [exportedText, setExportedText] = useState('')
     const [copied, setCopied] = useState(false)
+    const [importErrors, setImportErrors] = useState([])
+    const [exportNotes, setExportNotes] = useState([]) // what the last export left out (see exportWarnings)
+    const jsonRef = useRef(null)
+    // Problems with the text in the JSON panel, checked once typing pauses; those inside a box are also shown on its row
+    const deferredText = useDeferredValue(exportedText)
+    const textProblems = useMemo(() => validateTemplateText(exportFormat, deferredText), [exportFormat, deferredText])
+    const rowProblems = useMemo(() => {
+        const byBox = new Map()
+        textProblems.forEach((p) => p.boxId && byBox.set(p.boxId, [...(byBox.get(p.boxId) || []), p]))
+        return byBox
+    }, [textProblems])
 
     // Add state for image scroll offset
     const [imageScroll, setImageScroll] = useState({ x: 0, y: 0 })
     const imageScrollRef = useRef({ x: 0, y: 0 })
 
 
-    // Load persisted state on mount
+    const trackObjectUrl = (blob) => {
+        const url = URL.createObjectURL(blob)
+        objectUrlsRef.current.add(url)
+        return url
+    }
+
+    const releaseObjectUrls = () => {
+        objectUrlsRef.current.forEach((url) => URL.revokeObjectURL(url))
+        objectUrlsRef.current.clear()
+    }
+
+    // Queue a save of `d` to the session's project, creating the project on the first edit.
+    // Queued saves run one at a time, so a slow write cannot create the same project twice.
+    const saveDoc = (d) => {
+        const session = sessionRef.current
+        const shownBoxes = d.boxes.filter((b) => (b.page || 0) === pageIndex)
+        const thumbnail = imageRef.current ? makeThumbnail(imageRef.current, shownBoxes) : null
+        savedDocRef.current = d
+        saveQueueRef.current = saveQueueRef.current.then(async () => {
+            try {
+                const fields = {
+                    imageId: d.imageId,
+                    imageName: d.imageName,
+                    imageType: d.imageType,
+                    boxes: d.boxes,
+                    transforms: d.transforms,
+                    keyStyle: d.keyStyle,
+                    samples: d.samples,
+                }
+                const existing = session.projectId ? await getProject(session.projectId) : null
+                if (existing) {
+                    await saveProject({ ...existing, ...fields, thumbnail: thumbnail || existing.thumbnail })
+                } else if (!session.projectId && (d.imageId || d.boxes.length)) {
+                    // Only a session without a project creates one; a project deleted from the library stays deleted
+                    const project = await createProject({ ...fields, name: d.imageName.replace(/\.[^.]+$/, ''), thumbnail })
+                    session.projectId = project.id
+                    if (session === sessionRef.current) {
+                        setProjectId(project.id)
+                        setCurrentProjectId(project.id)
+                    }
+                }
+                setStorageError('')
+            } catch (err) {
+                setStorageError(`Could not save your work: ${err.message}`)
+            }
+        })
+    }
+
+    // Replace the editor contents with a document that starts a fresh undo history
+    const loadDoc = (next, id) => {
+        // Edits still waiting for the save delay belong to the project being left
+        if (libraryReady && doc !== savedDocRef.current) saveDoc(doc)
+        releaseObjectUrls()
+        savedDocRef.current = next
+        resetDoc(next)
+        sessionRef.current = { projectId: id }
+        setProjectId(id)
+        setCurrentProjectId(id)
+        setSelectedIds([])
+        setExportedText('')
+        setCopied(false)
+        setImportErrors([])
+    }
+
+    const openProject = async (id) => {
+        const project = await getProject(id)
+        if (!project) {
+            setCurrentProjectId(null)
+            return
+        }
+        const blob = project.imageId ? await getImage(project.imageId) : null
+        loadDoc(
+            {
+                imageId: blob ? project.imageId : null,
+                imageUrl: blob ? trackObjectUrl(blob) : null,
+                imageType: blob ? project.imageType || blob.type : null,
+                imageName: project.imageName || EMPTY_DOC.imageName,
+                boxes: Array.isArray(project.boxes) ? project.boxes : [],
+                transforms: Array.isArray(project.transforms) ? project.transforms : [],
+                keyStyle: project.keyStyle || DEFAULT_KEY_STYLE,
+                samples: Array.isArray(project.samples) ? project.samples : [],
+            },
+            project.id,
+        )
+        if (project.imageId && !blob) setStorageError(`The image of "${project.name}" is missing from storage`)
+    }
+
+    // The next edit creates a new project
+    const newProject = () => loadDoc(EMPTY_DOC, null)
+
+    // Migrate the old localStorage slot, then reopen the last project
     useEffect(() => {
-        try {
-            const raw = localStorage.getItem('annotator_state_v1')
-            if (!raw) return
-            const parsed = JSON.parse(raw)
-            if (parsed?.imageUrl) setImageUrl(parsed.imageUrl)
-            if (parsed?.imageName) setImageName(parsed.imageName)
-            if (Array.isArray(parsed?.boxes)) setBoxes(parsed.boxes)
-        } catch {
-            // ignore parse/storage errors
+        let cancelled = false
+        ;(async () => {
+            try {
+                const migrated = await migrateLegacyState()
+                await pruneImages()
+                const id = migrated?.id || getCurrentProjectId()
+                if (!cancelled && id) await openProject(id)
+            } catch (err) {
+                if (!cancelled) setStorageError(`Could not open the project library: ${err.message}`)
+            } finally {
+                if (!cancelled) setLibraryReady(true)
+            }
+        })()
+        return () => {
+            cancelled = true
         }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
     }, [])
 
-    // Persist state when image or boxes change
+    // Save edits to the library once they settle
     useEffect(() => {
-        try {
-            const payload = JSON.stringify({
-                imageUrl,
-                imageName,
-                boxes,
-                version: 1,
-                savedAt: Date.now(),
-            })
-            localStorage.setItem('annotator_state_v1', payload)
-        } catch {
-            // ignore quota/storage errors
-        }
-    }, [imageUrl, imageName, boxes])
+        if (!libraryReady || doc === savedDocRef.current) return
+        const timer = setTimeout(() => saveDoc(doc), SAVE_DELAY)
+        return () => clearTimeout(timer)
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [doc, libraryReady])
 
-    // Global key handlers for space-to-pan
+    // Global key handlers for space-to-pan and undo/redo
     useEffect(() => {
         const onKeyDown = (e) => {
+            if (isEditableTarget(e.target) && e.target.tagName !== 'INPUT') return
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+                // Undo/redo also covers field renames, so it takes over from the native input undo
+                e.preventDefault()
+                if (e.key === 'y' || e.shiftKey) redo()
+                else undo()
+                return
+            }
+            if (isEditableTarget(e.target)) return
             if (e.code === 'Space') {
                 e.preventDefault()
                 setSpaceDown(true)
             }
+            drawKeysRef.current?.(e)
         }
         const onKeyUp = (e) => {
-            if (e.code === 'Space') {
+            if (e.code === 'Space' && !isEditableTarget(e.target)) {
                 e.preventDefault()
                 setSpaceDown(false)
                 setIsPanning(false)
@@ -85,43 +511,163 @@ function App() {
             window.removeEventListener('keydown', onKeyDown)
             window.removeEventListener('keyup', onKeyUp)
         }
-    }, [])
+    }, [undo, redo])
 
-    // Load image from upload (as Data URL so it survives refresh)
-    const onFileChange = (e) => {
+    // Load image from upload, storing the file in the library so it survives refresh
+    const onFileChange = async (e) => {
         const file = e.target.files?.[0]
+        e.target.value = ''
         if (!file) return
-        const reader = new FileReader()
-        reader.onload = () => {
-            setImageUrl(reader.result)
-            setImageName(file.name || 'uploaded-image')
-            setBoxes([])
-            setExportedJson('')
-            setCopied(false)
-            resetView()
+        const id = crypto.randomUUID()
+        try {
+            await saveImage(id, file)
+        } catch (err) {
+            setStorageError(`Could not store ${file.name}: ${err.message}`)
+            return
         }
-        reader.readAsDataURL(file)
+        const type = file.type || (/\.pdf$/i.test(file.name) ? 'application/pdf' : '')
+        setDoc({ imageId: id, imageUrl: trackObjectUrl(file), imageType: type, imageName: file.name || 'uploaded-image', boxes: [], transforms: [] })
+        setSelectedIds([])
+        setExportedText('')
+        setCopied(false)
+        resetView()
     }
 
-    /// Prepare an off-DOM image object to keep natural sizes
+    // Show a freshly loaded page image
+    const showPageImage = (img) => {
+        imageRef.current = img
+        imageCacheRef.current = createImageCache(img)
+        fitCanvasToContainer()
+        resetView() // ensure fresh view for new image
+        scheduleDraw()
+    }
+
+    // Show the current page with its rotation and crop applied
+    useEffect(() => {
+        // Right after a page switch the previous page is still the source
+        if (!source || source.page !== pageIndex) return
+        if (isIdentity(pageTransform)) {
+            showPageImage(source.img)
+            return
+        }
+        let cancelled = false
+        let img = null
+        canvasToImage(renderTransformed(source.img, pageTransform)).then(
+            (result) => {
+                img = result
+                if (cancelled) URL.revokeObjectURL(img.src)
+                else showPageImage(img)
+            },
+            (err) => {
+                if (!cancelled) setLoadError(`Could not transform page ${pageIndex + 1}: ${err.message}`)
+            },
+        )
+        return () => {
+            cancelled = true
+            if (img) URL.revokeObjectURL(img.src)
+        }
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [source, pageTransform])
+
+    /// Prepare an off-DOM image object to keep natural sizes (or open the PDF)
     useEffect(() => {
+        setPageIndex(0)
+        setPdf(null)
+        setThumbnails([])
+        setLoadError('')
+        setOcrResults({})
+        setSuggestions([])
+        setSource(null)
         if (!imageUrl) {
             imageRef.current = null
-            requestAnimationFrame(draw)
+            imageCacheRef.current = null
+            setSourceSizes([])
+            scheduleDraw()
             return
         }
+
+        let cancelled = false
+        if (isPdfType(imageType)) {
+            let loaded = null
+            ;(async () => {
+                try {
+                    const { loadPdf, getPageSizes, renderPage, THUMBNAIL_SCALE } = await import('./pdf')
+                    loaded = await loadPdf(imageUrl)
+                    if (cancelled) return
+                    const sizes = await getPageSizes(loaded)
+                    if (cancelled) return
+                    setSourceSizes(sizes)
+                    setPdf(loaded)
+
+                    // Page strip previews, rendered one after another
+                    for (let i = 0; i < loaded.numPages && !cancelled; i++) {
+                        const thumb = await renderPage(loaded, i, THUMBNAIL_SCALE)
+                        if (cancelled) return
+                        const url = thumb.toDataURL('image/png')
+                        setThumbnails((prev) => {
+                            const next = [...prev]
+                            next[i] = url
+                            return next
+                        })
+                    }
+                } catch (err) {
+                    if (!cancelled) setLoadError(`Could not open PDF: ${err.message}`)
+                }
+            })()
+            return () => {
+                cancelled = true
+                imageRef.current = null
+                loaded?.destroy()
+            }
+        }
+
         const img = new Image()
         img.onload = () => {
-            imageRef.current = img
-            fitCanvasToContainer()
-            resetView() // ensure fresh view for new image
-            requestAnimationFrame(draw)
+            if (cancelled) return
+            setSourceSizes([{ width: img.naturalWidth, height: img.naturalHeight }])
+            setSource({ img, page: 0 })
+        }
+        img.onerror = () => {
+            if (!cancelled) setLoadError('Could not load image')
         }
         img.src = imageUrl
         return () => {
+            cancelled = true
             imageRef.current = null
         }
-    }, [imageUrl])
+    }, [imageUrl, imageType])
+
+    // Rasterize the current PDF page
+    useEffect(() => {
+        if (!pdf) return
+        let cancelled = false
+        let img = null
+        ;(async () => {
+            try {
+                const { renderPage } = await import('./pdf')
+                const canvas = await renderPage(pdf, pageIndex)
+                if (cancelled) return
+                img = await canvasToImage(canvas)
+                if (cancelled) return
+                setSource({ img, page: pageIndex })
+            } catch (err) {
+                if (!cancelled) setLoadError(`Could not render page ${pageIndex + 1}: ${err.message}`)
+            }
+        })()
+        return () => {
+            cancelled = true
+            if (img) URL.revokeObjectURL(img.src)
+        }
+    }, [pdf, pageIndex])
+
+    // Switch pages, keeping the selection only if it lives on the new page
+    const goToPage = (index) => {
+        if (index < 0 || index >= pageSizes.length || index === pageIndex) return
+        setPageIndex(index)
+        setDrag(null)
+        setIsDrawing(false)
+        setSelectedIds((ids) => ids.filter((id) => boxes.some((b) => b.id === id && (b.page || 0) === index)))
+    }
 
 
     // Replace window resize with ResizeObserver on the container (avoids reacting to browser UI show/hide)
@@ -130,6 +676,7 @@ function App() {
         if (!container) return
         let frame = 0
         let lastWidth = 0
+        let lastHeight = 0
 
         const ro = new ResizeObserver((entries) => {
             const entry = entries[0]
@@ -137,15 +684,18 @@ function App() {
             const width =
                 (entry && entry.contentBoxSize && (Array.isArray(entry.contentBoxSize) ? entry.contentBoxSize[0].inlineSize : entry.contentBoxSize.inlineSize)) ||
                 container.clientWidth
+            // Height only matters when fitting the whole page
+            const height = fitModeRef.current === 'page' ? container.clientHeight : lastHeight
 
-            // Only react to meaningful width changes (ignore tiny deltas from UI overlays)
-            if (Math.abs(width - lastWidth) < 1) return
+            // Only react to meaningful size changes (ignore tiny deltas from UI overlays)
+            if (Math.abs(width - lastWidth) < 1 && Math.abs(height - lastHeight) < 1) return
             lastWidth = width
+            lastHeight = height
 
             if (frame) cancelAnimationFrame(frame)
             frame = requestAnimationFrame(() => {
                 fitCanvasToContainer()
-                requestAnimationFrame(draw)
+                scheduleDraw()
             })
         })
 
@@ -157,37 +707,46 @@ function App() {
     }, [])
 
 
-    // Ensure canvas matches container width and preserves image aspect
+    // Ensure canvas matches container width (or the whole container in fit-page mode) and preserves image aspect
     const fitCanvasToContainer = () => {
         const canvas = canvasRef.current
+        const stack = stackRef.current
         const container = containerRef.current
         const img = imageRef.current
-        if (!canvas || !container || !img) return
+        if (!canvas || !stack || !container || !img) return
 
         // Calculate available space accounting for padding
         const containerWidth = container.clientWidth - 32 // 16px padding each side
         const containerHeight = container.clientHeight - 32 // 16px padding each side
         const aspect = img.naturalWidth / img.naturalHeight
 
-        // Size the canvas to show the full image width, but allow it to be taller than container
-        const nextCssWidth = Math.min(containerWidth, img.naturalWidth)
+        // Size the canvas to show the full image width, but allow it to be taller than container, or to show the whole page
+        const nextCssWidth =
+            fitModeRef.current === 'page'
+                ? Math.max(1, Math.min(containerWidth, Math.round(containerHeight * aspect), img.naturalWidth))
+                : Math.min(containerWidth, img.naturalWidth)
         const nextCssHeight = Math.round(nextCssWidth / aspect)
+        setCanvasWidth(nextCssWidth)
 
         const dpr = window.devicePixelRatio || 1
         const nextPixelWidth = Math.round(nextCssWidth * dpr)
         const nextPixelHeight = Math.round(nextCssHeight * dpr)
 
         // Avoid resetting sizes if unchanged
-        const curCssWidth = parseInt(canvas.style.width || '0', 10)
-        const curCssHeight = parseInt(canvas.style.height || '0', 10)
+        const curCssWidth = parseInt(stack.style.width || '0', 10)
+        const curCssHeight = parseInt(stack.style.height || '0', 10)
         if (curCssWidth === nextCssWidth && curCssHeight === nextCssHeight && canvas.width === nextPixelWidth && canvas.height === nextPixelHeight) {
             return
         }
 
-        canvas.style.width = `${nextCssWidth}px`
-        canvas.style.height = `${nextCssHeight}px`
-        canvas.width = nextPixelWidth
-        canvas.height = nextPixelHeight
+        // The layers fill the stack, so only their drawing buffers are sized here
+        stack.style.width = `${nextCssWidth}px`
+        stack.style.height = `${nextCssHeight}px`
+        const layers = [imageLayerRef.current, boxLayerRef.current, canvas]
+        layers.forEach((layer) => {
+            layer.width = nextPixelWidth
+            layer.height = nextPixelHeight
+        })
 
         // Reset scroll when canvas size changes
         imageScrollRef.current = { x: 0, y: 0 }
@@ -289,9 +848,268 @@ function App() {
         }
     }
 
-    // Mouse handlers
-    const onMouseDown = (e) => {
+    // Hit-test tolerance in natural pixels for a given size in CSS pixels
+    const screenToNatural = (size) => {
+        const canvas = canvasRef.current
+        const img = imageRef.current
+        if (!canvas || !img) return 0
+        const dpr = window.devicePixelRatio || 1
+        return (size * dpr * img.naturalWidth) / (zoomRef.current * canvas.width)
+    }
+
+    // Part of the canvas scrolled into view, in canvas pixels
+    const visibleCanvasRect = () => {
+        const canvas = canvasRef.current
+        const c = canvas.getBoundingClientRect()
+        const v = containerRef.current.getBoundingClientRect()
+        const dpr = window.devicePixelRatio || 1
+        const left = Math.max(c.left, v.left)
+        const top = Math.max(c.top, v.top)
+        return {
+            x: (left - c.left) * dpr,
+            y: (top - c.top) * dpr,
+            w: Math.max(0, Math.min(c.right, v.right) - left) * dpr,
+            h: Math.max(0, Math.min(c.bottom, v.bottom) - top) * dpr,
+        }
+    }
+
+    // The visible part of the page in natural pixels
+    const visibleImageRect = () => {
+        const canvas = canvasRef.current
+        const img = imageRef.current
+        const r = visibleCanvasRect()
+        const k = img.naturalWidth / canvas.width / zoomRef.current
+        return { x: (r.x - panRef.current.x) * k, y: (r.y - panRef.current.y) * k, w: r.w * k, h: r.h * k }
+    }
+
+    // Zoom buttons and 1:1 zoom around the middle of what is in view
+    const zoomInView = (factor) => {
+        if (!canvasRef.current || !imageRef.current) return
+        const r = visibleCanvasRect()
+        zoomAt(r.x + r.w / 2, r.y + r.h / 2, factor)
+    }
+
+    const zoomToActualPixels = () => zoomInView(actualPixelsZoom() / zoomRef.current)
+
+    const changeFitMode = (mode) => {
+        fitModeRef.current = mode
+        setFitMode(mode)
+        fitCanvasToContainer()
+        resetView()
+        scheduleDraw()
+    }
+
+    // Bring a point of the page (natural pixels) to the middle of the view by panning,
+    // and scroll the pane for whatever panning cannot cover (e.g. a tall page fitted to width)
+    const centerViewOn = (pt) => {
+        const canvas = canvasRef.current
+        const img = imageRef.current
+        const container = containerRef.current
+        if (!canvas || !img || !container) return
+        const r = visibleCanvasRect()
+        const z = zoomRef.current
+        const k = canvas.width / img.naturalWidth
+        const raw = { x: r.x + r.w / 2 - pt.x * k * z, y: r.y + r.h / 2 - pt.y * k * z }
+        const clamped = clampPan(z, raw)
+        panRef.current = clamped
+        setPan(clamped)
+        const dpr = window.devicePixelRatio || 1
+        container.scrollLeft += (clamped.x - raw.x) / dpr
+        container.scrollTop += (clamped.y - raw.y) / dpr
+        scheduleDraw()
+    }
+
+    // Minimap: the whole page with its boxes and the part in view
+    const paintMinimap = () => {
+        const mini = minimapRef.current
+        const img = imageRef.current
+        if (!mini || !img || !imageCacheRef.current) return
+        const dpr = window.devicePixelRatio || 1
+        const scale = MINIMAP_SIZE / Math.max(img.naturalWidth, img.naturalHeight)
+        const cssWidth = Math.max(1, Math.round(img.naturalWidth * scale))
+        const cssHeight = Math.max(1, Math.round(img.naturalHeight * scale))
+        if (mini.width !== Math.round(cssWidth * dpr) || mini.height !== Math.round(cssHeight * dpr)) {
+            mini.style.width = `${cssWidth}px`
+            mini.style.height = `${cssHeight}px`
+            mini.width = Math.round(cssWidth * dpr)
+            mini.height = Math.round(cssHeight * dpr)
+        }
+        drawMinimap(mini.getContext('2d'), imageCacheRef.current, {
+            width: mini.width,
+            height: mini.height,
+            dpr,
+            boxes: pageBoxes,
+            viewRect: visibleImageRect(),
+        })
+    }
+
+    // Natural page pixels under a pointer on the minimap
+    const minimapToImage = (e) => {
+        const rect = minimapRef.current.getBoundingClientRect()
+        const k = imageRef.current.naturalWidth / rect.width
+        return { x: (e.clientX - rect.left) * k, y: (e.clientY - rect.top) * k }
+    }
+
+    // Grabbing the viewport rectangle drags it; pressing elsewhere centers the view there first
+    const onMinimapPointerDown = (e) => {
+        if (!imageRef.current) return
+        e.currentTarget.setPointerCapture(e.pointerId)
+        const pt = minimapToImage(e)
+        const v = visibleImageRect()
+        const inside = pt.x >= v.x && pt.x <= v.x + v.w && pt.y >= v.y && pt.y <= v.y + v.h
+        minimapDragRef.current = inside ? { dx: v.x + v.w / 2 - pt.x, dy: v.y + v.h / 2 - pt.y } : { dx: 0, dy: 0 }
+        if (!inside) centerViewOn(pt)
+    }
+
+    const onMinimapPointerMove = (e) => {
+        const grab = minimapDragRef.current
+        if (!grab || !imageRef.current) return
+        const pt = minimapToImage(e)
+        centerViewOn({ x: pt.x + grab.dx, y: pt.y + grab.dy })
+    }
+
+    const endMinimapDrag = () => {
+        minimapDragRef.current = null
+    }
+
+    // Bring the sidebar row for a box into view (used when selecting on the canvas)
+    const focusRow = (id) => {
+        requestAnimationFrame(() => {
+            const el = rowRefs.current[id]
+            if (!el) return
+            el.scrollIntoView({ block: 'nearest' })
+            el.focus({ preventScroll: true })
+        })
+    }
+
+    // Zoom at which one image pixel covers one CSS pixel
+    const actualPixelsZoom = () => {
+        const canvas = canvasRef.current
+        const img = imageRef.current
+        if (!canvas || !img) return 1
+        return (img.naturalWidth * (window.devicePixelRatio || 1)) / canvas.width
+    }
+
+    // Zoom by `factor` around canvas point (mx, my), starting from pan `p`, and clamp pan to keep image edges within viewport
+    const zoomAt = (mx, my, factor, p = panRef.current) => {
+        const oldZ = zoomRef.current
+        const newZ = Math.min(Math.max(MAX_ZOOM, actualPixelsZoom()), Math.max(MIN_ZOOM, oldZ * factor))
+        if (newZ === oldZ && p === panRef.current) return
+
+        const rawPanX = mx - ((mx - p.x) * newZ) / oldZ
+        const rawPanY = my - ((my - p.y) * newZ) / oldZ
+        const clamped = clampPan(newZ, { x: rawPanX, y: rawPanY })
+
+        zoomRef.current = newZ
+        panRef.current = clamped
+        setZoom(newZ)
+        setPan(clamped)
+        scheduleDraw()
+    }
+
+    // Pointer handlers. Mouse, pen and a single finger draw, move and resize boxes alike;
+    // two fingers pan and pinch-zoom, and a long-press with a finger or pen works like Shift-click.
+    const onPointerDown = (e) => {
         if (!imageRef.current) return
+        e.currentTarget.setPointerCapture(e.pointerId)
+        if (e.pointerType === 'touch') {
+            touchesRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY })
+            if (touchesRef.current.size > 1) {
+                // Another finger turns whatever the first one started into a pan/pinch gesture
+                cancelLongPress()
+                cancelInteractions(drag?.before)
+                gestureRef.current = touchesRef.current.size === 2 ? touchGesture() : null
+                return
+            }
+        }
+        const dragging = startInteraction(e)
+        if (e.pointerType !== 'mouse') startLongPress(e, dragging ? doc : null)
+    }
+
+    const onPointerMove = (e) => {
+        if (collabRef.current && imageRef.current) sendCursor({ ...eventToImageCoords(e), page: pageIndex })
+        if (touchesRef.current.has(e.pointerId)) {
+            touchesRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY })
+            if (touchesRef.current.size > 1) {
+                if (gestureRef.current) updateGesture()
+                return
+            }
+        }
+        const press = pressRef.current
+        if (press?.pointerId === e.pointerId && Math.hypot(e.clientX - press.x, e.clientY - press.y) > LONG_PRESS_SLOP) cancelLongPress()
+        moveInteraction(e)
+    }
+
+    const onPointerUp = (e) => {
+        if (pressRef.current?.pointerId === e.pointerId) cancelLongPress()
+        if (touchesRef.current.delete(e.pointerId) && (gestureRef.current || touchesRef.current.size)) {
+            // Lifting fingers after a gesture does not resume drawing with the one left
+            gestureRef.current = touchesRef.current.size === 2 ? touchGesture() : null
+            return
+        }
+        endInteractions()
+    }
+
+    // The browser took the pointer over (e.g. a system gesture): drop what it was doing
+    const onPointerCancel = (e) => {
+        cancelLongPress()
+        touchesRef.current.delete(e.pointerId)
+        gestureRef.current = touchesRef.current.size === 2 ? touchGesture() : null
+        cancelInteractions(drag?.before)
+    }
+
+    // Center and spread of the first two fingers, in client pixels
+    const touchGesture = () => {
+        const [a, b] = [...touchesRef.current.values()]
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) }
+    }
+
+    // Pan by the movement of the two-finger center, then zoom around it by the change in spread
+    const updateGesture = () => {
+        const prev = gestureRef.current
+        const next = touchGesture()
+        gestureRef.current = next
+        const rect = canvasRef.current.getBoundingClientRect()
+        const dpr = window.devicePixelRatio || 1
+        const panned = { x: panRef.current.x + (next.x - prev.x) * dpr, y: panRef.current.y + (next.y - prev.y) * dpr }
+        zoomAt((next.x - rect.left) * dpr, (next.y - rect.top) * dpr, prev.distance ? next.distance / prev.distance : 1, panned)
+    }
+
+    // Toggle the box under a finger or pen held still. `before` is the document to restore when the press started a drag.
+    const startLongPress = (e, before) => {
+        const pt = eventToImageCoords(e)
+        const selection = selectedIds
+        const timer = setTimeout(() => {
+            pressRef.current = null
+            cancelInteractions(before)
+            const hit = boxIndex.hitTest(pt)
+            if (!hit) return
+            setSelectedIds(selection.includes(hit.id) ? selection.filter((id) => id !== hit.id) : [...selection, hit.id])
+            focusRow(hit.id)
+        }, LONG_PRESS_DELAY)
+        pressRef.current = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, timer }
+    }
+
+    const cancelLongPress = () => {
+        if (!pressRef.current) return
+        clearTimeout(pressRef.current.timer)
+        pressRef.current = null
+    }
+
+    // Abandon a drag or a box being drawn without recording anything; `before` undoes the drag's moves
+    const cancelInteractions = (before) => {
+        if (before) setDocTransient(before)
+        setDrag(null)
+        setIsDrawing(false)
+        setStartPt(null)
+        setCurrentPt(null)
+        setGuides([])
+        setIsPanning(false)
+    }
+
+    // Start panning, resizing, moving or drawing from a pointer press.
+    // Returns true when it started dragging a box, handle or divider.
+    const startInteraction = (e) => {
 
         if (spaceDown) {
             // Start panning
@@ -305,14 +1123,153 @@ function App() {
             return
         }
 
-        // Start drawing
         const pt = eventToImageCoords(e)
-        setStartPt(pt)
-        setCurrentPt(pt)
+        const tolerance = screenToNatural(HANDLE_SIZE / 2)
+        const { naturalWidth: width, naturalHeight: height } = imageRef.current
+
+        // Each click while drawing a polygon places a vertex
+        if (polygonDraft) {
+            const options = snapOptions(e)
+            addPolygonVertex(options ? snapPoint(pt, drawTargetsRef.current, options) : pt, tolerance)
+            return
+        }
+
+        // Turn the selected rotated rectangle from its rotation handle
+        const selected = pageBoxes.find((b) => b.id === selectedId)
+        const rotateHandle = selected && rotateHandleOf(selected)
+        if (rotateHandle && Math.hypot(rotateHandle.x - pt.x, rotateHandle.y - pt.y) <= tolerance) {
+            setDrag({ id: selected.id, handle: 'rotate', divider: null, origin: selected, group: [selected], targets: null, start: pt, before: doc })
+            return true
+        }
+
+        // Resize the selected box from one of its handles
+        const handle = selected && hitTestHandle(selected, pt, tolerance)
+        if (handle) {
+            const targets = snapTargets(
+                pageBoxes.filter((b) => b.id !== selected.id),
+                width,
+                height,
+            )
+            setDrag({ id: selected.id, handle, divider: null, origin: selected, group: [selected], targets, start: pt, before: doc })
+            return true
+        }
+
+        // Drag a column or row divider of the selected table
+        const divider = selected && isTable(selected) && hitTestDivider(selected, pt, tolerance)
+        if (divider) {
+            setDrag({ id: selected.id, handle: null, divider, origin: selected, group: [selected], targets: null, start: pt, before: doc })
+            return true
+        }
+
+        // Select and start moving the box under the cursor (with the rest of the selection, if it is part of it)
+        const hit = boxIndex.hitTest(pt)
+        if (hit && isAdditive(e)) {
+            toggleSelected(hit.id)
+            return
+        }
+        if (hit) {
+            const ids = selectedIds.includes(hit.id) ? selectedIds : [hit.id]
+            if (!selectedIds.includes(hit.id)) setSelectedIds(ids)
+            const group = pageBoxes.filter((b) => ids.includes(b.id))
+            const targets = snapTargets(
+                pageBoxes.filter((b) => !ids.includes(b.id)),
+                width,
+                height,
+            )
+            setDrag({ id: hit.id, handle: null, divider: null, origin: hit, group, targets, start: pt, before: doc })
+            focusRow(hit.id)
+            return true
+        }
+
+        // Clicking a suggestion accepts it
+        const suggestion = hitTestBoxes(pageSuggestions, pt)
+        if (suggestion) {
+            acceptSuggestions([suggestion.id])
+            setSelectedIds([suggestion.id])
+            focusRow(suggestion.id)
+            return
+        }
+
+        // Start drawing; a polygon starts with its first vertex
+        if (!isAdditive(e)) setSelectedIds([])
+        const options = snapOptions(e)
+        drawTargetsRef.current = snapTargets(pageBoxes, width, height)
+        const start = options ? snapPoint(pt, drawTargetsRef.current, options) : pt
+        setCurrentPt({ x: start.x, y: start.y })
+        if (drawKind === 'field' && drawShape === 'polygon') {
+            setPolygonDraft([{ x: start.x, y: start.y }])
+            return
+        }
+        setStartPt({ x: start.x, y: start.y })
         setIsDrawing(true)
     }
 
-    const onMouseMove = (e) => {
+    // Frame (and shape) of the box dragged out from start to end, or null when it is too small to keep.
+    // A point is centered on the start; a click without a drag places one of the default size.
+    const drawnRect = (start, end) => {
+        if (drawKind === 'field' && drawShape === 'point') {
+            const { naturalWidth: width, naturalHeight: height } = imageRef.current
+            const radius = Math.hypot(end.x - start.x, end.y - start.y)
+            const room = Math.min(start.x, start.y, width - start.x, height - start.y)
+            return room >= 1 ? pointFromCenter(start, Math.min(room, radius > 5 ? radius : DEFAULT_POINT_RADIUS)) : null
+        }
+        const rect = dragRect(start, end)
+        if (rect.w <= 5 || rect.h <= 5) return null
+        return drawKind === 'field' && drawShape === 'rotated-rect' ? { ...rect, shape: 'rotated-rect', angle: 0 } : rect
+    }
+
+    // Rotation handle of a rotated rectangle, or null for other boxes
+    const rotateHandleOf = (b) => (b.shape === 'rotated-rect' ? rotateHandlePoint(b, screenToNatural(ROTATE_HANDLE_OFFSET)) : null)
+
+    // Place the next vertex of the polygon being drawn. Clicking the first vertex again closes the polygon, and a
+    // click on the last one is ignored (the first half of a double-click, which closes it too).
+    const addPolygonVertex = (pt, tolerance) => {
+        const near = (p) => Math.hypot(p.x - pt.x, p.y - pt.y) <= tolerance
+        if (polygonDraft.length >= MIN_POLYGON_POINTS && near(polygonDraft[0])) finishPolygon()
+        else if (!near(polygonDraft[polygonDraft.length - 1])) setPolygonDraft([...polygonDraft, { x: pt.x, y: pt.y }])
+    }
+
+    // Add the polygon being drawn as a field, if it has enough vertices, and stop drawing
+    const finishPolygon = () => {
+        if (polygonDraft?.length >= MIN_POLYGON_POINTS) {
+            const id = crypto.randomUUID()
+            setBoxes((prev) => [...prev, { id, ...polygonFromPoints(polygonDraft), name: '', page: pageIndex }])
+            setSelectedIds([id])
+            focusRow(id)
+        }
+        cancelPolygon()
+    }
+
+    const cancelPolygon = () => {
+        setPolygonDraft(null)
+        setCurrentPt(null)
+        drawTargetsRef.current = null
+    }
+
+    // While drawing a polygon: Enter closes it, Escape drops it and Backspace takes back the last vertex
+    drawKeysRef.current = (e) => {
+        if (!polygonDraft) return
+        if (e.key === 'Enter') finishPolygon()
+        else if (e.key === 'Escape') cancelPolygon()
+        else if (e.key === 'Backspace' && polygonDraft.length > 1) setPolygonDraft(polygonDraft.slice(0, -1))
+        else if (e.key === 'Backspace') cancelPolygon()
+        else return
+        e.preventDefault()
+    }
+
+    // Switch what the next drag draws, dropping a polygon that was being drawn
+    const chooseDrawing = (kind, shape = drawShape) => {
+        setDrawKind(kind)
+        setDrawShape(shape)
+        cancelPolygon()
+    }
+
+    const toggleSelected = (id) => setSelectedIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id]))
+
+    // Snap settings for a pointer event, or null when snapping is off or Alt is held
+    const snapOptions = (e) => (snapEnabled && !e.altKey ? { tolerance: screenToNatural(SNAP_DISTANCE), grid: gridSize } : null)
+
+    const moveInteraction = (e) => {
         if (isPanning) {
             // Update pan relative to start and clamp to bounds
             const rect = canvasRef.current.getBoundingClientRect()
@@ -324,47 +1281,128 @@ function App() {
             const clamped = clampPan(zoomRef.current, raw)
             panRef.current = clamped
             setPan(clamped)
-            requestAnimationFrame(draw)
+            scheduleDraw()
+            return
+        }
+
+        if (drag) {
+            const { naturalWidth: width, naturalHeight: height } = imageRef.current
+            const pt = eventToImageCoords(e)
+            const options = snapOptions(e)
+            const moved = new Map()
+            if (drag.divider) {
+                moved.set(drag.id, moveDivider(drag.origin, drag.divider, pt))
+            } else if (drag.handle === 'rotate') {
+                moved.set(drag.id, { ...drag.origin, angle: angleTowards(drag.origin, pt, e.shiftKey ? ROTATE_STEP : 1) })
+            } else if (drag.handle) {
+                // The sides of a turned rectangle do not line up with anything to snap to
+                const snapped =
+                    options && !drag.origin.angle ? snapPoint(pt, drag.targets, { ...options, axes: handleAxes(drag.handle) }) : { ...pt, guides: [] }
+                moved.set(drag.id, resizeBox(drag.origin, drag.handle, snapped, width, height))
+                setGuides(snapped.guides)
+            } else {
+                // Move the selection as one rectangle so it snaps and stops at the image edge together
+                const bounds = boundingRect(drag.group)
+                let target = moveBox(bounds, pt.x - drag.start.x, pt.y - drag.start.y, width, height)
+                if (options) {
+                    const snapped = snapRect(target, drag.targets, options)
+                    target = moveBox(bounds, snapped.x - bounds.x, snapped.y - bounds.y, width, height)
+                    setGuides(snapped.guides)
+                }
+                drag.group.forEach((b) => moved.set(b.id, moveBox(b, target.x - bounds.x, target.y - bounds.y, width, height)))
+            }
+            // Intermediate positions stay out of the history; the whole drag is recorded on release
+            setDocTransient((d) => ({ ...d, boxes: d.boxes.map((b) => moved.get(b.id) || b) }))
             return
         }
 
-        if (!isDrawing) return
+        if (!isDrawing && !polygonDraft) {
+            if (e.pointerType !== 'touch') updateHoverCursor(e)
+            return
+        }
         const pt = eventToImageCoords(e)
-        setCurrentPt(pt)
-        requestAnimationFrame(draw)
+        const options = snapOptions(e)
+        if (options && drawTargetsRef.current) {
+            const snapped = snapPoint(pt, drawTargetsRef.current, options)
+            setCurrentPt({ x: snapped.x, y: snapped.y })
+            setGuides(snapped.guides)
+        } else {
+            setCurrentPt(pt)
+            setGuides([])
+        }
     }
+
+    // Show a move/resize cursor when hovering boxes and handles
+    const updateHoverCursor = (e) => {
+        const canvas = canvasRef.current
+        if (!canvas || !imageRef.current || spaceDown) {
+            if (canvas) canvas.style.cursor = ''
+            return
+        }
+        const pt = eventToImageCoords(e)
+        const selected = pageBoxes.find((b) => b.id === selectedId)
+        const tolerance = screenToNatural(HANDLE_SIZE / 2)
+        const rotateHandle = selected && rotateHandleOf(selected)
+        const handle = selected && hitTestHandle(selected, pt, tolerance)
+        const divider = !handle && selected && isTable(selected) && hitTestDivider(selected, pt, tolerance)
+        if (rotateHandle && Math.hypot(rotateHandle.x - pt.x, rotateHandle.y - pt.y) <= tolerance) canvas.style.cursor = 'grab'
+        else if (handle) canvas.style.cursor = HANDLE_CURSORS[handle]
+        else if (divider) canvas.style.cursor = divider.axis === 'col' ? 'col-resize' : 'row-resize'
+        else if (boxIndex.hitTest(pt)) canvas.style.cursor = 'move'
+        else if (hitTestBoxes(pageSuggestions, pt)) canvas.style.cursor = 'copy'
+        else canvas.style.cursor = ''
+    }
+
     const endInteractions = () => {
         setIsPanning(false)
+        setGuides([])
+        if (drag) {
+            // A click on a box selects it without adding an undo step
+            if (boxesChanged(drag.before.boxes, boxes)) recordDoc(drag.before)
+            setDrag(null)
+            return
+        }
         if (!isDrawing || !startPt || !currentPt) {
             setIsDrawing(false)
             return
         }
-        const x = Math.min(startPt.x, currentPt.x)
-        const y = Math.min(startPt.y, currentPt.y)
-        const w = Math.abs(currentPt.x - startPt.x)
-        const h = Math.abs(currentPt.y - startPt.y)
-
-        if (w > 5 && h > 5) {
+        const rect = drawnRect(startPt, currentPt)
+        if (rect) {
+            const id = crypto.randomUUID()
             setBoxes((prev) => [
                 ...prev,
                 {
-                    id: crypto.randomUUID(),
-                    x,
-                    y,
-                    w,
-                    h,
+                    id,
+                    ...rect,
                     name: '',
+                    page: pageIndex,
+                    ...(drawKind === 'anchor' ? { kind: 'anchor' } : drawKind === 'table' ? newTableProps() : {}),
                 },
             ])
+            setSelectedIds([id])
+            focusRow(id)
         }
         setIsDrawing(false)
         setStartPt(null)
         setCurrentPt(null)
-        requestAnimationFrame(draw)
+        drawTargetsRef.current = null
     }
 
-    const onMouseUp = () => endInteractions()
-    const onMouseLeave = () => endInteractions()
+    // Double-click closes a polygon being drawn; inside the selected table it adds a column divider there (a row
+    // divider with Alt)
+    const onDoubleClick = (e) => {
+        if (polygonDraft) {
+            finishPolygon()
+            return
+        }
+        const selected = pageBoxes.find((b) => b.id === selectedId)
+        if (!selected || !isTable(selected) || spaceDown) return
+        const pt = eventToImageCoords(e)
+        if (pt.x <= selected.x || pt.x >= selected.x + selected.w || pt.y <= selected.y || pt.y >= selected.y + selected.h) return
+        if (e.altKey && selected.rowPitch > 0) return
+        const next = addDivider(selected, e.altKey ? 'row' : 'col', pt)
+        if (next !== selected) setBoxes((prev) => prev.map((b) => (b.id === selected.id ? next : b)))
+    }
 
     // Modified wheel handler to handle image scrolling
     useEffect(() => {
@@ -384,25 +1422,9 @@ function App() {
                 const mx = (e.clientX - rect.left) * dpr
                 const my = (e.clientY - rect.top) * dpr
 
+                // Zoom towards cursor
                 const delta = -e.deltaY
-                const factor = Math.exp(delta * 0.0015)
-                const minZ = 0.2
-                const maxZ = 8
-
-                const oldZ = zoomRef.current
-                const newZ = Math.min(maxZ, Math.max(minZ, oldZ * factor))
-                if (newZ === oldZ) return
-
-                // Zoom towards cursor and clamp pan to keep image edges within viewport
-                const rawPanX = mx - ((mx - panRef.current.x) * newZ) / oldZ
-                const rawPanY = my - ((my - panRef.current.y) * newZ) / oldZ
-                const clamped = clampPan(newZ, { x: rawPanX, y: rawPanY })
-
-                zoomRef.current = newZ
-                panRef.current = clamped
-                setZoom(newZ)
-                setPan(clamped)
-                requestAnimationFrame(draw)
+                zoomAt(mx, my, Math.exp(delta * 0.0015))
                 return
             }
 
@@ -420,7 +1442,7 @@ function App() {
                 const clamped = clampPan(zoomRef.current, raw)
                 panRef.current = clamped
                 setPan(clamped)
-                requestAnimationFrame(draw)
+                scheduleDraw()
                 return
             }
 
@@ -447,142 +1469,470 @@ function App() {
 
 
 
-    // Core render to canvas
-    const draw = () => {
+    // Mark layers ('image', 'boxes', 'overlay', 'minimap'; all by default) for repainting on the next animation frame
+    const scheduleDraw = (...layers) => {
+        const names = layers.length ? layers : ALL_LAYERS
+        names.forEach((name) => dirtyRef.current.add(name))
+        if (frameRef.current) return
+        frameRef.current = requestAnimationFrame(() => {
+            frameRef.current = 0
+            const dirty = dirtyRef.current
+            dirtyRef.current = new Set()
+            paintRef.current?.(dirty)
+        })
+    }
+
+    // Repaint the dirty layers. The image layer only changes with the view, the box layer with the boxes too,
+    // and the overlay is cheap enough to follow every pointer move.
+    const paint = (dirty) => {
         const canvas = canvasRef.current
-        const ctx = canvas?.getContext('2d')
+        const imageLayer = imageLayerRef.current
+        const boxLayer = boxLayerRef.current
         const img = imageRef.current
-        if (!canvas || !ctx) return
-
-        // Clear to white
-        ctx.setTransform(1, 0, 0, 1, 0, 0)
-        ctx.clearRect(0, 0, canvas.width, canvas.height)
-
-        if (!img) {
-            ctx.fillStyle = '#f5f5f5'
-            ctx.fillRect(0, 0, canvas.width, canvas.height)
-            ctx.fillStyle = '#888'
-            ctx.font = `${14 * (window.devicePixelRatio || 1)}px sans-serif`
-            ctx.fillText('Upload an image to start annotating', 12, 28)
+        if (!canvas || !imageLayer || !boxLayer) return
+        const dpr = window.devicePixelRatio || 1
+
+        if (!img || !imageCacheRef.current) {
+            const view = { zoom: 1, pan: { x: 0, y: 0 }, sx: 1, sy: 1, width: canvas.width, height: canvas.height, dpr }
+            drawPlaceholder(imageLayer.getContext('2d'), view, imageUrl ? 'Loading…' : 'Upload an image or PDF to start annotating')
+            clearLayer(boxLayer.getContext('2d'), view)
+            clearLayer(canvas.getContext('2d'), view)
             return
         }
 
-        // Apply pan/zoom (already clamped)
-        ctx.setTransform(zoomRef.current, 0, 0, zoomRef.current, panRef.current.x, panRef.current.y)
+        // Pan/zoom (already clamped) and natural -> canvas drawing pixels (pre-transform)
+        const view = {
+            zoom: zoomRef.current,
+            pan: panRef.current,
+            sx: canvas.width / img.naturalWidth,
+            sy: canvas.height / img.naturalHeight,
+            width: canvas.width,
+            height: canvas.height,
+            dpr,
+        }
+        if (dirty.has('image')) drawImageLayer(imageLayer.getContext('2d'), view, imageCacheRef.current)
+        if (dirty.has('boxes') && compareChanges) {
+            drawDiffLayer(boxLayer.getContext('2d'), view, {
+                changes: compareChanges.filter((c) => c.page === pageIndex && (showUnchanged || c.status !== 'unchanged')),
+            })
+        } else if (dirty.has('boxes')) {
+            drawBoxLayer(boxLayer.getContext('2d'), view, {
+                boxes: pageBoxes,
+                index: boxIndex,
+                labels: boxLabels,
+                isWeak: (b) => {
+                    // Flag fields whose OCR came back empty or with low confidence
+                    const ocr = getOcrResult(b)
+                    return ocr && !ocr.stale && ocr.weak
+                },
+                suggestions: pageSuggestions,
+                hoveredSuggestion,
+                failing: failingIds,
+            })
+        }
+        if (dirty.has('overlay')) {
+            const handleBox = pageBoxes.find((b) => b.id === selectedId) || null
+            drawOverlay(canvas.getContext('2d'), view, {
+                selected: pageBoxes.filter((b) => selectedIds.includes(b.id)),
+                handleBox,
+                rotateHandle: handleBox && rotateHandleOf(handleBox),
+                handleSize: HANDLE_SIZE,
+                guides,
+                rubberBand: isDrawing && startPt && currentPt ? (drawnRect(startPt, currentPt) ?? dragRect(startPt, currentPt)) : null,
+                polyline: polygonDraft && { points: polygonDraft, pointer: currentPt },
+                peers: peers.map((p) => ({
+                    name: p.name,
+                    color: p.color,
+                    cursor: p.cursor?.page === pageIndex ? p.cursor : null,
+                    selected: pageBoxes.filter((b) => p.selection.includes(b.id)),
+                })),
+            })
+        }
+        if (dirty.has('minimap')) paintMinimap()
+    }
+    paintRef.current = paint
 
-        // Draw image scaled to canvas drawing size
-        ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+    // Repaint what each kind of change affects
+    useEffect(() => {
+        scheduleDraw()
+    }, [pageIndex, zoom, pan, showMinimap])
+    useEffect(() => {
+        scheduleDraw('boxes', 'overlay', 'minimap')
+    }, [boxes, suggestions, hoveredSuggestion, ocrResults])
+    useEffect(() => {
+        scheduleDraw('boxes')
+    }, [compareChanges, showUnchanged, failingIds])
+    useEffect(() => {
+        scheduleDraw('overlay')
+    }, [selectedIds, guides, isDrawing, startPt, currentPt, polygonDraft, peers])
 
+    // Box list editing
+    const updateBoxName = (id, name) => {
+        // Consecutive keystrokes in the same field merge into one undo step
+        setBoxes((prev) => prev.map((b) => (b.id === id ? { ...b, name } : b)), { merge: `rename:${id}` })
+    }
 
-        // Helper for converting natural -> canvas drawing pixels (pre-transform)
-        const sx = canvas.width / img.naturalWidth
-        const sy = canvas.height / img.naturalHeight
+    const setKeyStyle = (style) => setDoc((d) => ({ ...d, keyStyle: style }))
 
-        // Draw existing boxes
-        boxes.forEach((b, idx) => {
-            const x = Math.round(b.x * sx)
-            const y = Math.round(b.y * sy)
-            const w = Math.round(b.w * sx)
-            const h = Math.round(b.h * sy)
+    const setSamples = (updater, options) => setDoc((d) => ({ ...d, samples: updater(d.samples || EMPTY_DOC.samples) }), options)
 
-            ctx.lineWidth = 2
-            ctx.strokeStyle = '#2dd4bf'
-            ctx.strokeRect(x, y, w, h)
+    // Go to a field from the accuracy report and select it
+    const showField = (id) => {
+        const box = boxes.find((b) => b.id === id)
+        if (!box) return
+        goToPage(box.page || 0)
+        setSelectedIds([id])
+    }
 
-            const label = b.name || `Field ${idx + 1}`
-            ctx.font = `${12 * (window.devicePixelRatio || 1)}px sans-serif`
-            const padding = 4
-            const metrics = ctx.measureText(label)
-            const labelW = Math.ceil(metrics.width) + padding * 2
-            const labelH = 18
+    // Rename the second and later boxes whose names give the same key, as one undo step
+    const numberRepeated = () => setBoxes((prev) => numberRepeatedNames(prev, keyStyle))
 
-            // Label background and text
-            ctx.fillStyle = 'rgba(45, 212, 191, 0.85)'
-            ctx.fillRect(x, Math.max(0, y - labelH), labelW, labelH)
-            ctx.fillStyle = '#053b37'
-            ctx.fillText(label, x + padding, Math.max(12, y - 6))
-        })
+    // Move a box to a position in the list, which renumbers the boxes and sets their order in the export
+    const moveInList = (id, index) => setBoxes((prev) => moveToIndex(prev, id, index))
 
-        // Draw active rectangle
-        if (isDrawing && startPt && currentPt) {
-            const x = Math.min(startPt.x, currentPt.x) * sx
-            const y = Math.min(startPt.y, currentPt.y) * sy
-            const w = Math.abs(currentPt.x - startPt.x) * sx
-            const h = Math.abs(currentPt.y - startPt.y) * sy
+    const dropRow = (targetId, after) => {
+        const id = draggedRowRef.current
+        draggedRowRef.current = null
+        setDropTarget(null)
+        if (id) moveInList(id, boxes.findIndex((b) => b.id === targetId) + (after ? 1 : 0))
+    }
 
-            ctx.setLineDash([6, 4])
-            ctx.lineWidth = 2
-            ctx.strokeStyle = '#f97316'
-            ctx.strokeRect(Math.round(x), Math.round(y), Math.round(w), Math.round(h))
-            ctx.setLineDash([])
-        }
+    const sortByReadingOrder = () => setBoxes((prev) => readingOrder(prev, { direction: readingDirection, flow: readingFlow }))
+
+    // Apply a partial update (type, required, rules) to one box
+    const updateBox = (id, patch, options) => {
+        setBoxes((prev) => prev.map((b) => (b.id === id ? { ...b, ...patch } : b)), options)
     }
 
-    // Redraw when boxes or view change
-    useEffect(() => {
-        requestAnimationFrame(draw)
-        // eslint-disable-next-line react-hooks/exhaustive-deps
-    }, [boxes, isDrawing, startPt, currentPt, zoom, pan])
+    // Redraw a field as another shape over the same area (see changeShape)
+    const setBoxShape = (id, shape) => {
+        setBoxes((prev) => prev.map((b) => (b.id === id ? changeShape(b, shape) : b)))
+    }
 
-    // Box list editing
-    const updateBoxName = (id, name) => {
-        setBoxes((prev) => prev.map((b) => (b.id === id ? { ...b, name } : b)))
+    // Typing an angle digit by digit is one undo step
+    const setBoxAngle = (id, angle) => updateBox(id, { angle: normalizeAngle(angle) }, { merge: `angle:${id}` })
+
+    // Change the rotation and crop of the current page. Its boxes are mapped along in the same undo step;
+    // suggestions from auto-detect are dropped since they were found on the old image.
+    const setPageTransform = (next, options) => {
+        const page = pageIndex
+        const size = sourceSizes[page]
+        if (!size) return
+        setDoc((d) => {
+            const from = d.transforms?.[page] || IDENTITY_TRANSFORM
+            const nextTransforms = [...(d.transforms || [])]
+            nextTransforms[page] = isIdentity(next) ? null : next
+            return { ...d, transforms: nextTransforms, boxes: d.boxes.map((b) => ((b.page || 0) === page ? mapBox(b, size, from, next) : b)) }
+        }, options)
+        setSuggestions((prev) => prev.filter((s) => s.page !== page))
+    }
+
+    const setPageRotation = (rotation, options) => setPageTransform(withRotation(sourceSizes[pageIndex], pageTransform, rotation), options)
+
+    // Grayscale copy of the shown page for the image analysis tools, and the factor back to page pixels
+    const analysePage = () => {
+        const img = imageRef.current
+        const scale = Math.min(1, ANALYSIS_WIDTH / img.naturalWidth)
+        const gray = toGray(img, Math.max(1, Math.round(img.naturalWidth * scale)), Math.max(1, Math.round(img.naturalHeight * scale)))
+        return { gray, k: 1 / scale }
+    }
+
+    // Level the text lines of the shown page on top of its current rotation
+    const deskewPage = () => {
+        if (!imageRef.current) return
+        const skew = estimateSkew(analysePage().gray)
+        if (skew) setPageRotation((pageTransform?.rotation || 0) + skew)
+    }
+
+    // Crop the shown page to its content; the crop is relative to the rotated page, so an existing crop is refined
+    const cropPageToContent = () => {
+        if (!imageRef.current) return
+        const { gray, k } = analysePage()
+        const bounds = contentBounds(gray)
+        if (!bounds) return
+        const rotated = rotatedSize(sourceSizes[pageIndex], pageTransform?.rotation || 0)
+        const x = Math.round((pageTransform?.crop?.x || 0) + bounds.x * k)
+        const y = Math.round((pageTransform?.crop?.y || 0) + bounds.y * k)
+        const w = Math.min(rotated.width - x, Math.round(bounds.w * k))
+        const h = Math.min(rotated.height - y, Math.round(bounds.h * k))
+        if (w === rotated.width && h === rotated.height) return
+        setPageTransform({ rotation: pageTransform?.rotation || 0, crop: { x, y, w, h } })
+    }
+
+    // Run an arrange tool on the selected boxes of this page as one undo step.
+    // The first selected box is the reference for matching sizes.
+    const selectedBoxes = selectedIds.map((id) => pageBoxes.find((b) => b.id === id)).filter(Boolean)
+    const arrangeSelection = (fn) => {
+        if (selectedBoxes.length < 2) return
+        const arranged = new Map(fn(selectedBoxes).map((b) => [b.id, b]))
+        setBoxes((prev) => prev.map((b) => arranged.get(b.id) || b))
+    }
+
+    const matchSelectionSize = (dim) => {
+        const { width, height } = pageSizes[pageIndex]
+        arrangeSelection((g) => matchSize(g, dim, g[0], width, height))
     }
 
     const deleteBox = (id) => {
         setBoxes((prev) => prev.filter((b) => b.id !== id))
+        setSelectedIds((ids) => ids.filter((x) => x !== id))
     }
 
+    // Undoable: the cleared document is persisted like any other edit
     const clearAll = () => {
-        setBoxes([])
-        setExportedJson('')
+        setDoc(EMPTY_DOC)
+        setSelectedIds([])
+        setExportedText('')
         setCopied(false)
-        setImageUrl(null)
-        setImageName('uploaded-image')
+        resetView()
+        scheduleDraw()
+    }
+
+    // Export in natural image pixels and also percentages for portability, converted to the selected format
+    const exportTemplate = () => {
+        if (!pageSizes.length) return
+        const payload = buildTemplate(boxes, { name: imageName, pages: pageSizes, sources: sourceSizes, transforms, keyStyle })
+        setExportedText(bundleFiles(exportTemplateAs(exportFormat, payload)))
+        setExportNotes(exportWarnings(exportFormat, payload))
+        setCopied(false)
+        setImportErrors([])
+    }
+
+    // Rebuild boxes from text in the selected format (rescaled when the image size differs). Older templates are
+    // migrated on the way in. The text goes to the JSON panel, where unreadable input is reported inline.
+    const importTemplate = (text) => {
+        if (!pageSizes.length) return
+        setExportedText(text)
+        setExportNotes([])
+        setCopied(false)
+        let data
         try {
-            localStorage.removeItem('annotator_state_v1')
+            data = importTemplateAs(exportFormat, text)
         } catch {
-            // ignore
+            setImportErrors([])
+            return
         }
-        resetView()
-        requestAnimationFrame(draw)
+        const { boxes: imported, errors } = parseTemplate(data, pageSizes)
+        setImportErrors(errors)
+        if (errors.length) return
+        // Templates name the key style their output was written with
+        const style = KEY_STYLES.some((s) => s.value === data.keyStyle) ? data.keyStyle : keyStyle
+        setDoc((d) => ({ ...d, boxes: imported, keyStyle: style }))
+        setSelectedIds([])
+    }
+
+    // Boxes of template text for compare mode, fitted to the open document like an import; throws on any problem
+    const parseCompareText = (text, formatId) => {
+        const { boxes: parsed, errors } = parseTemplate(importTemplateAs(formatId, text), pageSizes)
+        if (errors.length) throw new Error(errors.join('; '))
+        return parsed
+    }
+
+    // Show where a compared box is: its page, and the box itself when it is still in the document
+    const showChange = (change) => {
+        const box = change.after || change.before
+        goToPage(box.page || 0)
+        if (boxes.some((b) => b.id === box.id)) setSelectedIds([box.id])
+    }
+
+    // Join a room with the current boxes; a room that already has boxes merges them with these
+    const joinCollab = (settings) => {
+        saveCollabSettings(settings)
+        setCollabSettings(settings)
+        collabRef.current?.session.close()
+        const collab = { imageId: doc.imageId, synced: boxes, session: null }
+        collabRef.current = collab
+        collab.session = createCollabSession({
+            ...settings,
+            boxes,
+            onChanges: (changes) => collabRef.current === collab && remoteChangesRef.current(changes),
+            onPeers: (list) => collabRef.current === collab && setPeers(list),
+            onStatus: (status) => collabRef.current === collab && setCollabStatus(status),
+        })
+    }
+
+    const leaveCollab = () => {
+        collabRef.current?.session.close()
+        collabRef.current = null
+        setCollabStatus(null)
+        setPeers([])
+    }
+
+    // Pointer moves come faster than anyone can follow; the cursor is sent once per animation frame, the latest one
+    const sendCursor = (cursor) => {
+        const frame =
+            cursorRef.current?.frame ??
+            requestAnimationFrame(() => {
+                const latest = cursorRef.current.cursor
+                cursorRef.current = null
+                collabRef.current?.session.setPresence({ cursor: latest })
+            })
+        cursorRef.current = { cursor, frame }
+    }
+
+    // Collaborators' edits go into every step of the undo history, so undo only takes back local edits.
+    // The list the session last saw gets them too, so they are not sent back as local edits; the document's boxes
+    // are that same list unless local edits are still waiting to be sent.
+    remoteChangesRef.current = (changes) => {
+        const collab = collabRef.current
+        const synced = collab.synced
+        const next = applyChanges(synced, changes)
+        collab.synced = next
+        rebaseDoc((d) => ({ ...d, boxes: d.boxes === synced ? next : applyChanges(d.boxes, changes) }))
+        // A drag in progress is recorded as one step on release, from the state before it
+        setDrag((g) => g && { ...g, before: { ...g.before, boxes: applyChanges(g.before.boxes, changes) } })
     }
 
-    // Export JSON in natural image pixels and also percentages for portability
-    const exportJson = () => {
+    // Send local edits to the room; opening another image leaves it
+    useEffect(() => {
+        const collab = collabRef.current
+        if (!collab) return
+        if (doc.imageId !== collab.imageId) {
+            leaveCollab()
+            return
+        }
+        if (boxes === collab.synced) return
+        collab.session.update(collab.synced, boxes)
+        collab.synced = boxes
+    }, [boxes, doc.imageId])
+
+    useEffect(() => {
+        collabRef.current?.session.setPresence({ selection: selectedIds })
+    }, [selectedIds, collabStatus])
+
+    useEffect(() => () => collabRef.current?.session.close(), [])
+
+    // Select the line a problem starts on in the JSON panel and scroll it into view
+    const showProblemLine = (line) => {
+        const el = jsonRef.current
+        if (!el || !line) return
+        const lines = el.value.split('\n')
+        const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0)
+        el.focus()
+        el.setSelectionRange(start, start + lines[line - 1].length)
+        el.scrollTop = (line - 3) * parseFloat(getComputedStyle(el).lineHeight)
+    }
+
+    const downloadExport = () => {
+        const { name, data, type } = packFiles(exportFormat, unbundleFiles(exportedText), imageName)
+        downloadFile(name, data, type)
+    }
+
+    // Match this page's anchors in another scan and preview the fields warped onto it
+    const onAlignFileChange = (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        const reference = imageRef.current
+        if (!file || !reference) return
+        const anchors = pageAnchors
+        const fields = pageBoxes.filter((b) => !isAnchor(b))
+        const url = URL.createObjectURL(file)
+        const scan = new Image()
+        scan.onload = () => {
+            setAligning(true)
+            // Let the "Aligning…" state paint before the matching blocks the main thread
+            setTimeout(() => {
+                const result = registerScan(reference, scan, anchors)
+                setAlignment({ scan, scanName: file.name, result, fields })
+                setAligning(false)
+            }, 0)
+        }
+        scan.onerror = () => {
+            URL.revokeObjectURL(url)
+            setLoadError(`Could not load scan ${file.name}`)
+        }
+        scan.src = url
+    }
+
+    const closeAlignment = () => {
+        if (alignment?.scan) URL.revokeObjectURL(alignment.scan.src)
+        setAlignment(null)
+    }
+
+    // OCR result for a box; stale once the box has been moved, resized or turned since it was read
+    const getOcrResult = (b) => {
+        const r = ocrResults[b.id]
+        if (!r) return null
+        const stale = r.rect.x !== b.x || r.rect.y !== b.y || r.rect.w !== b.w || r.rect.h !== b.h || r.rect.angle !== b.angle || r.rect.page !== (b.page || 0)
+        return { ...r, stale }
+    }
+
+    // Crop every field on this page at natural resolution and run it through the bundled OCR engine
+    const runOcr = async () => {
+        const img = imageRef.current
+        const targets = pageBoxes.filter(isField)
+        if (!img || !targets.length) return
+        setOcrError('')
+        setOcrProgress({ done: 0, total: targets.length })
+        try {
+            const { recognizeBox, isWeakResult } = await import('./ocr')
+            for (const [i, b] of targets.entries()) {
+                const r = await recognizeBox(img, b)
+                const rect = { x: b.x, y: b.y, w: b.w, h: b.h, angle: b.angle, page: b.page || 0 }
+                setOcrResults((prev) => ({ ...prev, [b.id]: { ...r, weak: isWeakResult(r), rect } }))
+                setOcrProgress({ done: i + 1, total: targets.length })
+            }
+        } catch (err) {
+            setOcrError(`OCR failed: ${err.message}`)
+        } finally {
+            setOcrProgress(null)
+        }
+    }
+
+    // Find printed boxes, checkbox squares and fill-in lines on this page and offer them as suggestions
+    const runDetect = async () => {
         const img = imageRef.current
         if (!img) return
-        const payload = {
-            image: {
-                name: imageName || 'uploaded-image',
-                width: img.naturalWidth,
-                height: img.naturalHeight,
-            },
-            fields: boxes.map((b) => {
-                const px = { x: b.x, y: b.y, width: b.w, height: b.h }
-                const pct = {
-                    x: +(b.x / img.naturalWidth).toFixed(6),
-                    y: +(b.y / img.naturalHeight).toFixed(6),
-                    width: +(b.w / img.naturalWidth).toFixed(6),
-                    height: +(b.h / img.naturalHeight).toFixed(6),
-                }
-                return {
-                    id: b.id,
-                    name: b.name || '',
-                    pixels: px,
-                    percent: pct,
-                }
-            }),
+        const page = pageIndex
+        setDetectError('')
+        setDetecting(true)
+        try {
+            const { detectFields } = await import('./detect.js')
+            const found = await detectFields(img)
+            // Leave out regions that already have a box
+            const fresh = found.filter((r) => !pageBoxes.some((b) => overlapRatio(b, r) > 0.5))
+            setSuggestions((prev) => [...prev.filter((s) => s.page !== page), ...fresh.map((r) => ({ ...r, id: crypto.randomUUID(), page }))])
+        } catch (err) {
+            setDetectError(`Auto-detect failed: ${err.message}`)
+        } finally {
+            setDetecting(false)
         }
-        const json = JSON.stringify(payload, null, 2)
-        setExportedJson(json)
-        setCopied(false)
+    }
+
+    // Accepted suggestions become fields with their guessed type (one undo step)
+    const acceptSuggestions = (ids) => {
+        const accepted = suggestions.filter((s) => ids.includes(s.id))
+        if (!accepted.length) return
+        setBoxes((prev) => [
+            ...prev,
+            ...accepted.map(({ id, x, y, w, h, page, type }) => ({ id, x, y, w, h, name: '', page, ...(type !== DEFAULT_FIELD_TYPE ? { type } : {}) })),
+        ])
+        setSuggestions((prev) => prev.filter((s) => !ids.includes(s.id)))
+        setHoveredSuggestion(null)
+    }
+
+    const rejectSuggestions = (ids) => {
+        setSuggestions((prev) => prev.filter((s) => !ids.includes(s.id)))
+        setHoveredSuggestion(null)
+    }
+
+    const toggleAnchor = (id) => {
+        // Anchors are matched as rectangular patches, so a shaped field becomes the rectangle it covers
+        setBoxes((prev) => prev.map((b) => (b.id !== id ? b : isAnchor(b) ? { ...b, kind: undefined } : { ...withoutShape(b), kind: 'anchor' })))
+    }
+
+    // Several files are imported together, like the pages of a VOC export or YOLO labels with their classes.txt
+    const onImportFileChange = (e) => {
+        const files = [...(e.target.files || [])].sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }))
+        e.target.value = '' // allow re-importing the same file
+        if (!files.length) return
+        Promise.all(files.map((f) => f.text())).then((texts) => importTemplate(bundleFiles(files.map((f, i) => ({ name: f.name, content: texts[i] })))))
     }
 
     const copyToClipboard = async () => {
-        if (!exportedJson) return
+        if (!exportedText) return
         try {
-            await navigator.clipboard.writeText(exportedJson)
+            await navigator.clipboard.writeText(exportedText)
             setCopied(true)
             setTimeout(() => setCopied(false), 1500)
         } catch {
@@ -590,90 +1940,661 @@ function App() {
         }
     }
 
+    // Zoom readout: screen (CSS) pixels per image pixel, as a percentage
+    const pageWidth = pageSizes[pageIndex]?.width
+    const zoomPercent = imageUrl && canvasWidth && pageWidth ? Math.round(((zoom * canvasWidth) / pageWidth) * 100) : null
+
     return (
         <div className="page">
             <header className="header">
                 <h1>Form Field Bounding Box Generator</h1>
                 <div className="controls">
+                    <button onClick={() => setLibraryOpen(true)} title="Saved projects">
+                        Library
+                    </button>
                     <label className="file">
-                        <input type="file" accept="image/*" onChange={onFileChange} />
+                        <input type="file" accept="image/*,application/pdf" onChange={onFileChange} />
                     </label>
+                    <div className="segmented" title="Kind of box to draw">
+                        <button className={drawKind === 'field' ? 'active' : ''} onClick={() => chooseDrawing('field')}>
+                            Field
+                        </button>
+                        <button className={drawKind === 'anchor' ? 'active' : ''} onClick={() => chooseDrawing('anchor')}>
+                            Anchor
+                        </button>
+                        <button className={drawKind === 'table' ? 'active' : ''} onClick={() => chooseDrawing('table')}>
+                            Table
+                        </button>
+                    </div>
+                    <div className="segmented" title="Shape of the fields to draw">
+                        {SHAPES.map((s) => (
+                            <button
+                                key={s.value}
+                                className={drawKind === 'field' && drawShape === s.value ? 'active' : ''}
+                                onClick={() => chooseDrawing('field', s.value)}
+                            >
+                                {s.label}
+                            </button>
+                        ))}
+                    </div>
+                    <label className="check" title="Snap to edges and centers of other boxes and to the grid (hold Alt to place freely)">
+                        <input type="checkbox" checked={snapEnabled} onChange={(e) => setSnapEnabled(e.target.checked)} />
+                        Snap
+                    </label>
+                    <label className="check" title="Grid size in image pixels (0 for none)">
+                        Grid
+                        <input
+                            className="grid-input"
+                            type="number"
+                            min={0}
+                            step={1}
+                            value={gridSize}
+                            disabled={!snapEnabled}
+                            onChange={(e) => setGridSize(Math.max(0, Math.round(Number(e.target.value) || 0)))}
+                        />
+                    </label>
+                    <label
+                        className={`button ${pageAnchors.length < MIN_ANCHORS || aligning ? 'button--disabled' : ''}`}
+                        title={`Align another scan using the anchors on this page (needs ${MIN_ANCHORS} or more)`}
+                    >
+                        {aligning ? 'Aligning…' : 'Align Scan'}
+                        <input type="file" accept="image/*" onChange={onAlignFileChange} disabled={pageAnchors.length < MIN_ANCHORS || aligning} hidden />
+                    </label>
+                    <button onClick={runOcr} disabled={!imageUrl || !!ocrProgress || !pageBoxes.some(isField)} title="Read each field on this page with OCR">
+                        {ocrProgress ? `OCR ${ocrProgress.done}/${ocrProgress.total}…` : 'Test OCR'}
+                    </button>
+                    {Object.keys(ocrResults).length > 0 && !ocrProgress && <button onClick={() => setOcrResults({})}>Clear OCR</button>}
+                    <button onClick={runDetect} disabled={!imageUrl || detecting} title="Suggest boxes from printed lines, boxes and checkboxes on this page">
+                        {detecting ? 'Detecting…' : 'Auto-detect'}
+                    </button>
+                    <button onClick={() => setBatchOpen(true)} title="Apply the template to many forms and export field crops">
+                        Batch
+                    </button>
+                    <button onClick={() => setCompareOpen((open) => !open)} disabled={!imageUrl} title="Compare two versions of the template on this image">
+                        Compare
+                    </button>
+                    <button
+                        onClick={() => setAccuracyOpen((open) => !open)}
+                        disabled={!imageUrl}
+                        title="Measure extraction accuracy against expected values of sample forms"
+                    >
+                        Accuracy
+                    </button>
+                    <button
+                        onClick={() => setCollabOpen((open) => !open)}
+                        disabled={!imageUrl && !collabStatus}
+                        title="Edit this form together with others through a sync server on this machine or network"
+                    >
+                        Collaborate
+                    </button>
+                    {collabStatus && (
+                        <div className="presence">
+                            <span
+                                className={`presence__peer ${collabStatus.state === 'online' ? '' : 'presence__peer--offline'}`}
+                                style={{ background: collabStatus.color || '#64748b' }}
+                                title={`${collabSettings.name} (you, ${collabStatus.state})`}
+                            >
+                                {initials(collabSettings.name)}
+                            </span>
+                            {peers.map((p) => (
+                                <span key={p.id} className="presence__peer" style={{ background: p.color }} title={p.name}>
+                                    {initials(p.name)}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                    <button onClick={undo} disabled={!canUndo} title="Undo (Ctrl/Cmd+Z)">
+                        Undo
+                    </button>
+                    <button onClick={redo} disabled={!canRedo} title="Redo (Ctrl/Cmd+Shift+Z)">
+                        Redo
+                    </button>
+                    <div className="zoom-controls">
+                        <button onClick={() => zoomInView(1 / ZOOM_STEP)} disabled={!imageUrl} title="Zoom out">
+                            −
+                        </button>
+                        <span className="zoom-controls__value" title="Screen pixels per image pixel (100% shows the image at its actual size)">
+                            {zoomPercent === null ? '–' : `${zoomPercent}%`}
+                        </span>
+                        <button onClick={() => zoomInView(ZOOM_STEP)} disabled={!imageUrl} title="Zoom in">
+                            +
+                        </button>
+                    </div>
+                    <div className="segmented" role="group" aria-label="Fit">
+                        <button className={fitMode === 'width' ? 'active' : ''} onClick={() => changeFitMode('width')} title="Fit the page width">
+                            Fit Width
+                        </button>
+                        <button className={fitMode === 'page' ? 'active' : ''} onClick={() => changeFitMode('page')} title="Fit the whole page">
+                            Fit Page
+                        </button>
+                        <button onClick={zoomToActualPixels} disabled={!imageUrl} title="Actual pixels: one image pixel per screen pixel">
+                            1:1
+                        </button>
+                    </div>
                     <button onClick={resetView} title="Reset zoom and pan">
                         Reset View
                     </button>
+                    <label className="check" title="Show an overview of the page">
+                        <input type="checkbox" checked={showMinimap} onChange={(e) => setShowMinimap(e.target.checked)} />
+                        Minimap
+                    </label>
                     <button className="danger" onClick={clearAll} disabled={!imageUrl && boxes.length === 0}>
                         Reset
                     </button>
-                    <button className="primary" onClick={exportJson} disabled={!imageUrl || boxes.length === 0}>
-                        Export JSON
+                    <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} title="Export and import format">
+                        {FORMATS.map((f) => (
+                            <option key={f.id} value={f.id}>
+                                {f.label}
+                            </option>
+                        ))}
+                    </select>
+                    <button className="primary" onClick={exportTemplate} disabled={!imageUrl || boxes.length === 0}>
+                        Export
+                    </button>
+                    <button onClick={copyToClipboard} disabled={!exportedText}>
+                        {copied ? 'Copied!' : 'Copy'}
                     </button>
-                    <button onClick={copyToClipboard} disabled={!exportedJson}>
-                        {copied ? 'Copied!' : 'Copy JSON'}
+                    <button onClick={downloadExport} disabled={!exportedText}>
+                        Download
                     </button>
                 </div>
             </header>
 
+            {pageSizes.length > 1 && (
+                <nav className="page-strip">
+                    <button onClick={() => goToPage(pageIndex - 1)} disabled={pageIndex === 0} title="Previous page">
+                        ‹
+                    </button>
+                    <span className="page-strip__label">
+                        Page {pageIndex + 1} / {pageSizes.length}
+                    </span>
+                    <button onClick={() => goToPage(pageIndex + 1)} disabled={pageIndex === pageSizes.length - 1} title="Next page">
+                        ›
+                    </button>
+                    <div className="page-strip__thumbs">
+                        {pageSizes.map((size, i) => {
+                            const count = boxes.filter((b) => (b.page || 0) === i).length
+                            return (
+                                <button
+                                    key={i}
+                                    className={`page-thumb ${i === pageIndex ? 'page-thumb--active' : ''}`}
+                                    onClick={() => goToPage(i)}
+                                    title={`Page ${i + 1} (${count} fields)`}
+                                >
+                                    {thumbnails[i] ? <img src={thumbnails[i]} alt={`Page ${i + 1}`} /> : <span className="page-thumb__placeholder" />}
+                                    <span className="page-thumb__number">{i + 1}</span>
+                                    {count > 0 && <span className="page-thumb__count">{count}</span>}
+                                </button>
+                            )
+                        })}
+                    </div>
+                </nav>
+            )}
+
             <main className="main">
-                <section className="canvas-pane" ref={containerRef}>
-                    <div className="canvas-container">
-                        <canvas
-                            ref={canvasRef}
-                            className={`canvas ${!imageUrl ? 'canvas--empty' : ''} ${spaceDown || isPanning ? 'canvas--grab' : ''}`}
-                            onMouseDown={onMouseDown}
-                            onMouseMove={onMouseMove}
-                            onMouseUp={onMouseUp}
-                            onMouseLeave={onMouseLeave}
+                <section className="canvas-pane" ref={containerRef} onScroll={() => scheduleDraw('minimap')}>
+                    {loadError && <div className="load-error">{loadError}</div>}
+                    {ocrError && <div className="load-error">{ocrError}</div>}
+                    {detectError && <div className="load-error">{detectError}</div>}
+                    {storageError && <div className="load-error">{storageError}</div>}
+                    {alignment && (
+                        <AlignPanel
+                            scan={alignment.scan}
+                            scanName={alignment.scanName}
+                            result={alignment.result}
+                            fields={alignment.fields}
+                            onClose={closeAlignment}
+                        />
+                    )}
+                    {batchOpen && <BatchPanel currentTemplate={batchTemplate} onClose={() => setBatchOpen(false)} />}
+                    {libraryOpen && (
+                        <LibraryPanel
+                            currentId={projectId}
+                            onOpen={(id) => {
+                                setLibraryOpen(false)
+                                openProject(id).catch((err) => setStorageError(`Could not open the project: ${err.message}`))
+                            }}
+                            onNew={() => {
+                                setLibraryOpen(false)
+                                newProject()
+                            }}
+                            onDeleted={(id) => id === sessionRef.current.projectId && newProject()}
+                            onClose={() => setLibraryOpen(false)}
                         />
+                    )}
+                    <div className="canvas-container">
+                        <div ref={stackRef} className={`canvas-stack ${!imageUrl ? 'canvas-stack--empty' : ''}`}>
+                            <canvas ref={imageLayerRef} className="canvas-layer" />
+                            <canvas ref={boxLayerRef} className="canvas-layer" />
+                            <canvas
+                                ref={canvasRef}
+                                className={`canvas-layer canvas ${spaceDown || isPanning ? 'canvas--grab' : ''}`}
+                                onPointerDown={onPointerDown}
+                                onPointerMove={onPointerMove}
+                                onPointerUp={onPointerUp}
+                                onPointerCancel={onPointerCancel}
+                                onPointerLeave={() => sendCursor(null)}
+                                onDoubleClick={onDoubleClick}
+                            />
+                        </div>
                     </div>
+                    {imageUrl && showMinimap && (
+                        <div className="minimap">
+                            <canvas
+                                ref={minimapRef}
+                                title="Drag the frame to move around the page"
+                                onPointerDown={onMinimapPointerDown}
+                                onPointerMove={onMinimapPointerMove}
+                                onPointerUp={endMinimapDrag}
+                                onPointerCancel={endMinimapDrag}
+                            />
+                        </div>
+                    )}
                     {!imageUrl && (
                         <div className="placeholder">
-                            <p>Upload an image, then click and drag to draw boxes.</p>
-                            <p>Tip: Hold Space to pan. Ctrl/Cmd + mouse wheel to zoom.</p>
+                            <p>Upload an image or PDF, then click and drag to draw boxes. Click a box to select, move or resize it.</p>
+                            <p>Tip: Hold Space to pan. Ctrl/Cmd + mouse wheel to zoom. On a touch screen, use two fingers to pan and pinch to zoom.</p>
                         </div>
                     )}
                 </section>
 
                 <aside className="side">
+                    {accuracyOpen && imageUrl && (
+                        <AccuracyPanel
+                            fields={accuracyFields(boxes)}
+                            samples={samples}
+                            report={accuracy}
+                            keyStyle={keyStyle}
+                            highlightFailing={highlightFailing}
+                            onHighlightFailing={setHighlightFailing}
+                            onSamples={setSamples}
+                            onShow={showField}
+                            onClose={() => setAccuracyOpen(false)}
+                        />
+                    )}
+                    {collabOpen && (imageUrl || collabStatus) && (
+                        <CollabPanel
+                            settings={collabSettings}
+                            status={collabStatus}
+                            peers={peers}
+                            onJoin={joinCollab}
+                            onLeave={leaveCollab}
+                            onClose={() => setCollabOpen(false)}
+                        />
+                    )}
+                    {compareOpen && imageUrl && (
+                        <ComparePanel
+                            imageId={doc.imageId}
+                            sources={compareSources}
+                            changes={compareChanges}
+                            showUnchanged={showUnchanged}
+                            onShowUnchanged={setShowUnchanged}
+                            panelText={exportedText}
+                            panelFormat={exportFormat}
+                            parseText={parseCompareText}
+                            onSource={(side, source) => setCompareSources((s) => ({ ...s, [side]: source }))}
+                            onShow={showChange}
+                            onClose={() => setCompareOpen(false)}
+                        />
+                    )}
+                    {imageUrl && pageSizes.length > 0 && (
+                        <ImageTools
+                            transform={pageTransform || IDENTITY_TRANSFORM}
+                            page={pageIndex}
+                            onRotate={setPageRotation}
+                            onDeskew={deskewPage}
+                            onCropToContent={cropPageToContent}
+                            onClearCrop={() => setPageTransform({ rotation: pageTransform?.rotation || 0, crop: null })}
+                            onReset={() => setPageTransform(IDENTITY_TRANSFORM)}
+                        />
+                    )}
+                    {pageSuggestions.length > 0 && (
+                        <div className="suggestions">
+                            <div className="row">
+                                <strong>
+                                    {pageSuggestions.length} suggestion{pageSuggestions.length === 1 ? '' : 's'}
+                                </strong>
+                                <button onClick={() => acceptSuggestions(pageSuggestions.map((s) => s.id))}>Accept All</button>
+                                <button onClick={() => rejectSuggestions(pageSuggestions.map((s) => s.id))}>Reject All</button>
+                            </div>
+                            <ul className="suggestions__list">
+                                {pageSuggestions.map((s) => (
+                                    <li
+                                        key={s.id}
+                                        className="row"
+                                        onMouseEnter={() => setHoveredSuggestion(s.id)}
+                                        onMouseLeave={() => setHoveredSuggestion((id) => (id === s.id ? null : id))}
+                                    >
+                                        <span className="suggestions__shape">{SHAPE_LABELS[s.shape]}</span>
+                                        <span className="muted">
+                                            {getFieldType(s.type).label}, {s.w}×{s.h}
+                                        </span>
+                                        <button className="link" onClick={() => acceptSuggestions([s.id])}>
+                                            Accept
+                                        </button>
+                                        <button className="link danger" onClick={() => rejectSuggestions([s.id])}>
+                                            Reject
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
                     <h2>Fields ({boxes.length})</h2>
+                    {boxes.length > 0 && (
+                        <div className="row list-tools">
+                            <select value={readingDirection} onChange={(e) => setReadingDirection(e.target.value)} title="Direction lines are read in">
+                                {READING_DIRECTIONS.map((d) => (
+                                    <option key={d.value} value={d.value}>
+                                        {d.label}
+                                    </option>
+                                ))}
+                            </select>
+                            <select value={readingFlow} onChange={(e) => setReadingFlow(e.target.value)} title="Whether lines run across the page or down it">
+                                {READING_FLOWS.map((f) => (
+                                    <option key={f.value} value={f.value}>
+                                        {f.label}
+                                    </option>
+                                ))}
+                            </select>
+                            <button
+                                className="link"
+                                onClick={sortByReadingOrder}
+                                title="Renumber the boxes in the order the form is read, page by page. Drag a number (or press Alt+Up/Down on a row) to move one box."
+                            >
+                                Sort by reading order
+                            </button>
+                        </div>
+                    )}
+                    {boxes.length > 0 && (
+                        <div className="row list-tools">
+                            <label className="check" title="How field names become keys in the output; dots in a name nest the output">
+                                Keys
+                                <select value={keyStyle} onChange={(e) => setKeyStyle(e.target.value)}>
+                                    {KEY_STYLES.map((s) => (
+                                        <option key={s.value} value={s.value}>
+                                            {s.label}
+                                        </option>
+                                    ))}
+                                </select>
+                            </label>
+                            <button
+                                className="link"
+                                onClick={numberRepeated}
+                                disabled={!hasRepeatedKeys}
+                                title="Add 2, 3, … to names that give the same key as an earlier one"
+                            >
+                                Number repeated names
+                            </button>
+                        </div>
+                    )}
+                    {selectedBoxes.length > 1 && (
+                        <div className="arrange">
+                            <div className="row">
+                                <strong>{selectedBoxes.length} selected</strong>
+                                <button className="link" onClick={() => setSelectedIds([])}>
+                                    Clear
+                                </button>
+                            </div>
+                            <div className="row">
+                                <span className="arrange__label">Align</span>
+                                <button onClick={() => arrangeSelection((g) => alignBoxes(g, 'left'))}>Left</button>
+                                <button onClick={() => arrangeSelection((g) => alignBoxes(g, 'right'))}>Right</button>
+                                <button onClick={() => arrangeSelection((g) => alignBoxes(g, 'top'))}>Top</button>
+                                <button onClick={() => arrangeSelection((g) => alignBoxes(g, 'bottom'))}>Bottom</button>
+                            </div>
+                            <div className="row">
+                                <span className="arrange__label">Distribute</span>
+                                <button onClick={() => arrangeSelection((g) => distributeBoxes(g, 'x'))} disabled={selectedBoxes.length < 3}>
+                                    Horizontally
+                                </button>
+                                <button onClick={() => arrangeSelection((g) => distributeBoxes(g, 'y'))} disabled={selectedBoxes.length < 3}>
+                                    Vertically
+                                </button>
+                            </div>
+                            <div className="row" title="Use the size of the first selected box">
+                                <span className="arrange__label">Match</span>
+                                <button onClick={() => matchSelectionSize('w')}>Width</button>
+                                <button onClick={() => matchSelectionSize('h')}>Height</button>
+                            </div>
+                        </div>
+                    )}
                     {boxes.length === 0 ? (
                         <p className="muted">No fields yet. Draw a box on the image.</p>
                     ) : (
                         <ul className="list">
-                            {boxes.map((b, idx) => (
-                                <li key={b.id} className="list-item">
-                                    <div className="row">
-                                        <span className="badge">{idx + 1}</span>
-                                        <input
-                                            className="name-input"
-                                            placeholder="Field name (e.g., Policy Number)"
-                                            value={b.name}
-                                            onChange={(e) => updateBoxName(b.id, e.target.value)}
-                                        />
-                                        <button className="link danger" onClick={() => deleteBox(b.id)} title="Delete field">
-                                            Remove
+                            {boxes.map((b, idx) => {
+                                const anchor = isAnchor(b)
+                                const table = isTable(b)
+                                const problems = anchor ? [] : [...(table ? validateTable(b) : validateFieldRules(b)), ...(keyWarnings.get(b.id) || [])]
+                                const key = anchor ? '' : nameToKey(b.name, keyStyle)
+                                const jsonProblems = rowProblems.get(b.id) || []
+                                const hasError = jsonProblems.some((p) => p.level === 'error')
+                                return (
+                                    <li
+                                        key={b.id}
+                                        ref={(el) => {
+                                            if (el) rowRefs.current[b.id] = el
+                                            else delete rowRefs.current[b.id]
+                                        }}
+                                        tabIndex={-1}
+                                        className={`list-item ${anchor ? 'list-item--anchor' : ''} ${table ? 'list-item--table' : ''} ${selectedIds.includes(b.id) ? 'list-item--selected' : ''} ${dropTarget?.id === b.id ? `list-item--drop-${dropTarget.after ? 'after' : 'before'}` : ''}`}
+                                        onDragOver={(e) => {
+                                            if (!draggedRowRef.current) return
+                                            e.preventDefault()
+                                            const rect = e.currentTarget.getBoundingClientRect()
+                                            const after = e.clientY > rect.top + rect.height / 2
+                                            if (dropTarget?.id !== b.id || dropTarget.after !== after) setDropTarget({ id: b.id, after })
+                                        }}
+                                        onDrop={(e) => {
+                                            e.preventDefault()
+                                            dropRow(b.id, dropTarget?.id === b.id && dropTarget.after)
+                                        }}
+                                        onKeyDown={(e) => {
+                                            if (e.target !== e.currentTarget || !e.altKey || !['ArrowUp', 'ArrowDown'].includes(e.key)) return
+                                            e.preventDefault()
+                                            moveInList(b.id, e.key === 'ArrowUp' ? idx - 1 : idx + 2)
+                                        }}
+                                        onClick={(e) => {
+                                            goToPage(b.page || 0)
+                                            if (isAdditive(e)) toggleSelected(b.id)
+                                            else setSelectedIds([b.id])
+                                        }}
+                                    >
+                                        <div className="row">
+                                            <span
+                                                className={`badge badge--handle ${hasError ? 'badge--error' : problems.length || jsonProblems.length ? 'badge--warning' : ''}`}
+                                                title={[...problems, ...jsonProblems.map((p) => p.message), 'Drag to reorder'].join('\n')}
+                                                draggable
+                                                onDragStart={(e) => {
+                                                    draggedRowRef.current = b.id
+                                                    e.dataTransfer.effectAllowed = 'move'
+                                                    e.dataTransfer.setData('text/plain', b.id)
+                                                }}
+                                                onDragEnd={() => {
+                                                    draggedRowRef.current = null
+                                                    setDropTarget(null)
+                                                }}
+                                            >
+                                                {anchor ? `A${boxNumbers.get(b.id)}` : boxNumbers.get(b.id)}
+                                            </span>
+                                            <input
+                                                className="name-input"
+                                                placeholder={
+                                                    anchor
+                                                        ? 'Anchor name (e.g., Logo)'
+                                                        : table
+                                                          ? 'Table name (e.g., Line Items)'
+                                                          : 'Field name (e.g., Policy Number)'
+                                                }
+                                                value={b.name}
+                                                onChange={(e) => updateBoxName(b.id, e.target.value)}
+                                            />
+                                            {!table && (
+                                                <button
+                                                    className="link"
+                                                    onClick={(e) => {
+                                                        e.stopPropagation()
+                                                        toggleAnchor(b.id)
+                                                    }}
+                                                    title={anchor ? 'Turn this anchor back into a field' : 'Use this region as a registration anchor'}
+                                                >
+                                                    {anchor ? 'Make Field' : 'Make Anchor'}
+                                                </button>
+                                            )}
+                                            <button
+                                                className="link danger"
+                                                onClick={(e) => {
+                                                    e.stopPropagation()
+                                                    deleteBox(b.id)
+                                                }}
+                                                title="Delete field"
+                                            >
+                                                Remove
+                                            </button>
+                                        </div>
+                                        {anchor ? (
+                                            <div className="anchor-note">Registration anchor</div>
+                                        ) : table ? (
+                                            <TableEditor
+                                                box={b}
+                                                expanded={b.id === selectedId}
+                                                problems={problems}
+                                                onChange={(patch, options) => updateBox(b.id, patch, options)}
+                                            />
+                                        ) : (
+                                            <FieldRules
+                                                box={b}
+                                                expanded={b.id === selectedId}
+                                                problems={problems}
+                                                onChange={(patch, options) => updateBox(b.id, patch, options)}
+                                            />
+                                        )}
+                                        {jsonProblems.length > 0 && (
+                                            <ul className="field-problems field-problems--json">
+                                                {jsonProblems.map((p, i) => (
+                                                    <li key={i} className={`problem--${p.level}`}>
+                                                        {p.line && (
+                                                            <button
+                                                                className="link"
+                                                                onClick={(e) => {
+                                                                    e.stopPropagation()
+                                                                    showProblemLine(p.line)
+                                                                }}
+                                                            >
+                                                                JSON line {p.line}
+                                                            </button>
+                                                        )}{' '}
+                                                        {p.message}
+                                                    </li>
+                                                ))}
+                                            </ul>
+                                        )}
+                                        {isField(b) && ocrResults[b.id] && <OcrResult result={getOcrResult(b)} />}
+                                        {isField(b) && (
+                                            <div className="row shape-tools">
+                                                <select value={shapeOf(b)} onChange={(e) => setBoxShape(b.id, e.target.value)} title="Shape of the field">
+                                                    {SHAPES.map((s) => (
+                                                        <option key={s.value} value={s.value}>
+                                                            {s.label}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                                {b.shape === 'rotated-rect' && (
+                                                    <label title="Degrees clockwise; drag the round handle above the box to turn it">
+                                                        Angle{' '}
+                                                        <input
+                                                            className="grid-input"
+                                                            type="number"
+                                                            step={1}
+                                                            value={b.angle || 0}
+                                                            onChange={(e) => setBoxAngle(b.id, Number(e.target.value) || 0)}
+                                                        />
+                                                    </label>
+                                                )}
+                                                {b.shape === 'polygon' && <span className="muted">{b.points.length} points</span>}
+                                                {b.shape === 'point' && <span className="muted">radius {b.w / 2}</span>}
+                                            </div>
+                                        )}
+                                        <div className="coords">
+                                            {key && <code className="field-key">{key}</code>}
+                                            {pageSizes.length > 1 && `page ${(b.page || 0) + 1}, `}x: {b.x}, y: {b.y}, w: {b.w}, h: {b.h}
+                                        </div>
+                                    </li>
+                                )
+                            })}
+                        </ul>
+                    )}
+
+                    <div className="json-header">
+                        <h2>{getFormat(exportFormat).label}</h2>
+                        <button
+                            onClick={() => importTemplate(exportedText)}
+                            disabled={!imageUrl || !exportedText.trim()}
+                            title="Load fields from the text below"
+                        >
+                            Import
+                        </button>
+                        <label
+                            className={`button ${!imageUrl ? 'button--disabled' : ''}`}
+                            title="Load fields from a file in the selected format; select YOLO labels together with their classes.txt to keep the class names"
+                        >
+                            Import File
+                            <input type="file" accept=".json,.csv,.txt,.xml" multiple onChange={onImportFileChange} disabled={!imageUrl} hidden />
+                        </label>
+                    </div>
+                    {exportNotes.length > 0 && (
+                        <ul className="errors errors--warning">
+                            {exportNotes.map((msg, i) => (
+                                <li key={i} className="problem--warning">
+                                    {msg}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {importErrors.length > 0 && (
+                        <ul className="errors">
+                            {importErrors.map((msg, i) => (
+                                <li key={i}>{msg}</li>
+                            ))}
+                        </ul>
+                    )}
+                    {textProblems.length > 0 && (
+                        <ul className={`errors ${textProblems.some((p) => p.level === 'error') ? '' : 'errors--warning'}`}>
+                            {textProblems.map((p, i) => (
+                                <li key={i} className={`problem--${p.level}`}>
+                                    {p.line && (
+                                        <button className="link" onClick={() => showProblemLine(p.line)}>
+                                            Line {p.line}
                                         </button>
-                                    </div>
-                                    <div className="coords">
-                                        x: {b.x}, y: {b.y}, w: {b.w}, h: {b.h}
-                                    </div>
+                                    )}{' '}
+                                    {p.label ? `${p.label}: ` : p.path ? `${p.path} ` : ''}
+                                    {p.message}
                                 </li>
                             ))}
                         </ul>
                     )}
-
-                    <h2>JSON</h2>
                     <textarea
+                        ref={jsonRef}
                         className="json"
-                        value={exportedJson}
-                        onChange={(e) => setExportedJson(e.target.value)}
-                        placeholder="Click Export JSON to generate..."
+                        value={exportedText}
+                        onChange={(e) => setExportedText(e.target.value)}
+                        placeholder="Click Export to generate, or paste annotations in the selected format and click Import..."
                     />
                 </aside>
             </main>
 
             <footer className="footer">
                 <small>
-                    Tips: Click and drag to draw. Hold Space to pan. Use Ctrl/Cmd + wheel to zoom. Your work is saved locally.
+                    Tips: Click and drag to draw. Click a box to select it, drag to move, drag its handles to resize. Hold Space to pan. Use Ctrl/Cmd + wheel to
+                    zoom. Ctrl/Cmd + Z to undo, Shift to redo. Mark 3+ anchors to align other scans. Double-click a selected table to add a column (Alt: a row).
+                    Shift-click to select several boxes; hold Alt to place boxes without snapping. Click an auto-detected suggestion to accept it. Rotate,
+                    deskew or crop a page in the sidebar. On touch screens, pan and pinch with two fingers and long-press a box to add it to the selection. Dots
+                    in a field name nest its key in the output (applicant.address.city). Drag a field's number in the list to reorder it. Compare colors what
+                    changed between two versions of a template. Draw polygons by clicking their corners (double-click or Enter closes them), and turn rotated
+                    boxes by their round handle. Collaborate edits the form together with others through a sync server (npm run sync). Accuracy compares
+                    extraction output with expected values of sample forms and marks failing fields in red. Your work is saved to the project library in this
+                    browser.
                 </small>
             </footer>
         </div>
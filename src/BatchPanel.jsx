@@ -0,0 +1,201 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { buildCropsZip, fieldRect, templateFields } from './batch.js'
+import { downloadFile } from './download.js'
+
+const PREVIEW_WIDTH = 240
+
+// One form with the template overlaid
+function FormPreview({ form, fields }) {
+    const canvasRef = useRef(null)
+
+    useEffect(() => {
+        const canvas = canvasRef.current
+        if (!canvas) return
+        const { naturalWidth: width, naturalHeight: height } = form.image
+        const dpr = window.devicePixelRatio || 1
+        const cssHeight = Math.round((PREVIEW_WIDTH * height) / width)
+        canvas.style.width = `${PREVIEW_WIDTH}px`
+        canvas.style.height = `${cssHeight}px`
+        canvas.width = Math.round(PREVIEW_WIDTH * dpr)
+        canvas.height = Math.round(cssHeight * dpr)
+
+        const ctx = canvas.getContext('2d')
+        const k = canvas.width / width
+        ctx.drawImage(form.image, 0, 0, canvas.width, canvas.height)
+        ctx.lineWidth = 1.5 * dpr
+        ctx.strokeStyle = '#2dd4bf'
+        ctx.fillStyle = 'rgba(45, 212, 191, 0.15)'
+        fields.forEach((f) => {
+            const r = fieldRect(f, width, height)
+            ctx.fillRect(r.x * k, r.y * k, r.width * k, r.height * k)
+            ctx.strokeRect(r.x * k, r.y * k, r.width * k, r.height * k)
+        })
+    }, [form, fields])
+
+    return (
+        <figure className="batch-form">
+            <canvas ref={canvasRef} />
+            <figcaption title={form.name}>{form.name}</figcaption>
+        </figure>
+    )
+}
+
+// Apply a template (the current fields or an exported JSON) to many filled forms and export the field crops
+function BatchPanel({ currentTemplate, onClose }) {
+    const [source, setSource] = useState(currentTemplate ? 'current' : 'file') // 'current' | 'file'
+    const [fileTemplate, setFileTemplate] = useState(null) // { name, data }
+    const [page, setPage] = useState(0)
+    const [forms, setForms] = useState([]) // { name, image }
+    const [dragOver, setDragOver] = useState(false)
+    const [progress, setProgress] = useState(null) // { done, total } while exporting
+    const [error, setError] = useState('')
+    const formsRef = useRef([])
+
+    const template = source === 'current' ? currentTemplate : fileTemplate?.data
+    const templateName = source === 'current' ? currentTemplate?.image?.name : fileTemplate?.name
+    const parsed = useMemo(() => (template ? templateFields(template) : { fields: [], pageCount: 0, errors: [] }), [template])
+    const fields = useMemo(() => parsed.fields.filter((f) => f.page === page), [parsed, page])
+
+    // Release object URLs of loaded forms when the panel closes
+    useEffect(() => {
+        formsRef.current = forms
+    }, [forms])
+    useEffect(() => () => formsRef.current.forEach((f) => URL.revokeObjectURL(f.image.src)), [])
+
+    const onTemplateFile = (e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+        const reader = new FileReader()
+        reader.onload = () => {
+            try {
+                setFileTemplate({ name: file.name, data: JSON.parse(reader.result) })
+                setSource('file')
+                setPage(0)
+                setError('')
+            } catch (err) {
+                setError(`${file.name}: ${err.message}`)
+            }
+        }
+        reader.readAsText(file)
+    }
+
+    const addForms = (fileList) => {
+        const files = Array.from(fileList).filter((f) => f.type.startsWith('image/'))
+        files.forEach((file) => {
+            const url = URL.createObjectURL(file)
+            const image = new Image()
+            image.onload = () => setForms((prev) => [...prev, { name: file.webkitRelativePath || file.name, image }])
+            image.onerror = () => {
+                URL.revokeObjectURL(url)
+                setError(`Could not load ${file.name}`)
+            }
+            image.src = url
+        })
+    }
+
+    const clearForms = () => {
+        forms.forEach((f) => URL.revokeObjectURL(f.image.src))
+        setForms([])
+    }
+
+    const exportZip = async () => {
+        setError('')
+        setProgress({ done: 0, total: forms.length })
+        try {
+            const zip = await buildCropsZip(forms, fields, {
+                templateName: templateName || 'template',
+                onProgress: (done, total) => setProgress({ done, total }),
+            })
+            downloadFile(`${(templateName || 'template').replace(/\.[^.]+$/, '')}-crops.zip`, zip, 'application/zip')
+        } catch (err) {
+            setError(`Export failed: ${err.message}`)
+        } finally {
+            setProgress(null)
+        }
+    }
+
+    return (
+        <div
+            className={`batch-panel ${dragOver ? 'batch-panel--drag' : ''}`}
+            onDragOver={(e) => {
+                e.preventDefault()
+                setDragOver(true)
+            }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={(e) => {
+                e.preventDefault()
+                setDragOver(false)
+                addForms(e.dataTransfer.files)
+            }}
+        >
+            <div className="align-panel__header">
+                <strong>Batch crop</strong>
+                <button onClick={onClose}>Close</button>
+            </div>
+
+            <div className="batch-panel__controls">
+                <label className="check">
+                    <input type="radio" checked={source === 'current'} onChange={() => setSource('current')} disabled={!currentTemplate} />
+                    Current fields
+                </label>
+                <label className="check">
+                    <input type="radio" checked={source === 'file'} onChange={() => setSource('file')} disabled={!fileTemplate} />
+                    {fileTemplate ? fileTemplate.name : 'Template file'}
+                </label>
+                <label className="button">
+                    Load Template…
+                    <input type="file" accept="application/json,.json" onChange={onTemplateFile} hidden />
+                </label>
+                {parsed.pageCount > 1 && (
+                    <select value={page} onChange={(e) => setPage(Number(e.target.value))} title="Template page to apply">
+                        {Array.from({ length: parsed.pageCount }, (_, i) => (
+                            <option key={i} value={i}>
+                                Page {i + 1}
+                            </option>
+                        ))}
+                    </select>
+                )}
+                <span className="muted">{fields.length} fields</span>
+            </div>
+
+            <div className="batch-panel__controls">
+                <label className="button">
+                    Add Images…
+                    <input type="file" accept="image/*" multiple onChange={(e) => addForms(e.target.files)} hidden />
+                </label>
+                <label className="button">
+                    Add Folder…
+                    <input type="file" webkitdirectory="" multiple onChange={(e) => addForms(e.target.files)} hidden />
+                </label>
+                <button onClick={clearForms} disabled={!forms.length || !!progress}>
+                    Clear
+                </button>
+                <button className="primary" onClick={exportZip} disabled={!forms.length || !fields.length || !!progress}>
+                    {progress ? `Exporting ${progress.done}/${progress.total}…` : 'Export Crops (.zip)'}
+                </button>
+            </div>
+
+            {(error || parsed.errors.length > 0) && (
+                <ul className="errors">
+                    {error && <li>{error}</li>}
+                    {parsed.errors.map((msg, i) => (
+                        <li key={i}>{msg}</li>
+                    ))}
+                </ul>
+            )}
+
+            {forms.length === 0 ? (
+                <p className="muted batch-panel__empty">Drop filled form images here, or add images or a folder.</p>
+            ) : (
+                <div className="batch-panel__grid">
+                    {forms.map((form, i) => (
+                        <FormPreview key={`${form.name}-${i}`} form={form} fields={fields} />
+                    ))}
+                </div>
+            )}
+        </div>
+    )
+}
+
+export default BatchPanel
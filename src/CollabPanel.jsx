@@ -0,0 +1,76 @@
+import { useState } from 'react'
+import { DEFAULT_SERVER } from './collab.js'
+
+const STATUS_LABELS = { connecting: 'Connecting…', online: 'Connected', offline: 'Offline' }
+
+// Collaboration mode: joins a room on a local sync server so several people can work on the same form at once.
+// Everyone opens the same image; the fields are shared. `status` is null until joined (see collab.js for its shape),
+// `peers` are the others in the room and `onJoin({ server, room, name })` starts a session.
+function CollabPanel({ settings, status, peers, onJoin, onLeave, onClose }) {
+    const [server, setServer] = useState(settings.server || DEFAULT_SERVER)
+    const [room, setRoom] = useState(settings.room || '')
+    const [name, setName] = useState(settings.name || '')
+
+    const join = (e) => {
+        e.preventDefault()
+        onJoin({ server: server.trim(), room: room.trim(), name: name.trim() })
+    }
+
+    return (
+        <div className="collab-panel">
+            <div className="align-panel__header">
+                <strong>Collaborate</strong>
+                <button onClick={onClose}>Close</button>
+            </div>
+            {status ? (
+                <>
+                    <div className="row">
+                        <span className={`collab-status collab-status--${status.state}`}>{STATUS_LABELS[status.state]}</span>
+                        <span className="muted">
+                            Room “{settings.room}” as {settings.name}
+                        </span>
+                    </div>
+                    {status.error && <p className="muted">{status.error}</p>}
+                    {peers.length === 0 ? (
+                        <p className="muted">Nobody else is here yet. Others join with the same server and room name.</p>
+                    ) : (
+                        <ul className="collab-panel__peers">
+                            {peers.map((p) => (
+                                <li key={p.id}>
+                                    <span className="presence-dot" style={{ background: p.color }} />
+                                    {p.name}
+                                    {p.cursor && <span className="muted"> · page {p.cursor.page + 1}</span>}
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    <button onClick={onLeave}>Leave</button>
+                </>
+            ) : (
+                <form className="collab-panel__form" onSubmit={join}>
+                    <label className="row collab-panel__field">
+                        <span>Server</span>
+                        <input value={server} onChange={(e) => setServer(e.target.value)} placeholder={DEFAULT_SERVER} />
+                    </label>
+                    <label className="row collab-panel__field">
+                        <span>Room</span>
+                        <input value={room} onChange={(e) => setRoom(e.target.value)} placeholder="e.g. claim-form" />
+                    </label>
+                    <label className="row collab-panel__field">
+                        <span>Your name</span>
+                        <input value={name} onChange={(e) => setName(e.target.value)} maxLength={40} />
+                    </label>
+                    <button className="primary" type="submit" disabled={!server.trim() || !room.trim() || !name.trim()}>
+                        Join
+                    </button>
+                    <p className="muted">
+                        Start the server with <code>npm run sync</code>. Everyone opens the same form; the fields, cursors and selections are shared, and edits
+                        made while offline are merged on reconnect.
+                    </p>
+                </form>
+            )}
+        </div>
+    )
+}
+
+export default CollabPanel
@@ -0,0 +1,151 @@
+import { useEffect, useState } from 'react'
+import { DIFF_STATUSES } from './diff.js'
+import { detectFormat } from './formats.js'
+import { getProject, listProjects } from './library.js'
+
+const SIDES = [
+    { key: 'before', label: 'Before' },
+    { key: 'after', label: 'After' },
+]
+
+const signed = (n) => (n > 0 ? `+${n}` : n < 0 ? `−${-n}` : '0')
+
+// What changed about one box, e.g. 'x +12, y −3 · "Name" → "Full name"'
+const describe = (c) => {
+    const parts = []
+    if ((c.before.page || 0) !== (c.after.page || 0)) parts.push(`page ${(c.before.page || 0) + 1} → ${(c.after.page || 0) + 1}`)
+    if (c.delta.x || c.delta.y) parts.push(`x ${signed(c.delta.x)}, y ${signed(c.delta.y)}`)
+    if (c.delta.w || c.delta.h) parts.push(`w ${signed(c.delta.w)}, h ${signed(c.delta.h)}`)
+    else if (c.resized) parts.push('outline changed')
+    if (c.renamed) parts.push(`“${c.before.name || ''}” → “${c.after.name || ''}”`)
+    if (c.edited) parts.push('type or rules changed')
+    if (c.matchedBy === 'geometry') parts.push('matched by position')
+    return parts.join(' · ')
+}
+
+// Compare mode: picks the two template versions and lists what changed between them; the canvas shows the same
+// changes in color. A version comes from the current fields, the text panel, a file or a library project of the
+// same image (`imageId` is the open document's; boxes of another image would not line up with this one).
+// `parseText(text, formatId)` turns template text into boxes for the open document (throwing on problems);
+// `onSource(side, source)` receives { label, boxes } or { label, current: true } for the live current fields.
+function ComparePanel({ imageId, sources, changes, showUnchanged, onShowUnchanged, panelText, panelFormat, parseText, onSource, onShow, onClose }) {
+    const [projects, setProjects] = useState([])
+    const [error, setError] = useState('')
+
+    useEffect(() => {
+        listProjects().then(
+            (list) => setProjects(list.filter((p) => p.imageId && p.imageId === imageId)),
+            (err) => setError(`Could not read the library: ${err.message}`),
+        )
+    }, [imageId])
+
+    // Run a loader for one side and report what went wrong
+    const load = async (side, loader) => {
+        setError('')
+        try {
+            onSource(side, await loader())
+        } catch (err) {
+            setError(`${SIDES.find((s) => s.key === side).label}: ${err.message}`)
+        }
+    }
+
+    const choose = (side, value) => {
+        if (value === 'current') onSource(side, { label: 'Current fields', current: true })
+        else if (value === 'text') load(side, () => ({ label: 'Text panel', boxes: parseText(panelText, panelFormat) }))
+        else if (value.startsWith('project:')) {
+            load(side, async () => {
+                const project = await getProject(value.slice('project:'.length))
+                if (!project) throw new Error('The project no longer exists')
+                if (project.imageId !== imageId) throw new Error(`“${project.name}” is a template of a different image`)
+                return { label: `Project “${project.name}”`, boxes: Array.isArray(project.boxes) ? project.boxes : [] }
+            })
+        }
+    }
+
+    const chooseFile = (side, e) => {
+        const file = e.target.files?.[0]
+        e.target.value = ''
+        if (!file) return
+        load(side, () => file.text().then((text) => ({ label: file.name, boxes: parseText(text, detectFormat(file.name) || panelFormat) })))
+    }
+
+    const counts = new Map(DIFF_STATUSES.map((s) => [s.value, 0]))
+    ;(changes || []).forEach((c) => counts.set(c.status, counts.get(c.status) + 1))
+    const listed = (changes || []).filter((c) => showUnchanged || c.status !== 'unchanged')
+
+    return (
+        <div className="compare-panel">
+            <div className="align-panel__header">
+                <strong>Compare templates</strong>
+                <button onClick={onClose}>Close</button>
+            </div>
+            {SIDES.map(({ key, label }) => (
+                <div key={key} className="row compare-panel__source">
+                    <span className="compare-panel__side">{label}</span>
+                    <select value="" onChange={(e) => choose(key, e.target.value)} title={`Where the ${label.toLowerCase()} version comes from`}>
+                        <option value="">{sources[key]?.label || 'Choose…'}</option>
+                        <option value="current">Current fields</option>
+                        <option value="text" disabled={!panelText.trim()}>
+                            Text panel
+                        </option>
+                        {projects.map((p) => (
+                            <option key={p.id} value={`project:${p.id}`}>
+                                Project “{p.name}”
+                            </option>
+                        ))}
+                    </select>
+                    <label className="button">
+                        File…
+                        <input type="file" accept=".json,.xml,.txt,.csv" onChange={(e) => chooseFile(key, e)} hidden />
+                    </label>
+                </div>
+            ))}
+            {error && (
+                <ul className="errors">
+                    <li>{error}</li>
+                </ul>
+            )}
+
+            {changes && (
+                <>
+                    <div className="compare-panel__counts">
+                        {DIFF_STATUSES.filter((s) => counts.get(s.value) > 0).map((s) => (
+                            <span key={s.value} className={`diff-chip diff-chip--${s.value}`}>
+                                {counts.get(s.value)} {s.label.toLowerCase()}
+                            </span>
+                        ))}
+                        <label className="check">
+                            <input type="checkbox" checked={showUnchanged} onChange={(e) => onShowUnchanged(e.target.checked)} />
+                            Show unchanged
+                        </label>
+                    </div>
+                    {listed.length === 0 ? (
+                        <p className="muted">{changes.length ? 'No changes.' : 'Both versions are empty.'}</p>
+                    ) : (
+                        <ul className="compare-panel__list">
+                            {listed.map((c) => {
+                                const box = c.after || c.before
+                                return (
+                                    <li key={`${c.before?.id}:${c.after?.id}`} className={`diff-item diff-item--${c.status}`} onClick={() => onShow(c)}>
+                                        <span className="diff-item__name">{box.name || '(unnamed)'}</span>
+                                        <span className="muted">
+                                            {DIFF_STATUSES.find((s) => s.value === c.status).label}
+                                            {c.before && c.after && describe(c) && `: ${describe(c)}`}
+                                        </span>
+                                    </li>
+                                )
+                            })}
+                        </ul>
+                    )}
+                </>
+            )}
+            {!changes && (
+                <p className="muted">
+                    Choose both versions to see what changed; library projects are listed when they are of this image. Changes are drawn on the page in color.
+                </p>
+            )}
+        </div>
+    )
+}
+
+export default ComparePanel
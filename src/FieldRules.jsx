@@ -0,0 +1,81 @@
+import { FIELD_TYPES, RULE_LABELS, getFieldType, hasRule } from './fields'
+
+// Type, required flag and validation rules for one field in the sidebar list.
+// `onChange(patch, options)` applies a partial box update; text edits pass a merge key so typing is one undo step.
+function FieldRules({ box, expanded, problems, onChange }) {
+    const type = getFieldType(box.type)
+    // Rules that apply to the type, plus any leftover value that doesn't (so it can be seen and cleared)
+    const shownRules = Object.keys(RULE_LABELS).filter((rule) => type.rules.includes(rule) || hasRule(box, rule))
+    const mergeKey = (rule) => ({ merge: `rule:${box.id}:${rule}` })
+
+    const renderInput = (rule) => {
+        if (rule === 'values') {
+            return (
+                <textarea
+                    rows={3}
+                    placeholder="One value per line"
+                    value={(box.values || []).join('\n')}
+                    onChange={(e) => onChange({ values: e.target.value ? e.target.value.split('\n') : undefined }, mergeKey(rule))}
+                />
+            )
+        }
+        if (rule === 'length') {
+            return (
+                <input
+                    type="number"
+                    min={1}
+                    step={1}
+                    placeholder="Any"
+                    value={box.length ?? ''}
+                    onChange={(e) => onChange({ length: e.target.value === '' ? undefined : Number(e.target.value) }, mergeKey(rule))}
+                />
+            )
+        }
+        return (
+            <input
+                placeholder={rule === 'pattern' ? 'e.g. [A-Z]{2}\\d{6}' : 'e.g. DD/MM/YYYY'}
+                value={box[rule] || ''}
+                onChange={(e) => onChange({ [rule]: e.target.value || undefined }, mergeKey(rule))}
+            />
+        )
+    }
+
+    return (
+        <div className="field-rules">
+            <div className="row">
+                <select value={type.value} onChange={(e) => onChange({ type: e.target.value })} title="Field type">
+                    {FIELD_TYPES.map((t) => (
+                        <option key={t.value} value={t.value}>
+                            {t.label}
+                        </option>
+                    ))}
+                </select>
+                <label className="check">
+                    <input type="checkbox" checked={!!box.required} onChange={(e) => onChange({ required: e.target.checked })} />
+                    Required
+                </label>
+            </div>
+            {expanded &&
+                shownRules.map((rule) => (
+                    <label key={rule} className={`rule ${type.rules.includes(rule) ? '' : 'rule--invalid'}`}>
+                        <span>{RULE_LABELS[rule]}</span>
+                        {renderInput(rule)}
+                        {!type.rules.includes(rule) && (
+                            <button type="button" className="link" onClick={() => onChange({ [rule]: undefined })}>
+                                Clear
+                            </button>
+                        )}
+                    </label>
+                ))}
+            {problems.length > 0 && (
+                <ul className="field-problems">
+                    {problems.map((msg) => (
+                        <li key={msg}>{msg}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default FieldRules
@@ -0,0 +1,56 @@
+import { splitRotation } from './transform.js'
+
+// Rotation and crop of the current page. `onRotate(rotation, options)` sets the rotation in degrees clockwise;
+// typing a fine angle passes a merge key so it is one undo step.
+function ImageTools({ transform, page, onRotate, onDeskew, onCropToContent, onClearCrop, onReset }) {
+    const { rotation, crop } = transform
+    const { quarter, fine } = splitRotation(rotation)
+
+    return (
+        <div className="image-tools">
+            <div className="row">
+                <span className="image-tools__label">Rotate</span>
+                <button onClick={() => onRotate(rotation - 90)} title="Rotate 90° counterclockwise">
+                    ⟲ 90°
+                </button>
+                <button onClick={() => onRotate(rotation + 90)} title="Rotate 90° clockwise">
+                    ⟳ 90°
+                </button>
+                <label className="check" title="Fine rotation in degrees, clockwise">
+                    <input
+                        className="grid-input"
+                        type="number"
+                        min={-45}
+                        max={45}
+                        step={0.1}
+                        value={fine}
+                        onChange={(e) => onRotate(quarter + Math.max(-45, Math.min(45, Number(e.target.value) || 0)), { merge: `rotation:${page}` })}
+                    />
+                    °
+                </label>
+            </div>
+            <div className="row">
+                <span className="image-tools__label">Page</span>
+                <button onClick={onDeskew} title="Straighten the page so its text lines are level">
+                    Deskew
+                </button>
+                <button onClick={onCropToContent} title="Cut away empty margins and scanner borders">
+                    Crop to Content
+                </button>
+                {crop && <button onClick={onClearCrop}>Uncrop</button>}
+                <button onClick={onReset} disabled={!rotation && !crop} title="Back to the original page">
+                    Reset
+                </button>
+            </div>
+            {(rotation !== 0 || crop) && (
+                <span className="muted">
+                    {rotation !== 0 && `Rotated ${rotation}°`}
+                    {rotation !== 0 && crop && ', '}
+                    {crop && `cropped to ${crop.w}×${crop.h}`}
+                </span>
+            )}
+        </div>
+    )
+}
+
+export default ImageTools
@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useState } from 'react'
+import { deleteProject, duplicateProject, listProjects, renameProject } from './library.js'
+
+const formatTime = (ms) => new Date(ms).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+// Saved projects with open, duplicate, rename and delete.
+// `onOpen(id)` switches the editor to a project; `onDeleted(id)` lets the editor drop the open one.
+function LibraryPanel({ currentId, onOpen, onNew, onDeleted, onClose }) {
+    const [projects, setProjects] = useState(null) // null while loading
+    const [renaming, setRenaming] = useState(null) // { id, name }
+    const [error, setError] = useState('')
+
+    const refresh = useCallback(async () => {
+        try {
+            setProjects(await listProjects())
+        } catch (err) {
+            setError(`Could not read the library: ${err.message}`)
+            setProjects([])
+        }
+    }, [])
+
+    useEffect(() => {
+        refresh()
+    }, [refresh])
+
+    // Run a library change, then reload the list
+    const run = async (action) => {
+        setError('')
+        try {
+            await action()
+        } catch (err) {
+            setError(err.message)
+        }
+        refresh()
+    }
+
+    const commitRename = () => {
+        const { id, name } = renaming
+        setRenaming(null)
+        if (name.trim()) run(() => renameProject(id, name.trim()))
+    }
+
+    const remove = (p) => {
+        if (!window.confirm(`Delete "${p.name}"? This cannot be undone.`)) return
+        run(async () => {
+            await deleteProject(p.id)
+            onDeleted(p.id)
+        })
+    }
+
+    return (
+        <div className="library-panel">
+            <div className="align-panel__header">
+                <strong>Library</strong>
+                <div className="row">
+                    <button className="primary" onClick={onNew}>
+                        New Project
+                    </button>
+                    <button onClick={onClose}>Close</button>
+                </div>
+            </div>
+
+            {error && (
+                <ul className="errors">
+                    <li>{error}</li>
+                </ul>
+            )}
+
+            {projects === null ? (
+                <p className="muted">Loading…</p>
+            ) : projects.length === 0 ? (
+                <p className="muted batch-panel__empty">No saved projects yet. Upload an image to start one.</p>
+            ) : (
+                <ul className="library-panel__grid">
+                    {projects.map((p) => (
+                        <li key={p.id} className={`library-card ${p.id === currentId ? 'library-card--current' : ''}`}>
+                            <button className="library-card__thumb" onClick={() => onOpen(p.id)} title="Open">
+                                {p.thumbnail ? <img src={p.thumbnail} alt="" /> : <span className="muted">No image</span>}
+                            </button>
+                            {renaming?.id === p.id ? (
+                                <input
+                                    autoFocus
+                                    value={renaming.name}
+                                    onChange={(e) => setRenaming({ id: p.id, name: e.target.value })}
+                                    onBlur={commitRename}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitRename()
+                                        if (e.key === 'Escape') setRenaming(null)
+                                    }}
+                                />
+                            ) : (
+                                <strong className="library-card__name" title={p.name}>
+                                    {p.name}
+                                </strong>
+                            )}
+                            <span className="muted library-card__meta">
+                                {p.boxes.length} box{p.boxes.length === 1 ? '' : 'es'} · {formatTime(p.updatedAt)}
+                            </span>
+                            <div className="row">
+                                <button onClick={() => onOpen(p.id)} disabled={p.id === currentId}>
+                                    Open
+                                </button>
+                                <button onClick={() => run(() => duplicateProject(p.id))}>Duplicate</button>
+                                <button onClick={() => setRenaming({ id: p.id, name: p.name })}>Rename</button>
+                                <button className="danger" onClick={() => remove(p)}>
+                                    Delete
+                                </button>
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default LibraryPanel
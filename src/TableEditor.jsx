@@ -0,0 +1,83 @@
+import { columnLabel, removeColumn, removeRow, splitLargest, tableRows } from './table.js'
+
+// Columns and rows of one table region in the sidebar list.
+// `onChange(patch, options)` applies a partial box update; column renames pass a merge key so typing is one undo step.
+function TableEditor({ box, expanded, problems, onChange }) {
+    const columns = box.columns || []
+    const rowCount = tableRows(box).length
+    const pitched = box.rowPitch > 0
+
+    const renameColumn = (index, name) =>
+        onChange({ columns: columns.map((c, i) => (i === index ? { ...c, name } : c)) }, { merge: `column:${box.id}:${index}` })
+
+    // Switching to a fixed pitch starts from the current average row height
+    const setRowMode = (mode) => {
+        if (mode === 'pitch') onChange({ rowPitch: Math.max(1, Math.round(box.h / rowCount)) })
+        else onChange({ rowPitch: undefined })
+    }
+
+    return (
+        <div className="field-rules">
+            <div className="row">
+                <span className="muted">
+                    {columns.length} column{columns.length === 1 ? '' : 's'} × {rowCount} row{rowCount === 1 ? '' : 's'}
+                </span>
+                <select value={pitched ? 'pitch' : 'dividers'} onChange={(e) => setRowMode(e.target.value)} title="How rows are defined">
+                    <option value="dividers">Row dividers</option>
+                    <option value="pitch">Fixed row pitch</option>
+                </select>
+            </div>
+            {expanded && (
+                <>
+                    {columns.map((c, i) => (
+                        <label key={i} className="rule">
+                            <span>Column {i + 1}</span>
+                            <input placeholder={columnLabel(c, i)} value={c.name} onChange={(e) => renameColumn(i, e.target.value)} />
+                            {columns.length > 1 && (
+                                <button type="button" className="link" onClick={() => onChange(removeColumn(box, i))}>
+                                    Remove
+                                </button>
+                            )}
+                        </label>
+                    ))}
+                    {pitched && (
+                        <label className="rule">
+                            <span>Row pitch (px)</span>
+                            <input
+                                type="number"
+                                min={1}
+                                step={1}
+                                value={box.rowPitch}
+                                onChange={(e) => e.target.value && onChange({ rowPitch: Math.max(1, Number(e.target.value)) }, { merge: `pitch:${box.id}` })}
+                            />
+                        </label>
+                    )}
+                    <div className="row">
+                        <button type="button" onClick={() => onChange(splitLargest(box, 'col'))}>
+                            Add Column
+                        </button>
+                        {!pitched && (
+                            <>
+                                <button type="button" onClick={() => onChange(splitLargest(box, 'row'))}>
+                                    Add Row
+                                </button>
+                                <button type="button" onClick={() => onChange(removeRow(box, rowCount - 1))} disabled={rowCount < 2}>
+                                    Remove Row
+                                </button>
+                            </>
+                        )}
+                    </div>
+                </>
+            )}
+            {problems.length > 0 && (
+                <ul className="field-problems">
+                    {problems.map((msg) => (
+                        <li key={msg}>{msg}</li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default TableEditor
@@ -0,0 +1,122 @@
+// Accuracy of extraction with a template, measured against ground truth. Each sample (one filled form) holds the
+// expected value of some fields and the output an OCR/extraction run produced for it, keyed by field name or key
+// (see keys.js; nested objects count as dotted keys). Values are compared after trimming and collapsing whitespace:
+// exact match, character error rate (edit distance over the length of the expected value) and whether the output
+// has the field at all. Only fields with an expected value are compared.
+//   sample: { id, name, imageId, imageName, expected: { [boxId]: text }, output: { [key]: text } | null, outputName }
+// where imageId is the library image (see library.js) of the scanned form, if one was attached.
+import { KEY_STYLES, nameToKey } from './keys.js'
+import { isField } from './template.js'
+
+const normalize = (text) => String(text).trim().replace(/\s+/g, ' ')
+
+// Levenshtein distance between two strings, by code point
+export const editDistance = (a, b) => {
+    const s = [...a]
+    const t = [...b]
+    let prev = Array.from({ length: t.length + 1 }, (_, j) => j)
+    for (let i = 1; i <= s.length; i++) {
+        const row = [i]
+        for (let j = 1; j <= t.length; j++) {
+            row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1))
+        }
+        prev = row
+    }
+    return prev[t.length]
+}
+
+// Leaves of an extraction output as a flat { key: text }, nested objects joined with dots. A leaf is a string,
+// number or boolean, or an object with a `value` or `text` (as OCR engines write { value, confidence }).
+// Nulls count as not extracted and arrays (table rows) are left out.
+export const flattenOutput = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Expected a JSON object of values keyed by field name')
+    const out = {}
+    const walk = (node, prefix) => {
+        Object.entries(node).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                const leaf = ['value', 'text'].find((k) => ['string', 'number', 'boolean'].includes(typeof value[k]))
+                if (leaf) out[path] = String(value[leaf])
+                else walk(value, path)
+            } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+                out[path] = String(value)
+            }
+        })
+    }
+    walk(data, '')
+    return out
+}
+
+// Value for a field in a flattened output: under its key in the document's style, its name as typed, or its key in
+// the other styles; undefined when none is there
+export const lookupValue = (output, field, keyStyle) => {
+    const candidates = [nameToKey(field.name, keyStyle), (field.name || '').trim(), ...KEY_STYLES.map((s) => nameToKey(field.name, s.value))]
+    const key = candidates.find((k) => k && Object.hasOwn(output, k))
+    return key === undefined ? undefined : output[key]
+}
+
+// Expected values for the given fields from a JSON object keyed like an extraction output: { [boxId]: text }
+export const expectedFromOutput = (fields, data, keyStyle) => {
+    const output = flattenOutput(data)
+    const expected = {}
+    fields.forEach((f) => {
+        const value = lookupValue(output, f, keyStyle)
+        if (value !== undefined) expected[f.id] = value
+    })
+    return expected
+}
+
+// Boxes the report covers: plain fields. Anchors have no value, and the output of a table is a list of rows, which
+// flattenOutput leaves out, so tables would always count as missing.
+export const accuracyFields = (boxes) => boxes.filter(isField)
+
+const rate = (part, whole) => (whole ? part / whole : null)
+
+// Per-field and overall accuracy of the samples that have an output.
+// fields: [{ id, name, key, checks, compared, exact, missing, errors, chars, cer, exactRate, failing }], where each check
+// is { sampleId, sampleName, expected, actual (null when missing), exact, errors, cer } and a field fails when any
+// of its checks is not an exact match. overall: { samples, compared, exact, missing, cer, exactRate }.
+// Rates are fractions, null when nothing was compared.
+export const accuracyReport = (fields, samples, keyStyle) => {
+    const scored = samples.filter((s) => s.output)
+    const rows = fields.map((f) => {
+        const checks = scored
+            .filter((s) => normalize(s.expected?.[f.id] ?? ''))
+            .map((s) => {
+                const expected = normalize(s.expected[f.id])
+                const raw = lookupValue(s.output, f, keyStyle)
+                const actual = raw === undefined ? null : normalize(raw)
+                const errors = actual === null ? [...expected].length : editDistance(expected, actual)
+                return { sampleId: s.id, sampleName: s.name, expected, actual, exact: actual === expected, errors, cer: errors / [...expected].length }
+            })
+        const chars = checks.reduce((sum, c) => sum + [...c.expected].length, 0)
+        const errors = checks.reduce((sum, c) => sum + c.errors, 0)
+        const exact = checks.filter((c) => c.exact).length
+        return {
+            id: f.id,
+            name: f.name,
+            key: nameToKey(f.name, keyStyle),
+            checks,
+            compared: checks.length,
+            exact,
+            missing: checks.filter((c) => c.actual === null).length,
+            errors,
+            chars,
+            cer: rate(errors, chars),
+            exactRate: rate(exact, checks.length),
+            failing: exact < checks.length,
+        }
+    })
+    const sum = (key) => rows.reduce((total, r) => total + r[key], 0)
+    return {
+        fields: rows,
+        overall: {
+            samples: scored.length,
+            compared: sum('compared'),
+            exact: sum('exact'),
+            missing: sum('missing'),
+            cer: rate(sum('errors'), sum('chars')),
+            exactRate: rate(sum('exact'), sum('compared')),
+        },
+    }
+}
@@ -0,0 +1,125 @@
+// Batch application of a template to many form images: crop every field and package the crops as a zip.
+// Crops are placed with the template's percent coordinates so forms of any size line up.
+import { strToU8, zipSync } from 'fflate'
+import { migrateTemplate } from './migrations.js'
+import { columnLabel, isTable, tableCells } from './table.js'
+import { isAnchor, parseTemplate } from './template.js'
+
+const safeParse = (text) => {
+    try {
+        return JSON.parse(text)
+    } catch {
+        return null
+    }
+}
+
+// Fields of an exported template as { id, name, page, percent: { x, y, width, height } }.
+// Every table cell becomes a field named <table>_r<row>_<column>.
+// Returns { fields, pageCount, errors }. Templates of older schema versions are migrated first.
+export const templateFields = (template) => {
+    let data = typeof template === 'string' ? safeParse(template) : template
+    if (!data) return { fields: [], pageCount: 0, errors: ['Invalid JSON'] }
+    try {
+        data = migrateTemplate(data)
+    } catch (err) {
+        return { fields: [], pageCount: 0, errors: [err.message] }
+    }
+    const sizes = Array.isArray(data.pages) && data.pages.length ? data.pages : data.image ? [data.image] : null
+    if (!sizes) return { fields: [], pageCount: 0, errors: ['Template has no image or page sizes'] }
+
+    // Parse against the template's own page sizes so pixels and percent agree
+    const { boxes, errors } = parseTemplate(data, sizes)
+    if (errors.length) return { fields: [], pageCount: 0, errors }
+    const fields = boxes
+        .filter((b) => !isAnchor(b))
+        .flatMap((b) => {
+            const { width, height } = sizes[b.page || 0]
+            const percent = (r) => ({ x: r.x / width, y: r.y / height, width: r.w / width, height: r.h / height })
+            if (isTable(b)) {
+                return tableCells(b).map((c) => ({
+                    id: `${b.id}:${c.row}:${c.column}`,
+                    name: `${b.name || 'table'}_r${c.row + 1}_${columnLabel({ name: c.columnName }, c.column)}`,
+                    page: b.page || 0,
+                    percent: percent(c),
+                }))
+            }
+            return [{ id: b.id, name: b.name, page: b.page || 0, percent: percent(b) }]
+        })
+    return { fields, pageCount: sizes.length, errors: [] }
+}
+
+// Pixel rectangle of a percent-placed field on an image of the given size
+export const fieldRect = (field, width, height) => {
+    const x = Math.max(0, Math.min(width - 1, Math.round(field.percent.x * width)))
+    const y = Math.max(0, Math.min(height - 1, Math.round(field.percent.y * height)))
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.min(width - x, Math.round(field.percent.width * width))),
+        height: Math.max(1, Math.min(height - y, Math.round(field.percent.height * height))),
+    }
+}
+
+// File-system safe names, made unique within one folder
+const safeName = (name, fallback) =>
+    (name || '')
+        .trim()
+        .replace(/[\\/:*?"<>|]+/g, '_')
+        .replace(/^\.+/, '') || fallback
+
+const uniqueNames = (names) => {
+    const seen = new Map()
+    return names.map((name) => {
+        const key = name.toLowerCase()
+        const count = (seen.get(key) || 0) + 1
+        seen.set(key, count)
+        return count === 1 ? name : `${name}_${count}`
+    })
+}
+
+const stripExtension = (name) => name.replace(/\.[^./]+$/, '')
+
+const canvasToPng = (canvas) =>
+    new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) reject(new Error('Failed to encode crop'))
+            else blob.arrayBuffer().then((buf) => resolve(new Uint8Array(buf)), reject)
+        }, 'image/png')
+    })
+
+// Build a zip of `<image>/<field>.png` crops plus manifest.json.
+// forms: [{ name, image }] with loaded HTMLImageElements; onProgress(done, total) is called per form.
+export const buildCropsZip = async (forms, fields, { templateName = 'template', onProgress } = {}) => {
+    const files = {}
+    const folders = uniqueNames(forms.map((f, i) => safeName(stripExtension(f.name), `image_${i + 1}`)))
+    const fieldFiles = uniqueNames(fields.map((f, i) => safeName(f.name, `field_${i + 1}`)))
+    const canvas = document.createElement('canvas')
+    const ctx = canvas.getContext('2d')
+
+    const images = []
+    for (const [i, form] of forms.entries()) {
+        const { naturalWidth: width, naturalHeight: height } = form.image
+        const entries = []
+        for (const [j, field] of fields.entries()) {
+            const rect = fieldRect(field, width, height)
+            canvas.width = rect.width
+            canvas.height = rect.height
+            ctx.drawImage(form.image, rect.x, rect.y, rect.width, rect.height, 0, 0, rect.width, rect.height)
+            const path = `${folders[i]}/${fieldFiles[j]}.png`
+            // PNGs are already compressed, so store them as-is
+            files[path] = [await canvasToPng(canvas), { level: 0 }]
+            entries.push({ id: field.id, name: field.name, file: path, pixels: rect })
+        }
+        images.push({ file: form.name, folder: folders[i], width, height, fields: entries })
+        onProgress?.(i + 1, forms.length)
+    }
+
+    const manifest = {
+        template: templateName,
+        createdAt: new Date().toISOString(),
+        fields: fields.map((f, j) => ({ id: f.id, name: f.name, file: `${fieldFiles[j]}.png`, percent: f.percent })),
+        images,
+    }
+    files['manifest.json'] = strToU8(JSON.stringify(manifest, null, 2))
+    return zipSync(files)
+}
@@ -0,0 +1,204 @@
+// Benchmark page (benchmark.html): frame times of the editor's canvas layers (render.js) at 5,000 boxes,
+// against repainting the full-size image and every box on every frame as the single canvas used to.
+import { hitTestBoxes } from './geometry.js'
+import { clearLabelWidths, clearLayer, createImageCache, drawBoxLayer, drawImageLayer, drawOverlay } from './render.js'
+import { createSpatialIndex } from './spatialIndex.js'
+import { canvasToImage } from './transform.js'
+
+// Letter at 600 dpi
+const PAGE = { width: 5100, height: 6600 }
+const BOX_COUNT = 5000
+const COLUMNS = 50
+const FRAMES = 120
+const HIT_TESTS = 20000
+const STAGE_WIDTH = 800 // CSS pixels
+const HANDLE_SIZE = 8
+
+// A form-like page: ruled lines with blocks of "text" above them
+const makePage = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = PAGE.width
+    canvas.height = PAGE.height
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = '#ffffff'
+    ctx.fillRect(0, 0, PAGE.width, PAGE.height)
+    ctx.fillStyle = '#1e293b'
+    for (let y = 150; y < PAGE.height - 150; y += 66) {
+        ctx.fillRect(150, y + 50, PAGE.width - 300, 3)
+        for (let x = 150; x < PAGE.width - 450; x += 400) ctx.fillRect(x, y + 20, 40 + ((x * 7 + y) % 300), 20)
+    }
+    return canvasToImage(canvas)
+}
+
+// A grid of fields covering the page
+const makeBoxes = () => {
+    const cellW = PAGE.width / COLUMNS
+    const cellH = PAGE.height / Math.ceil(BOX_COUNT / COLUMNS)
+    return Array.from({ length: BOX_COUNT }, (_, i) => ({
+        id: `b${i}`,
+        x: Math.round((i % COLUMNS) * cellW + 6),
+        y: Math.round(Math.floor(i / COLUMNS) * cellH + 20),
+        w: Math.round(cellW - 12),
+        h: Math.round(cellH - 28),
+        name: '',
+        page: 0,
+    }))
+}
+
+const stats = (values) => {
+    const sorted = [...values].sort((a, b) => a - b)
+    return {
+        mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+        p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        max: sorted[sorted.length - 1],
+    }
+}
+
+// Run `paint(t)` on FRAMES animation frames with t going from 0 to 1, timing each paint and the interval between
+// frames. Reading a pixel back from each layer waits for the drawing to finish, so it counts in the paint time.
+const runFrames = (layers, paint) =>
+    new Promise((resolve) => {
+        const paints = []
+        const intervals = []
+        let last = 0
+        const tick = (now) => {
+            if (last) intervals.push(now - last)
+            last = now
+            const start = performance.now()
+            paint(paints.length / (FRAMES - 1))
+            layers.forEach((layer) => layer.getContext('2d').getImageData(0, 0, 1, 1))
+            paints.push(performance.now() - start)
+            if (paints.length < FRAMES) requestAnimationFrame(tick)
+            else resolve({ paint: stats(paints), interval: stats(intervals) })
+        }
+        requestAnimationFrame(tick)
+    })
+
+// Average time per call in microseconds, and the results
+const timeHits = (points, hitTest) => {
+    const start = performance.now()
+    const hits = points.map(hitTest)
+    return { micros: ((performance.now() - start) * 1000) / points.length, hits }
+}
+
+const setStatus = (text) => {
+    document.getElementById('status').textContent = text
+}
+
+const formatMs = (v) => v.toFixed(2)
+
+const addResult = (name, { paint, interval }) => {
+    const row = document.createElement('tr')
+    const cells = [name, paint.mean, paint.p95, paint.max, interval.mean, interval.p95].map((v) => (typeof v === 'number' ? formatMs(v) : v))
+    cells.forEach((text) => {
+        const cell = document.createElement('td')
+        cell.textContent = text
+        row.appendChild(cell)
+    })
+    document.querySelector('#results tbody').appendChild(row)
+}
+
+const run = async () => {
+    const button = document.getElementById('run')
+    button.disabled = true
+    document.querySelector('#results tbody').replaceChildren()
+    document.getElementById('results').hidden = false
+    document.getElementById('hits').textContent = ''
+
+    setStatus('Rendering the page…')
+    const img = await makePage()
+    const boxes = makeBoxes()
+    const labels = new Map(boxes.map((b, i) => [b.id, `Field ${i + 1}`]))
+    const selected = boxes.slice(0, 20)
+
+    // The same stack of canvases the editor uses
+    const dpr = window.devicePixelRatio || 1
+    const width = Math.round(STAGE_WIDTH * dpr)
+    const height = Math.round((STAGE_WIDTH * PAGE.height * dpr) / PAGE.width)
+    const stage = document.getElementById('stage')
+    stage.style.width = `${STAGE_WIDTH}px`
+    stage.style.height = `${Math.round(height / dpr)}px`
+    const layers = [0, 1, 2].map(() => {
+        const canvas = document.createElement('canvas')
+        canvas.width = width
+        canvas.height = height
+        return canvas
+    })
+    stage.replaceChildren(...layers)
+    const [imageCtx, boxCtx, overlayCtx] = layers.map((layer) => layer.getContext('2d'))
+
+    // At `zoom`, pan from the top-left corner of the page to the bottom-right one as t goes from 0 to 1
+    const viewAt = (zoom, t) => ({
+        zoom,
+        pan: { x: -width * (zoom - 1) * t, y: -height * (zoom - 1) * t },
+        sx: width / PAGE.width,
+        sy: height / PAGE.height,
+        width,
+        height,
+        dpr,
+    })
+    const overlay = { selected, handleBox: selected[0], handleSize: HANDLE_SIZE }
+
+    const indexStart = performance.now()
+    const index = createSpatialIndex(boxes)
+    const indexMs = performance.now() - indexStart
+    const cache = createImageCache(img)
+
+    // Before: the full-size image and every box painted on each frame, measuring every label as there was no cache
+    const paintEverything = (view) => {
+        clearLabelWidths()
+        clearLayer(imageCtx, view)
+        imageCtx.setTransform(view.zoom, 0, 0, view.zoom, view.pan.x, view.pan.y)
+        imageCtx.drawImage(img, 0, 0, view.width, view.height)
+        drawBoxLayer(boxCtx, view, { boxes, labels })
+        drawOverlay(overlayCtx, view, overlay)
+    }
+    // Layers: cached image copies and only the boxes in view
+    const paintLayers = (view) => {
+        drawImageLayer(imageCtx, view, cache)
+        drawBoxLayer(boxCtx, view, { boxes, index, labels })
+        drawOverlay(overlayCtx, view, overlay)
+    }
+
+    const scenarios = [
+        ['Before: whole page, zoom 100%', (t) => paintEverything(viewAt(1, t))],
+        ['Layers: whole page, zoom 100%', (t) => paintLayers(viewAt(1, t))],
+        ['Before: pan at zoom 400%', (t) => paintEverything(viewAt(4, t))],
+        ['Layers: pan at zoom 400%', (t) => paintLayers(viewAt(4, t))],
+        [
+            'Layers: drawing a box (overlay only)',
+            (t) => {
+                const view = viewAt(1, 0)
+                const rubberBand = { x: 400, y: 400, w: 200 + 4000 * t, h: 100 + 5000 * t }
+                drawOverlay(overlayCtx, view, { ...overlay, rubberBand })
+            },
+        ],
+    ]
+    // Warm the image cache so the first scenario is not charged for it; each scenario starts measuring labels afresh
+    paintLayers(viewAt(1, 0))
+    for (const [name, paint] of scenarios) {
+        clearLabelWidths()
+        setStatus(`${name}…`)
+        addResult(name, await runFrames(layers, paint))
+    }
+
+    // Hover and click hit tests at random points
+    const points = Array.from({ length: HIT_TESTS }, () => ({ x: Math.random() * PAGE.width, y: Math.random() * PAGE.height }))
+    const linear = timeHits(points, (pt) => hitTestBoxes(boxes, pt))
+    const indexed = timeHits(points, (pt) => index.hitTest(pt))
+    const agree = linear.hits.every((hit, i) => hit === indexed.hits[i])
+    document.getElementById('hits').textContent =
+        `Hit test: ${linear.micros.toFixed(2)} µs scanning every box, ${indexed.micros.toFixed(2)} µs with the spatial index ` +
+        `(built in ${formatMs(indexMs)} ms)${agree ? '' : ' — results differ!'}`
+
+    URL.revokeObjectURL(img.src)
+    setStatus(`Done: ${FRAMES} frames per scenario at ${width}×${height} device pixels`)
+    button.disabled = false
+}
+
+document.getElementById('run').addEventListener('click', () => {
+    run().catch((err) => {
+        setStatus(`Failed: ${err.message}`)
+        document.getElementById('run').disabled = false
+    })
+})
@@ -0,0 +1,149 @@
+// Client side of collaboration mode: keeps the boxes of the open document in sync with everyone in the same room of
+// a sync server (bin/sync-server.js, started with `npm run sync`) and passes cursors and selections around.
+// Edits are merged as described in sync.js, so they may cross on the wire and a lost connection loses nothing:
+// the editor keeps working offline, reconnects on its own and then sends everything it has.
+import { DEFAULT_SYNC_PORT, createReplica, localDelta, mergeDelta, replicaDelta } from './sync.js'
+
+export const DEFAULT_SERVER = `ws://localhost:${DEFAULT_SYNC_PORT}`
+
+// Server, room and name from the last session are offered again
+const SETTINGS_KEY = 'annotator_collab'
+
+// Waits (ms) before each reconnect attempt; the last one repeats
+const RECONNECT_DELAYS = [500, 1000, 2000, 5000]
+
+// Local edits (e.g. every step of a drag) are sent at most this often, merged into one delta
+const SEND_DELAY = 50
+
+// Cursor moves are sent at most this often
+const PRESENCE_DELAY = 50
+
+export const loadCollabSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null')
+        return saved && typeof saved === 'object' ? saved : {}
+    } catch {
+        return {}
+    }
+}
+
+export const saveCollabSettings = (settings) => {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+    } catch {
+        // the settings are just not remembered
+    }
+}
+
+// Join `room` on `server` with the document's current `boxes`. Callbacks:
+//   onChanges(changes)  edits by others, to apply with applyChanges (sync.js)
+//   onPeers(peers)      everyone else in the room: [{ id, name, color, cursor, selection }]
+//   onStatus(status)    { state: 'connecting' | 'online' | 'offline', color, error }; color is ours once online
+// Returns { update(before, after), setPresence({ cursor, selection }), close() }; `update` takes every local edit.
+export const createCollabSession = ({ server, room, name, boxes, onChanges, onPeers, onStatus }) => {
+    const replica = createReplica(crypto.randomUUID())
+    localDelta(replica, [], boxes)
+    const peers = new Map()
+    let socket = null
+    let online = false
+    let closed = false
+    let attempts = 0
+    let reconnectTimer = null
+    let outgoing = null // edits waiting for SEND_DELAY, as a replica of their own
+    let sendTimer = null
+    let presence = { cursor: null, selection: [] }
+    let presenceTimer = null
+
+    const send = (message) => online && socket.send(JSON.stringify(message))
+    const showPeers = () => onPeers([...peers.values()])
+
+    const flush = () => {
+        sendTimer = null
+        // Offline edits stay in the replica and go out with the next hello
+        if (outgoing) send({ type: 'delta', delta: replicaDelta(outgoing) })
+        outgoing = null
+    }
+
+    const receive = (message) => {
+        if (message.type === 'welcome') {
+            online = true
+            attempts = 0
+            const changes = mergeDelta(replica, message.replica)
+            if (changes) onChanges(changes)
+            peers.clear()
+            message.peers.forEach((p) => peers.set(p.id, p))
+            showPeers()
+            onStatus({ state: 'online', color: message.color, error: '' })
+            send({ type: 'presence', ...presence })
+        } else if (message.type === 'delta') {
+            const changes = mergeDelta(replica, message.delta)
+            if (changes) onChanges(changes)
+        } else if (message.type === 'presence') {
+            peers.set(message.peer.id, message.peer)
+            showPeers()
+        } else if (message.type === 'leave') {
+            peers.delete(message.id)
+            showPeers()
+        } else if (message.type === 'error') {
+            onStatus({ state: online ? 'online' : 'offline', error: `The server refused an update: ${message.message}` })
+        }
+    }
+
+    const connect = () => {
+        reconnectTimer = null
+        onStatus({ state: 'connecting', error: '' })
+        try {
+            socket = new WebSocket(server)
+        } catch (err) {
+            closed = true
+            onStatus({ state: 'offline', error: `${server} is not a WebSocket address: ${err.message}` })
+            return
+        }
+        socket.onopen = () => socket.send(JSON.stringify({ type: 'hello', room, name, replica: replicaDelta(replica) }))
+        socket.onmessage = (e) => {
+            try {
+                receive(JSON.parse(e.data))
+            } catch (err) {
+                onStatus({ state: online ? 'online' : 'offline', error: `Could not read a message from the server: ${err.message}` })
+            }
+        }
+        socket.onclose = () => {
+            const wasOnline = online
+            online = false
+            socket = null
+            peers.clear()
+            showPeers()
+            if (closed) return
+            const delay = RECONNECT_DELAYS[Math.min(attempts++, RECONNECT_DELAYS.length - 1)]
+            onStatus({ state: 'offline', error: wasOnline ? 'Lost the connection; your edits are kept and sent on reconnect' : `Cannot reach ${server}` })
+            reconnectTimer = setTimeout(connect, delay)
+        }
+    }
+    connect()
+
+    return {
+        update: (before, after) => {
+            const delta = localDelta(replica, before, after)
+            if (!delta) return
+            outgoing = outgoing || createReplica(replica.client)
+            mergeDelta(outgoing, delta)
+            if (!sendTimer) sendTimer = setTimeout(flush, SEND_DELAY)
+        },
+        setPresence: (next) => {
+            presence = { ...presence, ...next }
+            if (!presenceTimer) {
+                presenceTimer = setTimeout(() => {
+                    presenceTimer = null
+                    send({ type: 'presence', ...presence })
+                }, PRESENCE_DELAY)
+            }
+        },
+        close: () => {
+            closed = true
+            clearTimeout(reconnectTimer)
+            clearTimeout(sendTimer)
+            clearTimeout(presenceTimer)
+            if (socket) socket.close()
+        },
+    }
+}
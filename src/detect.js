@@ -0,0 +1,55 @@
+// Auto-detection of candidate field regions in a Web Worker (the analysis itself is in detection.js).
+import { toGray } from './registration.js'
+
+// Images are analysed at most this wide; printed lines survive the downscale and it keeps detection fast
+const WORK_WIDTH = 1600
+
+let worker = null
+let nextId = 1
+const pending = new Map() // request id -> { resolve, reject }
+
+const getWorker = () => {
+    if (!worker) {
+        worker = new Worker(new URL('./detect.worker.js', import.meta.url), { type: 'module' })
+        worker.onmessage = (e) => {
+            const { id, regions, error } = e.data
+            const request = pending.get(id)
+            if (!request) return
+            pending.delete(id)
+            if (error) request.reject(new Error(error))
+            else request.resolve(regions)
+        }
+        worker.onerror = (e) => {
+            pending.forEach((request) => request.reject(new Error(e.message || 'Detection worker failed')))
+            pending.clear()
+            worker.terminate()
+            worker = null
+        }
+    }
+    return worker
+}
+
+// Suggested regions for an image as { x, y, w, h, shape, type } in its natural pixels
+export const detectFields = (img) => {
+    const scale = Math.min(1, WORK_WIDTH / img.naturalWidth)
+    const width = Math.max(1, Math.round(img.naturalWidth * scale))
+    const height = Math.max(1, Math.round(img.naturalHeight * scale))
+    const gray = toGray(img, width, height)
+    const id = nextId++
+    return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject })
+        getWorker().postMessage({ id, gray: gray.data, width, height }, [gray.data.buffer])
+    }).then((regions) =>
+        regions.map((r) => {
+            const x = Math.max(0, Math.round(r.x / scale))
+            const y = Math.max(0, Math.round(r.y / scale))
+            return {
+                ...r,
+                x,
+                y,
+                w: Math.min(img.naturalWidth - x, Math.round(r.w / scale)),
+                h: Math.min(img.naturalHeight - y, Math.round(r.h / scale)),
+            }
+        }),
+    )
+}
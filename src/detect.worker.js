@@ -0,0 +1,11 @@
+// Runs field detection off the main thread. Messages: { id, gray, width, height } -> { id, regions } or { id, error }
+import { detectRegions } from './detection.js'
+
+self.onmessage = (e) => {
+    const { id, gray, width, height } = e.data
+    try {
+        self.postMessage({ id, regions: detectRegions({ data: gray, width, height }) })
+    } catch (err) {
+        self.postMessage({ id, error: err.message })
+    }
+}
@@ -0,0 +1,200 @@
+// Candidate field regions on a blank form, found from its printed lines.
+// Pure functions over a grayscale image { data, width, height } so they can run in a Web Worker (see detect.worker.js).
+//
+// 1. Binarize with Otsu's threshold.
+// 2. Keep only dark pixels that belong to long horizontal or vertical runs: these are the printed lines.
+// 3. Regions of non-line pixels that are fully enclosed by lines are boxes, table cells or checkbox squares.
+// 4. Long horizontal lines that are not the edge of such a region are fill-in lines (underscores);
+//    the suggested field is the strip of text height above them.
+
+const otsuThreshold = (data) => {
+    const hist = new Array(256).fill(0)
+    for (let i = 0; i < data.length; i++) hist[Math.max(0, Math.min(255, Math.round(data[i])))]++
+    let sum = 0
+    for (let t = 0; t < 256; t++) sum += t * hist[t]
+    let sumB = 0
+    let weightB = 0
+    let best = 0
+    let threshold = 128
+    for (let t = 0; t < 256; t++) {
+        weightB += hist[t]
+        if (!weightB) continue
+        const weightF = data.length - weightB
+        if (!weightF) break
+        sumB += t * hist[t]
+        const diff = sumB / weightB - (sum - sumB) / weightF
+        const between = weightB * weightF * diff * diff
+        if (between > best) {
+            best = between
+            threshold = t
+        }
+    }
+    // Mostly white pages can push Otsu to extremes; keep it in a sane band for printed forms
+    return Math.max(80, Math.min(200, threshold))
+}
+
+// Mark runs of at least `minRun` dark pixels along rows (horizontal) or columns (vertical).
+// Horizontal runs of at least `minSegment` are also returned as { x0, x1, y } segments.
+const markRuns = (dark, width, height, minRun, horizontal, mask, minSegment, segments) => {
+    const outer = horizontal ? height : width
+    const inner = horizontal ? width : height
+    for (let o = 0; o < outer; o++) {
+        let start = -1
+        for (let i = 0; i <= inner; i++) {
+            const idx = horizontal ? o * width + i : i * width + o
+            const on = i < inner && dark[idx]
+            if (on && start === -1) start = i
+            if (!on && start !== -1) {
+                const len = i - start
+                if (len >= minRun) {
+                    for (let k = start; k < i; k++) mask[horizontal ? o * width + k : k * width + o] = 1
+                }
+                if (horizontal && segments && len >= minSegment) segments.push({ x0: start, x1: i - 1, y: o })
+                start = -1
+            }
+        }
+    }
+}
+
+// Grow the mask by one pixel so small breaks in scanned lines still close a box
+const dilate = (mask, width, height) => {
+    const out = new Uint8Array(mask.length)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!mask[y * width + x]) continue
+            for (let dy = -1; dy <= 1; dy++) {
+                const yy = y + dy
+                if (yy < 0 || yy >= height) continue
+                for (let dx = -1; dx <= 1; dx++) {
+                    const xx = x + dx
+                    if (xx >= 0 && xx < width) out[yy * width + xx] = 1
+                }
+            }
+        }
+    }
+    return out
+}
+
+// 4-connected regions of pixels where mask is 0, as { x, y, w, h, count, border }
+const enclosedRegions = (mask, width, height) => {
+    const labels = new Int32Array(mask.length)
+    const stack = new Int32Array(mask.length)
+    const regions = []
+    for (let start = 0; start < mask.length; start++) {
+        if (mask[start] || labels[start]) continue
+        const label = regions.length + 1
+        let top = 0
+        stack[top++] = start
+        labels[start] = label
+        let minX = width
+        let minY = height
+        let maxX = 0
+        let maxY = 0
+        let count = 0
+        let border = false
+        while (top) {
+            const idx = stack[--top]
+            const x = idx % width
+            const y = (idx - x) / width
+            count++
+            if (x < minX) minX = x
+            if (x > maxX) maxX = x
+            if (y < minY) minY = y
+            if (y > maxY) maxY = y
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) border = true
+            const push = (n) => {
+                if (!mask[n] && !labels[n]) {
+                    labels[n] = label
+                    stack[top++] = n
+                }
+            }
+            if (x > 0) push(idx - 1)
+            if (x < width - 1) push(idx + 1)
+            if (y > 0) push(idx - width)
+            if (y < height - 1) push(idx + width)
+        }
+        regions.push({ x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1, count, border })
+    }
+    return regions
+}
+
+// Join horizontal segments from neighbouring rows into lines { x0, x1, y0, y1 }
+const mergeSegments = (segments) => {
+    const lines = []
+    segments.forEach((s) => {
+        const line = lines.find((l) => s.y - l.y1 <= 1 && Math.min(l.x1, s.x1) - Math.max(l.x0, s.x0) > 0.8 * (s.x1 - s.x0))
+        if (line) {
+            line.x0 = Math.min(line.x0, s.x0)
+            line.x1 = Math.max(line.x1, s.x1)
+            line.y1 = s.y
+        } else {
+            lines.push({ x0: s.x0, x1: s.x1, y0: s.y, y1: s.y })
+        }
+    })
+    return lines
+}
+
+const overlap = (a0, a1, b0, b1) => Math.max(0, Math.min(a1, b1) - Math.max(a0, b0))
+
+// Suggested regions as { x, y, w, h, shape, type } in the pixels of the given image.
+// shape is 'box', 'cell' (part of a grid), 'checkbox' or 'line'; type is a guessed field type.
+export const detectRegions = ({ data, width, height }) => {
+    const threshold = otsuThreshold(data)
+    const dark = new Uint8Array(data.length)
+    for (let i = 0; i < data.length; i++) dark[i] = data[i] < threshold ? 1 : 0
+
+    // Scale-dependent limits: a run must be longer than text strokes, a fill-in line longer than a word
+    const minRun = Math.max(8, Math.round(width / 150))
+    const minLine = Math.round(width * 0.04)
+    const textHeight = Math.max(12, Math.round(width * 0.022))
+    const checkboxMax = Math.round(width * 0.03)
+
+    const mask = new Uint8Array(data.length)
+    const segments = []
+    markRuns(dark, width, height, minRun, true, mask, minLine, segments)
+    markRuns(dark, width, height, minRun, false, mask)
+
+    const regions = enclosedRegions(dilate(mask, width, height), width, height).filter(
+        (r) =>
+            !r.border &&
+            r.w >= minRun &&
+            r.h >= minRun &&
+            r.count >= 0.8 * r.w * r.h && // rectangular, not the inside of a letter or a diagonal shape
+            r.w * r.h <= 0.4 * width * height,
+    )
+
+    const suggestions = regions.map((r) => {
+        // Grow back the pixel lost to dilation so the box sits just inside the printed lines
+        const box = { x: r.x - 1, y: r.y - 1, w: r.w + 2, h: r.h + 2 }
+        const square = Math.abs(box.w - box.h) <= 0.25 * Math.max(box.w, box.h)
+        if (square && box.w <= checkboxMax) return { ...box, shape: 'checkbox', type: 'checkbox' }
+        // Cells share an edge with a neighbour of the same height or width
+        const cell = regions.some(
+            (o) =>
+                o !== r &&
+                ((Math.abs(o.y - r.y) <= 3 && Math.abs(o.h - r.h) <= 3 && Math.min(Math.abs(o.x - (r.x + r.w)), Math.abs(r.x - (o.x + o.w))) <= 6) ||
+                    (Math.abs(o.x - r.x) <= 3 && Math.abs(o.w - r.w) <= 3 && Math.min(Math.abs(o.y - (r.y + r.h)), Math.abs(r.y - (o.y + o.h))) <= 6)),
+        )
+        // Tall, wide boxes on forms are usually for signatures
+        const type = !cell && box.h >= 2.5 * textHeight && box.w >= 2.5 * box.h ? 'signature' : 'text'
+        return { ...box, shape: cell ? 'cell' : 'box', type }
+    })
+
+    // Fill-in lines: thin, and not the top or bottom edge of a detected region
+    mergeSegments(segments)
+        .filter((l) => l.y1 - l.y0 <= 5)
+        .filter(
+            (l) =>
+                !regions.some(
+                    (r) =>
+                        (Math.abs(l.y1 - r.y) <= 6 || Math.abs(l.y0 - (r.y + r.h)) <= 6) &&
+                        overlap(l.x0, l.x1, r.x, r.x + r.w) >= 0.5 * Math.min(l.x1 - l.x0, r.w),
+                ),
+        )
+        .forEach((l) => {
+            const y = Math.max(0, l.y0 - textHeight)
+            suggestions.push({ x: l.x0, y, w: l.x1 - l.x0 + 1, h: l.y0 - y, shape: 'line', type: 'text' })
+        })
+
+    return suggestions.sort((a, b) => a.y - b.y || a.x - b.x)
+}
@@ -0,0 +1,105 @@
+// Differences between two versions of a template's boxes (both in pixels of the same document), for compare mode.
+// Boxes are paired by id; boxes left over are paired by how much they overlap, when on the same page and of the same
+// kind, so a field that was deleted and drawn again still counts as moved rather than as removed and added.
+import { DEFAULT_FIELD_TYPE } from './fields.js'
+import { overlapRatio } from './geometry.js'
+
+// Statuses in the order the summary lists them; `moved` covers resized boxes and boxes moved to another page
+export const DIFF_STATUSES = [
+    { value: 'added', label: 'Added' },
+    { value: 'removed', label: 'Removed' },
+    { value: 'moved', label: 'Moved or resized' },
+    { value: 'renamed', label: 'Renamed' },
+    { value: 'edited', label: 'Type or rules changed' },
+    { value: 'unchanged', label: 'Unchanged' },
+]
+
+// Overlap (intersection over union) a leftover pair needs to be taken for the same box
+const MIN_OVERLAP = 0.3
+
+const GEOMETRY = ['id', 'x', 'y', 'w', 'h', 'name', 'page', 'shape', 'points', 'angle']
+
+// Whether the outline within the frame differs: another shape, polygon corners or rotation (see shapes.js)
+const sameOutline = (a, b) => ['shape', 'points', 'angle'].every((k) => JSON.stringify(a[k]) === JSON.stringify(b[k]))
+
+// Properties of a box besides id, geometry and name, as an export keeps them: a field without a type is text and
+// one without `required` is optional (imports fill both in), and an anchor has nothing but its kind (a field made
+// into an anchor keeps its type and rules in the editor, but they are not exported)
+const propsOf = (b) => {
+    if (b.kind === 'anchor') return { kind: b.kind }
+    const props = Object.fromEntries(Object.entries(b).filter(([k]) => !GEOMETRY.includes(k)))
+    return b.kind ? props : { ...props, type: b.type ?? DEFAULT_FIELD_TYPE, required: b.required ?? false }
+}
+
+// Whether two boxes differ in anything besides id, geometry and name: kind, type, rules, table layout
+const sameProps = (a, b) => {
+    const p = propsOf(a)
+    const q = propsOf(b)
+    const keys = new Set([...Object.keys(p), ...Object.keys(q)])
+    return [...keys].every((k) => JSON.stringify(p[k]) === JSON.stringify(q[k]))
+}
+
+const compare = (before, after, matchedBy) => {
+    const delta = { x: after.x - before.x, y: after.y - before.y, w: after.w - before.w, h: after.h - before.h }
+    const moved = (before.page || 0) !== (after.page || 0) || delta.x !== 0 || delta.y !== 0
+    const resized = delta.w !== 0 || delta.h !== 0 || !sameOutline(before, after)
+    const renamed = (before.name || '') !== (after.name || '')
+    const edited = !sameProps(before, after)
+    const status = moved || resized ? 'moved' : renamed ? 'renamed' : edited ? 'edited' : 'unchanged'
+    return { status, before, after, matchedBy, delta, moved, resized, renamed, edited, page: after.page || 0 }
+}
+
+// Changes from `before` to `after` as { status, before, after, matchedBy: 'id' | 'geometry' | null, delta: { x, y, w, h },
+// moved, resized, renamed, edited, page }. Added boxes have no `before` and removed ones no `after`; `page` is where
+// the box is now (or was, for removed boxes). Sorted by page, then top to bottom and left to right.
+export const diffBoxes = (before, after) => {
+    const afterById = new Map(after.map((b) => [b.id, b]))
+    const paired = new Set()
+    const changes = []
+    const leftover = []
+    before.forEach((b) => {
+        const a = afterById.get(b.id)
+        if (a && !paired.has(a)) {
+            paired.add(a)
+            changes.push(compare(b, a, 'id'))
+        } else {
+            leftover.push(b)
+        }
+    })
+
+    // Most overlapping pairs first, so each box gets its best partner
+    const kindOf = (b) => b.kind || 'field'
+    const candidates = leftover.flatMap((b) =>
+        after
+            .filter((a) => !paired.has(a) && kindOf(a) === kindOf(b) && (a.page || 0) === (b.page || 0))
+            .map((a) => ({ b, a, overlap: overlapRatio(a, b) }))
+            .filter((c) => c.overlap >= MIN_OVERLAP),
+    )
+    const pairedBefore = new Set()
+    candidates
+        .sort((p, q) => q.overlap - p.overlap)
+        .forEach(({ b, a }) => {
+            if (pairedBefore.has(b) || paired.has(a)) return
+            pairedBefore.add(b)
+            paired.add(a)
+            changes.push(compare(b, a, 'geometry'))
+        })
+
+    const unpaired = (status, b) => ({
+        status,
+        before: status === 'removed' ? b : null,
+        after: status === 'added' ? b : null,
+        matchedBy: null,
+        delta: { x: 0, y: 0, w: 0, h: 0 },
+        moved: false,
+        resized: false,
+        renamed: false,
+        edited: false,
+        page: b.page || 0,
+    })
+    leftover.filter((b) => !pairedBefore.has(b)).forEach((b) => changes.push(unpaired('removed', b)))
+    after.filter((a) => !paired.has(a)).forEach((a) => changes.push(unpaired('added', a)))
+
+    const box = (c) => c.after || c.before
+    return changes.sort((p, q) => p.page - q.page || box(p).y - box(q).y || box(p).x - box(q).x)
+}
@@ -0,0 +1,13 @@
+// Save data as a file through a temporary object URL
+export const downloadFile = (fileName, data, type = 'application/octet-stream') => {
+    const blob = data instanceof Blob ? data : new Blob([data], { type })
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = fileName
+    document.body.appendChild(a)
+    a.click()
+    a.remove()
+    // Give the browser a moment to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,141 @@
+// Field types and validation rules attached to boxes.
+// A box may carry { type, required, pattern, values, dateFormat, length }; missing properties mean "not set".
+
+export const FIELD_TYPES = [
+    { value: 'text', label: 'Text', rules: ['pattern', 'values', 'length'] },
+    { value: 'number', label: 'Number', rules: ['pattern', 'values', 'length'] },
+    { value: 'date', label: 'Date', rules: ['pattern', 'dateFormat'] },
+    { value: 'checkbox', label: 'Checkbox', rules: [] },
+    { value: 'radio', label: 'Radio group', rules: ['values'] },
+    { value: 'signature', label: 'Signature', rules: [] },
+    { value: 'barcode', label: 'Barcode', rules: ['pattern', 'length'] },
+]
+
+export const DEFAULT_FIELD_TYPE = 'text'
+
+export const RULE_LABELS = {
+    pattern: 'Regex pattern',
+    values: 'Allowed values',
+    dateFormat: 'Date format',
+    length: 'Character count',
+}
+
+export const getFieldType = (type) => FIELD_TYPES.find((t) => t.value === type) || FIELD_TYPES[0]
+
+// Allowed values are edited one per line; blank lines are ignored
+export const cleanValues = (values) => (Array.isArray(values) ? values.map((v) => String(v).trim()).filter(Boolean) : [])
+
+// Whether a rule has a value worth keeping or exporting
+export const hasRule = (box, rule) => {
+    if (rule === 'values') return cleanValues(box.values).length > 0
+    if (rule === 'length') return box.length !== undefined && box.length !== null && box.length !== ''
+    return typeof box[rule] === 'string' && box[rule].trim() !== ''
+}
+
+const compilePattern = (pattern) => {
+    try {
+        return new RegExp(`^(?:${pattern})$`)
+    } catch {
+        return null
+    }
+}
+
+// Return human-readable problems with a box's type and rules (empty when consistent)
+export const validateFieldRules = (box) => {
+    const type = getFieldType(box.type)
+    const problems = []
+
+    if (box.type !== undefined && !FIELD_TYPES.some((t) => t.value === box.type)) {
+        problems.push(`Unknown type "${box.type}"`)
+    }
+
+    // Rules that make no sense for the type, e.g. a regex on a checkbox
+    Object.keys(RULE_LABELS).forEach((rule) => {
+        if (hasRule(box, rule) && !type.rules.includes(rule)) {
+            problems.push(`${RULE_LABELS[rule]} does not apply to ${type.label.toLowerCase()} fields`)
+        }
+    })
+
+    const values = cleanValues(box.values)
+    const regex = hasRule(box, 'pattern') ? compilePattern(box.pattern) : null
+    if (hasRule(box, 'pattern') && !regex) problems.push('Regex pattern is not a valid regular expression')
+
+    if (hasRule(box, 'length') && !(Number.isInteger(box.length) && box.length > 0)) {
+        problems.push('Character count must be a positive whole number')
+    }
+
+    if (type.value === 'radio' && values.length < 2) problems.push('Radio groups need at least two allowed values')
+    if (type.value === 'number') {
+        const nonNumeric = values.filter((v) => !Number.isFinite(Number(v)))
+        if (nonNumeric.length) problems.push(`Allowed values are not numbers: ${nonNumeric.join(', ')}`)
+    }
+    if (new Set(values).size !== values.length) problems.push('Allowed values contain duplicates')
+
+    // Allowed values must themselves satisfy the other rules
+    if (regex && type.rules.includes('values')) {
+        const mismatched = values.filter((v) => !regex.test(v))
+        if (mismatched.length) problems.push(`Allowed values do not match the pattern: ${mismatched.join(', ')}`)
+    }
+    if (Number.isInteger(box.length) && box.length > 0 && type.rules.includes('values')) {
+        const wrongLength = values.filter((v) => v.length !== box.length)
+        if (wrongLength.length) problems.push(`Allowed values are not ${box.length} characters long: ${wrongLength.join(', ')}`)
+    }
+
+    return problems
+}
+
+// Exported representation of a box's type and rules
+export const serializeFieldRules = (box) => {
+    const rules = {}
+    if (hasRule(box, 'pattern')) rules.pattern = box.pattern
+    if (hasRule(box, 'values')) rules.values = cleanValues(box.values)
+    if (hasRule(box, 'dateFormat')) rules.dateFormat = box.dateFormat
+    if (hasRule(box, 'length')) rules.length = box.length
+    return {
+        type: box.type || DEFAULT_FIELD_TYPE,
+        required: !!box.required,
+        rules,
+    }
+}
+
+// Read { type, required, rules } back from an exported field. Returns { props, errors }.
+export const parseFieldRules = (field) => {
+    const errors = []
+    const props = {}
+
+    if (field.type !== undefined) {
+        if (FIELD_TYPES.some((t) => t.value === field.type)) props.type = field.type
+        else errors.push(`type must be one of ${FIELD_TYPES.map((t) => t.value).join(', ')}`)
+    }
+    if (field.required !== undefined) {
+        if (typeof field.required === 'boolean') props.required = field.required
+        else errors.push('required must be true or false')
+    }
+
+    const rules = field.rules
+    if (rules === undefined) return { props, errors }
+    if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+        errors.push('rules must be an object')
+        return { props, errors }
+    }
+    if (rules.pattern !== undefined) {
+        if (typeof rules.pattern === 'string') props.pattern = rules.pattern
+        else errors.push('rules.pattern must be a string')
+    }
+    if (rules.values !== undefined) {
+        if (Array.isArray(rules.values) && rules.values.every((v) => typeof v === 'string' || typeof v === 'number')) {
+            props.values = rules.values.map(String)
+        } else {
+            errors.push('rules.values must be an array of strings')
+        }
+    }
+    if (rules.dateFormat !== undefined) {
+        if (typeof rules.dateFormat === 'string') props.dateFormat = rules.dateFormat
+        else errors.push('rules.dateFormat must be a string')
+    }
+    if (rules.length !== undefined) {
+        if (Number.isInteger(rules.length) && rules.length > 0) props.length = rules.length
+        else errors.push('rules.length must be a positive integer')
+    }
+    return { props, errors }
+}
@@ -0,0 +1,423 @@
+// Conversion between the template JSON (see template.js) and common annotation formats.
+// Exporters take a template object and return files [{ name, content }].
+// Importers take text and return a template object, which is then validated and scaled by parseTemplate.
+// Imported templates come out at the current schema version: JSON templates are migrated, other formats stamped.
+// Format-level problems (unreadable input) are thrown as Errors; per-field problems are left to parseTemplate.
+import { strToU8, zipSync } from 'fflate'
+import { migrateTemplate } from './migrations.js'
+import { TEMPLATE_VERSION, templatePages } from './schema.js'
+
+export const FORMATS = [
+    { id: 'template', label: 'Template JSON', suffix: 'template.json', mime: 'application/json' },
+    { id: 'coco', label: 'COCO JSON', suffix: 'coco.json', mime: 'application/json' },
+    { id: 'voc', label: 'Pascal VOC XML', suffix: 'xml', mime: 'application/xml' },
+    { id: 'yolo', label: 'YOLO txt', suffix: 'txt', mime: 'text/plain' },
+    { id: 'labelstudio', label: 'Label Studio JSON', suffix: 'labelstudio.json', mime: 'application/json' },
+    { id: 'csv', label: 'CSV', suffix: 'csv', mime: 'text/csv' },
+]
+
+export const getFormat = (id) => FORMATS.find((f) => f.id === id) || FORMATS[0]
+
+// Format of a file from its name (the longest matching suffix; other .json files are templates), or null
+export const detectFormat = (fileName) => {
+    const name = fileName.toLowerCase()
+    const matches = FORMATS.filter((f) => name.endsWith(`.${f.suffix}`)).sort((a, b) => b.suffix.length - a.suffix.length)
+    return matches[0]?.id || (name.endsWith('.json') ? 'template' : null)
+}
+
+const round = (v, digits = 6) => +v.toFixed(digits)
+
+// Display name of a field, matching the canvas labels for unnamed fields
+const fieldLabel = (f, i) => f.name || `Field ${f.order ?? i + 1}`
+
+const stripExtension = (name) => (name || 'template').replace(/\.[^.]+$/, '')
+const baseName = (template) => stripExtension(template.image?.name)
+
+// One file per page: name.ext for single-page documents, name_p1.ext, name_p2.ext, ... otherwise
+const pageFileName = (template, page, ext) =>
+    templatePages(template).length > 1 ? `${baseName(template)}_p${page + 1}.${ext}` : `${baseName(template)}.${ext}`
+
+// Unique class names in field order
+const classNames = (fields) => [...new Set(fields.map(fieldLabel))]
+
+const parseJson = (text) => {
+    try {
+        return JSON.parse(text)
+    } catch (err) {
+        throw new Error(`Invalid JSON: ${err.message}`)
+    }
+}
+
+// Multi-file exports are shown as one text with a "### file-name" line before each file
+export const bundleFiles = (files) => (files.length === 1 ? files[0].content : files.map((f) => `### ${f.name}\n${f.content.trimEnd()}\n`).join('\n'))
+
+// What to download for an export: a single file as is, several files as one zip
+export const packFiles = (formatId, files, imageName) => {
+    const format = getFormat(formatId)
+    if (files.length === 1) return { name: files[0].name || `${stripExtension(imageName)}.${format.suffix}`, data: files[0].content, type: format.mime }
+    const entries = Object.fromEntries(files.map((f) => [f.name, strToU8(f.content)]))
+    return { name: `${stripExtension(imageName)}-${format.id}.zip`, data: zipSync(entries), type: 'application/zip' }
+}
+
+export const unbundleFiles = (text) => {
+    if (!text.startsWith('### ')) return [{ name: '', content: text }]
+    return text
+        .split(/^### /m)
+        .filter(Boolean)
+        .map((chunk) => {
+            const newline = chunk.indexOf('\n')
+            return newline === -1 ? { name: chunk.trim(), content: '' } : { name: chunk.slice(0, newline).trim(), content: chunk.slice(newline + 1) }
+        })
+}
+
+// --- COCO ---
+
+const exportCoco = (template) => {
+    const names = classNames(template.fields)
+    const payload = {
+        info: { description: `${baseName(template)} template`, date_created: new Date().toISOString() },
+        images: templatePages(template).map((p, i) => ({
+            id: i + 1,
+            file_name: templatePages(template).length > 1 ? `${template.image.name}#page=${i + 1}` : template.image.name,
+            width: p.width,
+            height: p.height,
+        })),
+        categories: names.map((name, i) => ({ id: i + 1, name, supercategory: 'field' })),
+        annotations: template.fields.map((f, i) => ({
+            id: i + 1,
+            image_id: (f.page || 0) + 1,
+            category_id: names.indexOf(fieldLabel(f, i)) + 1,
+            bbox: [f.pixels.x, f.pixels.y, f.pixels.width, f.pixels.height],
+            // Polygons and rotated rectangles as an outline, the way COCO stores segments
+            ...(f.shape?.pixels.points ? { segmentation: [f.shape.pixels.points.flat()] } : {}),
+            area: f.pixels.width * f.pixels.height,
+            iscrowd: 0,
+            attributes: {
+                field_id: f.id,
+                type: f.type,
+                required: f.required,
+                // Marks the outline as a rotated rectangle, so importing it gives one back
+                ...(f.shape?.type === 'rotated-rect' ? { shape: 'rotated-rect', angle: f.shape.angle } : {}),
+                // A point has no outline to segment; its center and radius ride along instead
+                ...(f.shape?.type === 'point' ? { shape: 'point', ...f.shape.pixels } : {}),
+            },
+        })),
+    }
+    return [{ name: `${baseName(template)}.coco.json`, content: JSON.stringify(payload, null, 2) }]
+}
+
+// Rotated rectangle from its corners as exported, [x, y] clockwise from the one that is top-left before turning
+const rotatedFromCorners = ([a, b, c], angle) => ({
+    type: 'rotated-rect',
+    angle,
+    pixels: {
+        cx: round((a[0] + c[0]) / 2),
+        cy: round((a[1] + c[1]) / 2),
+        width: round(Math.hypot(b[0] - a[0], b[1] - a[1])),
+        height: round(Math.hypot(c[0] - b[0], c[1] - b[1])),
+    },
+})
+
+const importCoco = (text) => {
+    const data = parseJson(text)
+    if (!Array.isArray(data?.images) || !Array.isArray(data?.annotations)) throw new Error('COCO file needs "images" and "annotations" arrays')
+    const categories = new Map((data.categories || []).map((c) => [c.id, c.name]))
+    const pageOf = new Map(data.images.map((img, i) => [img.id, i]))
+    return {
+        image: { name: data.images[0]?.file_name, width: data.images[0]?.width, height: data.images[0]?.height },
+        pages: data.images.map((img) => ({ width: img.width, height: img.height })),
+        fields: data.annotations.map((a) => {
+            const [x, y, width, height] = Array.isArray(a.bbox) ? a.bbox : []
+            // A single outline becomes a polygon, or the rotated rectangle it was exported from; run-length masks and
+            // multi-part segments keep only their box. Points come back from their attributes.
+            const [outline] = Array.isArray(a.segmentation) && a.segmentation.length === 1 ? a.segmentation : []
+            const points = Array.isArray(outline) && outline.length >= 6 ? outline.flatMap((v, i) => (i % 2 ? [] : [[v, outline[i + 1]]])) : null
+            const rotated = points?.length === 4 && a.attributes?.shape === 'rotated-rect' && typeof a.attributes.angle === 'number'
+            const point = a.attributes?.shape === 'point' && ['x', 'y', 'radius'].every((k) => typeof a.attributes[k] === 'number')
+            return {
+                ...(typeof a.attributes?.field_id === 'string' ? { id: a.attributes.field_id } : {}),
+                // Checked with the rest of the template, so a bad type or required flag is reported rather than dropped
+                ...(a.attributes?.type !== undefined ? { type: a.attributes.type } : {}),
+                ...(a.attributes?.required !== undefined ? { required: a.attributes.required } : {}),
+                name: categories.get(a.category_id) ?? '',
+                page: pageOf.has(a.image_id) ? pageOf.get(a.image_id) : a.image_id,
+                pixels: { x, y, width, height },
+                ...(point ? { shape: { type: 'point', pixels: { x: a.attributes.x, y: a.attributes.y, radius: a.attributes.radius } } } : {}),
+                ...(rotated ? { shape: rotatedFromCorners(points, a.attributes.angle) } : points ? { shape: { type: 'polygon', pixels: { points } } } : {}),
+            }
+        }),
+    }
+}
+
+// --- Pascal VOC ---
+
+const escapeXml = (s) => String(s).replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c])
+
+const exportVoc = (template) =>
+    templatePages(template).map((p, page) => {
+        const objects = template.fields
+            .map((f, i) => ({ f, i }))
+            .filter(({ f }) => (f.page || 0) === page)
+            .map(
+                ({ f, i }) => `    <object>
+        <name>${escapeXml(fieldLabel(f, i))}</name>
+        <pose>Unspecified</pose>
+        <truncated>0</truncated>
+        <difficult>0</difficult>
+        <bndbox>
+            <xmin>${f.pixels.x}</xmin>
+            <ymin>${f.pixels.y}</ymin>
+            <xmax>${f.pixels.x + f.pixels.width}</xmax>
+            <ymax>${f.pixels.y + f.pixels.height}</ymax>
+        </bndbox>
+    </object>`,
+            )
+        const content = `<annotation>
+    <filename>${escapeXml(template.image.name)}</filename>
+    <size>
+        <width>${p.width}</width>
+        <height>${p.height}</height>
+        <depth>3</depth>
+    </size>
+${objects.join('\n')}
+</annotation>
+`
+        return { name: pageFileName(template, page, 'xml'), content }
+    })
+
+const unescapeXml = (s) => s.replace(/&(lt|gt|amp|apos|quot);/g, (_, e) => ({ lt: '<', gt: '>', amp: '&', apos: "'", quot: '"' })[e])
+
+// Contents of the <tag> elements in a piece of XML, in document order. VOC files are flat enough that this does
+// without an XML parser, which keeps the importer usable outside the browser (see bin/template.js).
+const xmlElements = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g'))].map((m) => m[1])
+
+// Text of the first <tag> element, or undefined
+const xmlText = (xml, tag) => {
+    const [inner] = xmlElements(xml || '', tag)
+    return inner === undefined ? undefined : unescapeXml(inner.trim())
+}
+
+const importVoc = (text) => {
+    const files = unbundleFiles(text)
+    const pages = []
+    const fields = []
+    files.forEach((file, page) => {
+        const [root] = xmlElements(file.content.replace(/<!--[\s\S]*?-->/g, ''), 'annotation')
+        if (root === undefined) throw new Error(`${file.name || 'VOC'}: missing <annotation> element`)
+        const num = (xml, tag) => Number(xmlText(xml, tag))
+        const [size] = xmlElements(root, 'size')
+        pages.push({ width: num(size, 'width'), height: num(size, 'height') })
+        xmlElements(root, 'object').forEach((obj) => {
+            const [box] = xmlElements(obj, 'bndbox')
+            const xmin = num(box, 'xmin')
+            const ymin = num(box, 'ymin')
+            fields.push({
+                name: xmlText(obj, 'name') ?? '',
+                page,
+                pixels: { x: xmin, y: ymin, width: num(box, 'xmax') - xmin, height: num(box, 'ymax') - ymin },
+            })
+        })
+    })
+    return { image: pages[0], pages, fields }
+}
+
+// --- YOLO ---
+
+const exportYolo = (template) => {
+    const names = classNames(template.fields)
+    const labels = templatePages(template).map((p, page) => {
+        const lines = template.fields
+            .map((f, i) => ({ f, i }))
+            .filter(({ f }) => (f.page || 0) === page)
+            .map(({ f, i }) => {
+                const cx = (f.pixels.x + f.pixels.width / 2) / p.width
+                const cy = (f.pixels.y + f.pixels.height / 2) / p.height
+                return [names.indexOf(fieldLabel(f, i)), round(cx), round(cy), round(f.pixels.width / p.width), round(f.pixels.height / p.height)].join(' ')
+            })
+        return { name: pageFileName(template, page, 'txt'), content: `${lines.join('\n')}\n` }
+    })
+    return [...labels, { name: 'classes.txt', content: `${names.join('\n')}\n` }]
+}
+
+const importYolo = (text) => {
+    const files = unbundleFiles(text)
+    const classesFile = files.find((f) => f.name === 'classes.txt')
+    const classes = classesFile ? classesFile.content.split('\n').map((l) => l.trim()) : []
+    const fields = []
+    files
+        .filter((f) => f !== classesFile)
+        .forEach((file, page) => {
+            file.content.split('\n').forEach((line, lineNo) => {
+                if (!line.trim()) return
+                const parts = line.trim().split(/\s+/).map(Number)
+                if (parts.length !== 5 || parts.some((v) => !Number.isFinite(v))) {
+                    throw new Error(`${file.name || 'YOLO'} line ${lineNo + 1}: expected "class cx cy w h"`)
+                }
+                const [cls, cx, cy, w, h] = parts
+                fields.push({
+                    name: classes[cls] || `class_${cls}`,
+                    page,
+                    percent: { x: cx - w / 2, y: cy - h / 2, width: w, height: h },
+                })
+            })
+        })
+    return { fields }
+}
+
+// --- Label Studio ---
+
+const exportLabelStudio = (template) => {
+    const tasks = templatePages(template).map((p, page) => ({
+        data: { image: template.image.name, ...(templatePages(template).length > 1 ? { page: page + 1 } : {}) },
+        annotations: [
+            {
+                result: template.fields
+                    .map((f, i) => ({ f, i }))
+                    .filter(({ f }) => (f.page || 0) === page)
+                    .map(({ f, i }) => ({
+                        id: f.id,
+                        type: 'rectanglelabels',
+                        from_name: 'label',
+                        to_name: 'image',
+                        original_width: p.width,
+                        original_height: p.height,
+                        image_rotation: 0,
+                        value: {
+                            x: round((f.pixels.x / p.width) * 100, 4),
+                            y: round((f.pixels.y / p.height) * 100, 4),
+                            width: round((f.pixels.width / p.width) * 100, 4),
+                            height: round((f.pixels.height / p.height) * 100, 4),
+                            rotation: 0,
+                            rectanglelabels: [fieldLabel(f, i)],
+                        },
+                    })),
+            },
+        ],
+    }))
+    return [{ name: `${baseName(template)}.labelstudio.json`, content: JSON.stringify(tasks, null, 2) }]
+}
+
+const importLabelStudio = (text) => {
+    const data = parseJson(text)
+    const tasks = Array.isArray(data) ? data : [data]
+    const pages = []
+    const fields = []
+    tasks.forEach((task, page) => {
+        const results = (task?.annotations?.[0] || task?.predictions?.[0])?.result
+        if (!Array.isArray(results)) throw new Error(`Task ${page + 1}: no annotation results`)
+        const rects = results.filter((r) => r.type === 'rectanglelabels' || r.value?.rectanglelabels)
+        pages.push({ width: rects[0]?.original_width, height: rects[0]?.original_height })
+        rects.forEach((r) => {
+            const v = r.value || {}
+            fields.push({
+                ...(typeof r.id === 'string' && r.id ? { id: r.id } : {}),
+                name: v.rectanglelabels?.[0] ?? '',
+                page,
+                percent: { x: v.x / 100, y: v.y / 100, width: v.width / 100, height: v.height / 100 },
+            })
+        })
+    })
+    // Pages without rectangles carry no size; drop the size hints rather than fail
+    return pages.every((p) => p.width > 0 && p.height > 0) ? { image: pages[0], pages, fields } : { fields }
+}
+
+// --- CSV ---
+
+const CSV_COLUMNS = ['id', 'name', 'page', 'x', 'y', 'width', 'height']
+
+const csvCell = (v) => {
+    const s = v === undefined || v === null ? '' : String(v)
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+}
+
+const exportCsv = (template) => {
+    const rows = template.fields.map((f) => [f.id, f.name, (f.page || 0) + 1, f.pixels.x, f.pixels.y, f.pixels.width, f.pixels.height])
+    const content = [CSV_COLUMNS, ...rows].map((row) => row.map(csvCell).join(',')).join('\n')
+    return [{ name: `${baseName(template)}.csv`, content: `${content}\n` }]
+}
+
+// RFC 4180 rows, including quoted cells with commas, quotes and newlines
+const parseCsvRows = (text) => {
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i]
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"'
+                i++
+            } else if (c === '"') {
+                quoted = false
+            } else {
+                cell += c
+            }
+        } else if (c === '"') {
+            quoted = true
+        } else if (c === ',') {
+            row.push(cell)
+            cell = ''
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += c
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell)
+        rows.push(row)
+    }
+    return rows.filter((r) => r.some((c) => c.trim()))
+}
+
+const importCsv = (text) => {
+    const [header, ...rows] = parseCsvRows(text)
+    if (!header) throw new Error('CSV is empty')
+    const cols = header.map((h) => h.trim().toLowerCase())
+    const col = (...names) => cols.findIndex((c) => names.includes(c))
+    const idx = { id: col('id'), name: col('name'), page: col('page'), x: col('x'), y: col('y'), w: col('width', 'w'), h: col('height', 'h') }
+    const missing = ['x', 'y', 'w', 'h'].filter((k) => idx[k] === -1)
+    if (missing.length) throw new Error(`CSV header is missing columns: ${missing.map((k) => ({ w: 'width', h: 'height' })[k] || k).join(', ')}`)
+    const num = (row, i) => (i === -1 || row[i] === undefined || row[i].trim() === '' ? undefined : Number(row[i]))
+    return {
+        fields: rows.map((row) => ({
+            ...(idx.id !== -1 && row[idx.id] ? { id: row[idx.id] } : {}),
+            name: idx.name === -1 ? '' : (row[idx.name] ?? ''),
+            // Pages are 1-based in the CSV
+            page: num(row, idx.page) === undefined ? 0 : num(row, idx.page) - 1,
+            pixels: { x: num(row, idx.x), y: num(row, idx.y), width: num(row, idx.w), height: num(row, idx.h) },
+        })),
+    }
+}
+
+const EXPORTERS = { coco: exportCoco, voc: exportVoc, yolo: exportYolo, labelstudio: exportLabelStudio, csv: exportCsv }
+const IMPORTERS = { coco: importCoco, voc: importVoc, yolo: importYolo, labelstudio: importLabelStudio, csv: importCsv }
+
+// What an export in the given format leaves out of the template, as messages. The annotation formats hold only
+// rectangles (or outlines) with a label, so anchors and tables are not exported to them.
+export const exportWarnings = (formatId, template) => {
+    if (formatId === 'template') return []
+    const count = (n, what) => `${n} ${what}${n === 1 ? '' : 's'}`
+    const left = [
+        [template.anchors, 'anchor'],
+        [template.tables, 'table'],
+    ]
+        .filter(([list]) => list?.length)
+        .map(([list, what]) => count(list.length, what))
+    return left.length ? [`${getFormat(formatId).label} holds only fields; ${left.join(' and ')} left out`] : []
+}
+
+// Files for a template in the given format
+export const exportTemplateAs = (formatId, template) => {
+    if (formatId === 'template') return [{ name: `${baseName(template)}.template.json`, content: JSON.stringify(template, null, 2) }]
+    return EXPORTERS[formatId](template)
+}
+
+// Template object from text in the given format (throws on unreadable input and on templates from a newer editor)
+export const importTemplateAs = (formatId, text) =>
+    formatId === 'template' ? migrateTemplate(parseJson(text)) : { schemaVersion: TEMPLATE_VERSION, ...IMPORTERS[formatId](text) }
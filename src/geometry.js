@@ -0,0 +1,162 @@
+// Box geometry helpers. Everything here works in natural image pixels.
+// Boxes are moved and resized by their frame; see shapes.js for what a frame holds for each shape.
+import { containsPoint, frameCenter, normalizeAngle, resizePoint, rotatePoint } from './shapes.js'
+
+export const MIN_BOX_SIZE = 6
+
+// Resize handles, clockwise from the top-left corner
+export const HANDLES = ['nw', 'n', 'ne', 'e', 'se', 's', 'sw', 'w']
+
+export const HANDLE_CURSORS = {
+    nw: 'nwse-resize',
+    n: 'ns-resize',
+    ne: 'nesw-resize',
+    e: 'ew-resize',
+    se: 'nwse-resize',
+    s: 'ns-resize',
+    sw: 'nesw-resize',
+    w: 'ew-resize',
+}
+
+// Handle anchor points for a box, turned with a rotated rectangle. Points have a single handle on their edge
+// that sets the radius.
+export const getHandlePoints = (b) => {
+    const cx = b.x + b.w / 2
+    const cy = b.y + b.h / 2
+    const r = b.x + b.w
+    const btm = b.y + b.h
+    if (b.shape === 'point') return { e: { x: r, y: cy } }
+    const points = {
+        nw: { x: b.x, y: b.y },
+        n: { x: cx, y: b.y },
+        ne: { x: r, y: b.y },
+        e: { x: r, y: cy },
+        se: { x: r, y: btm },
+        s: { x: cx, y: btm },
+        sw: { x: b.x, y: btm },
+        w: { x: b.x, y: cy },
+    }
+    if (b.shape !== 'rotated-rect' || !b.angle) return points
+    return Object.fromEntries(Object.entries(points).map(([h, p]) => [h, rotatePoint(p, { x: cx, y: cy }, b.angle)]))
+}
+
+// Return the handle under pt (within tolerance), or null
+export const hitTestHandle = (b, pt, tolerance) => {
+    const points = getHandlePoints(b)
+    return HANDLES.find((h) => points[h] && Math.abs(points[h].x - pt.x) <= tolerance && Math.abs(points[h].y - pt.y) <= tolerance) || null
+}
+
+// The rotation handle of a rotated rectangle: `distance` above the middle of its top side, turned with it
+export const rotateHandlePoint = (b, distance) => rotatePoint({ x: b.x + b.w / 2, y: b.y - distance }, frameCenter(b), b.angle || 0)
+
+// Angle that turns the top of a box towards pt, in whole degrees or in steps of `step` degrees
+export const angleTowards = (b, pt, step = 1) => {
+    const c = frameCenter(b)
+    const deg = (Math.atan2(pt.y - c.y, pt.x - c.x) * 180) / Math.PI + 90
+    return normalizeAngle(Math.round(deg / step) * step)
+}
+
+// Return the topmost box containing pt. Later boxes are drawn on top, so search backwards.
+export const hitTestBoxes = (boxes, pt, tolerance = 0) => {
+    for (let i = boxes.length - 1; i >= 0; i--) {
+        if (containsPoint(boxes[i], pt, tolerance)) return boxes[i]
+    }
+    return null
+}
+
+// Translate a box by (dx, dy), keeping it fully inside the image
+export const moveBox = (origin, dx, dy, width, height) => ({
+    ...origin,
+    x: Math.round(Math.max(0, Math.min(width - origin.w, origin.x + dx))),
+    y: Math.round(Math.max(0, Math.min(height - origin.h, origin.y + dy))),
+})
+
+// Drag one handle of a box to pt. The opposite edges stay put and the box never shrinks below MIN_BOX_SIZE.
+// Rotated rectangles are resized along their own sides; points change their radius.
+export const resizeBox = (origin, handle, pt, width, height) => {
+    if (origin.shape === 'point') return resizePoint(origin, pt, width, height)
+    if (origin.shape === 'rotated-rect' && origin.angle) {
+        const { angle } = origin
+        const upright = { ...origin, angle: 0 }
+        const next = resizeBox(upright, handle, rotatePoint(pt, frameCenter(origin), -angle), Infinity, Infinity)
+        // Keep the opposite handle where it was on the page
+        const opposite = HANDLES[(HANDLES.indexOf(handle) + 4) % HANDLES.length]
+        const before = rotatePoint(getHandlePoints(upright)[opposite], frameCenter(origin), angle)
+        const after = rotatePoint(getHandlePoints(next)[opposite], frameCenter(next), angle)
+        return { ...next, angle, x: Math.round(next.x + before.x - after.x), y: Math.round(next.y + before.y - after.y) }
+    }
+
+    let left = origin.x
+    let top = origin.y
+    let right = origin.x + origin.w
+    let bottom = origin.y + origin.h
+
+    if (handle.includes('w')) left = Math.max(0, Math.min(pt.x, right - MIN_BOX_SIZE))
+    if (handle.includes('e')) right = Math.min(width, Math.max(pt.x, left + MIN_BOX_SIZE))
+    if (handle.includes('n')) top = Math.max(0, Math.min(pt.y, bottom - MIN_BOX_SIZE))
+    if (handle.includes('s')) bottom = Math.min(height, Math.max(pt.y, top + MIN_BOX_SIZE))
+
+    return {
+        ...origin,
+        x: Math.round(left),
+        y: Math.round(top),
+        w: Math.round(right - left),
+        h: Math.round(bottom - top),
+    }
+}
+
+// Smallest rectangle containing all boxes
+export const boundingRect = (boxes) => {
+    const x = Math.min(...boxes.map((b) => b.x))
+    const y = Math.min(...boxes.map((b) => b.y))
+    const right = Math.max(...boxes.map((b) => b.x + b.w))
+    const bottom = Math.max(...boxes.map((b) => b.y + b.h))
+    return { x, y, w: right - x, h: bottom - y }
+}
+
+// Line boxes up on the outermost edge of the group: 'left' | 'right' | 'top' | 'bottom'
+export const alignBoxes = (boxes, edge) => {
+    const r = boundingRect(boxes)
+    return boxes.map((b) => {
+        if (edge === 'left') return { ...b, x: r.x }
+        if (edge === 'right') return { ...b, x: r.x + r.w - b.w }
+        if (edge === 'top') return { ...b, y: r.y }
+        return { ...b, y: r.y + r.h - b.h }
+    })
+}
+
+// Equal gaps between boxes along 'x' or 'y'; the first and last boxes stay put
+export const distributeBoxes = (boxes, axis) => {
+    const [pos, size] = axis === 'x' ? ['x', 'w'] : ['y', 'h']
+    const sorted = [...boxes].sort((a, b) => a[pos] - b[pos])
+    const first = sorted[0]
+    const last = sorted[sorted.length - 1]
+    const used = sorted.reduce((sum, b) => sum + b[size], 0)
+    const gap = (last[pos] + last[size] - first[pos] - used) / (sorted.length - 1)
+    let next = first[pos]
+    const placed = new Map()
+    sorted.forEach((b) => {
+        placed.set(b.id, { ...b, [pos]: Math.round(next) })
+        next += b[size] + gap
+    })
+    return boxes.map((b) => placed.get(b.id))
+}
+
+// Give every box the width ('w') or height ('h') of `reference`, keeping each inside the image
+export const matchSize = (boxes, dim, reference, width, height) =>
+    boxes.map((b) => {
+        if (dim === 'w') {
+            const w = Math.min(reference.w, width)
+            return { ...b, w, x: Math.min(b.x, width - w) }
+        }
+        const h = Math.min(reference.h, height)
+        return { ...b, h, y: Math.min(b.y, height - h) }
+    })
+
+// Intersection over union of two boxes (0 when apart, 1 when identical)
+export const overlapRatio = (a, b) => {
+    const iw = Math.max(0, Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x))
+    const ih = Math.max(0, Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y))
+    const inter = iw * ih
+    return inter ? inter / (a.w * a.h + b.w * b.h - inter) : 0
+}
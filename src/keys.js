@@ -0,0 +1,110 @@
+// Machine keys for fields and tables, derived from their names: the keys extraction output is written under.
+// Dots in a name separate levels of nesting, so "Applicant.Address City" has the key applicant.address_city
+// (snake_case) or applicant.addressCity (camelCase), and exports nest it as { applicant: { address_city } }.
+// Anchors only locate the page and get no key.
+
+export const KEY_STYLES = [
+    { value: 'snake', label: 'snake_case' },
+    { value: 'camel', label: 'camelCase' },
+]
+
+export const DEFAULT_KEY_STYLE = 'snake'
+
+// Accents are dropped rather than treated as invalid, so "Café" becomes cafe
+const plain = (text) => text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+
+// Lowercase words of one level of a name, split at anything but letters and digits and where camelCase changes case
+const words = (level) =>
+    plain(level)
+        .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map((w) => w.toLowerCase())
+
+const joinWords = (list, style) => (style === 'camel' ? list.map((w, i) => (i ? w[0].toUpperCase() + w.slice(1) : w)).join('') : list.join('_'))
+
+// Key of a name in the given style, levels joined by dots; '' when the name has no letters or digits.
+// Levels without letters or digits are left out.
+export const nameToKey = (name, style = DEFAULT_KEY_STYLE) =>
+    (name || '')
+        .split('.')
+        .map((level) => joinWords(words(level), style))
+        .filter(Boolean)
+        .join('.')
+
+// Characters of a name that do not make it into its key, other than spaces, underscores, hyphens and dots
+export const invalidKeyChars = (name) => [...new Set(plain(name || '').match(/[^A-Za-z0-9\s_.-]/g) || [])]
+
+// Boxes that carry a key (all but anchors, see template.js), in document order
+const hasKey = (b) => b.kind !== 'anchor'
+const keyed = (boxes) => boxes.filter(hasKey)
+
+// Warnings about the keys of the given boxes, as a Map from box id to messages (boxes without problems are absent):
+// empty names, characters that are left out, empty levels, keys used more than once, and keys that are both a value
+// and a group of others (a.b next to a.b.c), which cannot both be written to nested output.
+export const keyProblems = (boxes, style = DEFAULT_KEY_STYLE) => {
+    const problems = new Map()
+    const warn = (id, message) => problems.set(id, [...(problems.get(id) || []), message])
+    const keys = new Map() // key -> ids
+    keyed(boxes).forEach((b) => {
+        const name = (b.name || '').trim()
+        const key = nameToKey(name, style)
+        if (!name) return warn(b.id, 'Has no name, so its output has no key')
+        if (!key) return warn(b.id, 'Name has no letters or digits to make a key from')
+        const invalid = invalidKeyChars(name)
+        if (invalid.length) warn(b.id, `${invalid.map((c) => `"${c}"`).join(' ')} ${invalid.length === 1 ? 'is' : 'are'} left out of the key`)
+        if (name.split('.').some((level) => !words(level).length)) warn(b.id, 'Name has an empty level between dots')
+        keys.set(key, [...(keys.get(key) || []), b.id])
+    })
+    const groups = new Map() // every leading part of a key (a and a.b for a.b.c) -> a key under it
+    keys.forEach((ids, key) => {
+        const levels = key.split('.')
+        for (let i = 1; i < levels.length; i++) groups.set(levels.slice(0, i).join('.'), key)
+    })
+    keys.forEach((ids, key) => {
+        if (ids.length > 1) ids.forEach((id) => warn(id, `Key "${key}" is used ${ids.length} times`))
+        if (groups.has(key)) ids.forEach((id) => warn(id, `Key "${key}" is also a group ("${groups.get(key)}"), so it cannot hold a value`))
+    })
+    return problems
+}
+
+// Give the second and later boxes with the same key a number ("Amount", "Amount 2", "Amount 3", …), skipping
+// numbers whose key is already taken. Returns the boxes unchanged when no key repeats.
+export const numberRepeatedNames = (boxes, style = DEFAULT_KEY_STYLE) => {
+    const taken = new Set(keyed(boxes).map((b) => nameToKey(b.name, style)))
+    const seen = new Set()
+    let changed = false
+    const next = boxes.map((b) => {
+        const key = nameToKey(b.name, style)
+        if (!hasKey(b) || !key) return b
+        if (!seen.has(key)) {
+            seen.add(key)
+            return b
+        }
+        let n = 2
+        while (taken.has(nameToKey(`${b.name} ${n}`, style))) n++
+        const name = `${b.name.trim()} ${n}`
+        taken.add(nameToKey(name, style))
+        changed = true
+        return { ...b, name }
+    })
+    return changed ? next : boxes
+}
+
+// Nested object from [key, value] pairs with dotted keys. Pairs that clash with an earlier one (the same key, or
+// a value where a group is, or the reverse) are left out.
+export const nestByKey = (entries) => {
+    const root = {}
+    entries.forEach(([key, value]) => {
+        const levels = key.split('.')
+        let node = root
+        for (const level of levels.slice(0, -1)) {
+            if (!Object.hasOwn(node, level)) node[level] = {}
+            else if (typeof node[level] !== 'object') return
+            node = node[level]
+        }
+        const last = levels[levels.length - 1]
+        if (!Object.hasOwn(node, last)) node[last] = value
+    })
+    return root
+}
@@ -0,0 +1,207 @@
+// Project library in IndexedDB. Each project is one document (image + boxes);
+// images are stored as Blobs in their own store so listing projects stays cheap.
+//   projects: { id, version, name, imageId, imageName, imageType, boxes, transforms, keyStyle, samples, thumbnail, createdAt, updatedAt }
+//   images:   { id, blob }, the page image of a project and the scans of its accuracy samples
+// Projects are upgraded to PROJECT_VERSION (see migrations.js) when read and stamped with it when saved.
+import { PROJECT_VERSION, migrateProject } from './migrations.js'
+
+const DB_NAME = 'ocr-template-library'
+const DB_VERSION = 1
+const LEGACY_KEY = 'annotator_state_v1'
+// The last opened project is remembered across reloads
+const CURRENT_KEY = 'annotator_current_project'
+
+export const THUMBNAIL_WIDTH = 160
+
+let dbPromise = null
+
+const requestToPromise = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION)
+            request.onupgradeneeded = () => {
+                const db = request.result
+                db.createObjectStore('projects', { keyPath: 'id' })
+                db.createObjectStore('images', { keyPath: 'id' })
+            }
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => reject(request.error)
+        })
+        // Allow a retry after a failed open (e.g. private browsing)
+        dbPromise.catch(() => {
+            dbPromise = null
+        })
+    }
+    return dbPromise
+}
+
+// Run `fn(store)` in a transaction and resolve once it has committed.
+// Quota errors surface here as a rejected promise rather than being lost.
+const withStore = async (name, mode, fn) => {
+    const db = await openDb()
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(name, mode)
+        let result
+        Promise.resolve(fn(tx.objectStore(name))).then((r) => {
+            result = r
+        }, reject)
+        tx.oncomplete = () => resolve(result)
+        tx.onerror = () => reject(tx.error)
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+    })
+}
+
+// Project metadata, most recently modified first
+export const listProjects = async () => {
+    const projects = await withStore('projects', 'readonly', (store) => requestToPromise(store.getAll()))
+    return projects.sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+// Throws for projects saved by a newer version of the editor
+export const getProject = async (id) => {
+    const project = await withStore('projects', 'readonly', (store) => requestToPromise(store.get(id)))
+    return project ? migrateProject(project) : project
+}
+
+// Insert or update a project; `version` and `updatedAt` are stamped here
+export const saveProject = (project) =>
+    withStore('projects', 'readwrite', (store) => requestToPromise(store.put({ ...project, version: PROJECT_VERSION, updatedAt: Date.now() })))
+
+export const createProject = async (fields = {}) => {
+    const now = Date.now()
+    const project = {
+        id: crypto.randomUUID(),
+        name: 'Untitled',
+        imageId: null,
+        imageName: null,
+        imageType: null,
+        boxes: [],
+        thumbnail: null,
+        createdAt: now,
+        ...fields,
+    }
+    await saveProject(project)
+    return project
+}
+
+export const renameProject = async (id, name) => {
+    const project = await getProject(id)
+    if (project) await saveProject({ ...project, name })
+}
+
+// Copies share the image blob; unreferenced images are removed by pruneImages
+export const duplicateProject = async (id) => {
+    const project = await getProject(id)
+    if (!project) return null
+    return createProject({ ...project, id: crypto.randomUUID(), name: `${project.name} copy`, createdAt: Date.now() })
+}
+
+export const deleteProject = (id) => withStore('projects', 'readwrite', (store) => requestToPromise(store.delete(id)))
+
+export const saveImage = (id, blob) => withStore('images', 'readwrite', (store) => requestToPromise(store.put({ id, blob })))
+
+export const getImage = async (id) => {
+    const record = await withStore('images', 'readonly', (store) => requestToPromise(store.get(id)))
+    return record?.blob || null
+}
+
+// Delete image blobs no project refers to. Only safe before any document is open,
+// since the undo history may still point at an earlier image of the open project.
+export const pruneImages = async () => {
+    const used = new Set((await listProjects()).flatMap((p) => [p.imageId, ...(p.samples || []).map((s) => s.imageId)]).filter(Boolean))
+    const ids = await withStore('images', 'readonly', (store) => requestToPromise(store.getAllKeys()))
+    const unused = ids.filter((id) => !used.has(id))
+    if (unused.length) await withStore('images', 'readwrite', (store) => unused.forEach((id) => store.delete(id)))
+}
+
+export const getCurrentProjectId = () => {
+    try {
+        return localStorage.getItem(CURRENT_KEY)
+    } catch {
+        return null
+    }
+}
+
+export const setCurrentProjectId = (id) => {
+    try {
+        if (id) localStorage.setItem(CURRENT_KEY, id)
+        else localStorage.removeItem(CURRENT_KEY)
+    } catch {
+        // the library still works, it just won't reopen the same project
+    }
+}
+
+let migration = null
+
+// Move the old single-slot localStorage state into the library as one project.
+// The legacy key is removed only after the project has been written, and kept when it is from a newer editor.
+const runMigration = async () => {
+    let raw = null
+    try {
+        raw = localStorage.getItem(LEGACY_KEY)
+    } catch {
+        return null
+    }
+    if (!raw) return null
+
+    let parsed = null
+    try {
+        parsed = JSON.parse(raw)
+    } catch {
+        localStorage.removeItem(LEGACY_KEY)
+        return null
+    }
+    if (!parsed || typeof parsed !== 'object') {
+        localStorage.removeItem(LEGACY_KEY)
+        return null
+    }
+    // Every release that wrote the slot marked it version 1
+    const { imageUrl, ...fields } = migrateProject({ version: 1, ...parsed })
+    if (!imageUrl && !fields.boxes.length) {
+        localStorage.removeItem(LEGACY_KEY)
+        return null
+    }
+
+    if (imageUrl?.startsWith('data:')) {
+        const blob = await (await fetch(imageUrl)).blob()
+        fields.imageId = crypto.randomUUID()
+        fields.imageType = blob.type
+        await saveImage(fields.imageId, blob)
+    }
+    const project = await createProject(fields)
+    localStorage.removeItem(LEGACY_KEY)
+    return project
+}
+
+// Resolves to the migrated project, or null when there was nothing to migrate.
+// Shared between callers so a double-mounted effect cannot migrate twice.
+export const migrateLegacyState = () => {
+    if (!migration) {
+        migration = runMigration()
+        migration.catch(() => {
+            migration = null
+        })
+    }
+    return migration
+}
+
+// Small JPEG preview of an image with its boxes, for the library cards
+export const makeThumbnail = (img, boxes) => {
+    const width = THUMBNAIL_WIDTH
+    const k = width / img.naturalWidth
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * k))
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height)
+    ctx.strokeStyle = '#2563eb'
+    ctx.lineWidth = 1
+    boxes.forEach((b) => ctx.strokeRect(b.x * k, b.y * k, b.w * k, b.h * k))
+    return canvas.toDataURL('image/jpeg', 0.7)
+}
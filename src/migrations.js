@@ -0,0 +1,69 @@
+// Upgrades for data written by earlier versions of the editor: exported templates (`schemaVersion`, see schema.js)
+// and projects in the library (`version`, see library.js). Each step takes data of one version to the next, so old
+// data is upgraded one version at a time. Data from a newer version than this build knows is refused, not guessed at.
+import { TEMPLATE_VERSION } from './schema.js'
+
+export const PROJECT_VERSION = 2
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+
+// Run `steps[v]` (version v to v + 1) from `version` up to `latest`; the result carries `key: latest` as its first property
+const upgrade = (data, version, latest, steps, key, what) => {
+    if (!Number.isInteger(version) || version < 1) throw new Error(`${what} has an invalid ${key} ${JSON.stringify(version)}`)
+    if (version > latest) throw new Error(`${what} has ${key} ${version}; this editor only reads up to ${latest}, so it needs updating first`)
+    let out = data
+    for (let v = version; v < latest; v++) out = steps[v](out)
+    const stamped = { [key]: latest, ...out }
+    stamped[key] = latest
+    return stamped
+}
+
+// --- Templates ---
+
+// Boxes without a page are on the first one
+const withPage = (entries) => (Array.isArray(entries) ? entries.map((e) => (isObject(e) && e.page === undefined ? { ...e, page: 0 } : e)) : entries)
+
+const TEMPLATE_STEPS = {
+    // 1: the unversioned export, { image, fields[] } plus the pages, anchors and tables added over time, all optional.
+    // 2: every box names its page, and `pages` lists every page (the image alone for single-image templates).
+    1: (data) => ({
+        ...data,
+        ...(data.pages === undefined && isObject(data.image) ? { pages: [{ index: 0, width: data.image.width, height: data.image.height }] } : {}),
+        fields: withPage(data.fields),
+        ...(data.anchors === undefined ? {} : { anchors: withPage(data.anchors) }),
+        ...(data.tables === undefined ? {} : { tables: withPage(data.tables) }),
+    }),
+}
+
+// Schema version of a parsed template; exports written before versioning count as 1
+export const templateVersion = (data) => (isObject(data) && data.schemaVersion !== undefined ? data.schemaVersion : 1)
+
+// A parsed template upgraded to TEMPLATE_VERSION (throws for versions this build cannot read). Anything that is not an
+// object is returned unchanged for the schema checks to report.
+export const migrateTemplate = (data) =>
+    isObject(data) ? upgrade(data, templateVersion(data), TEMPLATE_VERSION, TEMPLATE_STEPS, 'schemaVersion', 'Template') : data
+
+// --- Projects ---
+
+const PROJECT_STEPS = {
+    // 1: the single localStorage slot { imageUrl, imageName, boxes, version: 1, savedAt } the editor kept before the library.
+    // 2: a library project. The image is still the data URL in `imageUrl`; storing it as a Blob is up to the caller.
+    1: (slot) => {
+        const imageName = slot.imageName || 'uploaded-image'
+        return {
+            name: imageName.replace(/\.[^.]+$/, ''),
+            imageUrl: typeof slot.imageUrl === 'string' ? slot.imageUrl : null,
+            imageId: null,
+            imageName,
+            imageType: null,
+            boxes: Array.isArray(slot.boxes) ? slot.boxes.map((b) => ({ ...b, page: b.page || 0 })) : [],
+            transforms: [],
+            thumbnail: null,
+            createdAt: slot.savedAt || Date.now(),
+        }
+    },
+}
+
+// A stored project or legacy slot upgraded to PROJECT_VERSION. Library records written before versioning are
+// version 2; the legacy slot always carried its version.
+export const migrateProject = (record) => upgrade(record, record.version ?? PROJECT_VERSION, PROJECT_VERSION, PROJECT_STEPS, 'version', 'Project')
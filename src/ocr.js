@@ -0,0 +1,54 @@
+// In-browser OCR of field regions with tesseract.js. The worker, WASM core and language data are
+// served by the app (see vite.config.js), so nothing is fetched from a CDN.
+// Import lazily (`await import('./ocr')`) to keep tesseract.js out of the main bundle.
+import { OEM, createWorker } from 'tesseract.js'
+
+// Results below this confidence (0-100) are flagged on the canvas
+export const LOW_CONFIDENCE = 60
+
+const assetUrl = (path) => new URL(`${import.meta.env.BASE_URL}tesseract/${path}`, window.location.href).href
+
+let workerPromise = null
+
+// Shared worker, created on first use
+const getWorker = () => {
+    if (!workerPromise) {
+        workerPromise = createWorker('eng', OEM.LSTM_ONLY, {
+            workerPath: assetUrl('worker.min.js'),
+            corePath: assetUrl('core'),
+            langPath: assetUrl('lang'),
+            gzip: true,
+        }).catch((err) => {
+            workerPromise = null
+            throw err
+        })
+    }
+    return workerPromise
+}
+
+// Crop a box out of the image at natural resolution. Rotated rectangles are turned upright so their text reads
+// level; other shapes are read over their whole frame.
+const cropBox = (img, b) => {
+    const canvas = document.createElement('canvas')
+    canvas.width = b.w
+    canvas.height = b.h
+    const ctx = canvas.getContext('2d')
+    if (b.shape === 'rotated-rect' && b.angle) {
+        ctx.translate(b.w / 2, b.h / 2)
+        ctx.rotate((-b.angle * Math.PI) / 180)
+        ctx.drawImage(img, -(b.x + b.w / 2), -(b.y + b.h / 2))
+    } else {
+        ctx.drawImage(img, b.x, b.y, b.w, b.h, 0, 0, b.w, b.h)
+    }
+    return canvas
+}
+
+// Recognize the text inside one box. Returns { text, confidence }.
+export const recognizeBox = async (img, box) => {
+    const worker = await getWorker()
+    const { data } = await worker.recognize(cropBox(img, box))
+    return { text: data.text.trim(), confidence: Math.round(data.confidence) }
+}
+
+// A result worth flagging: nothing read, or read with low confidence
+export const isWeakResult = (r) => !r.text || r.confidence < LOW_CONFIDENCE
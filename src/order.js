@@ -0,0 +1,75 @@
+// Order of boxes in the document: the order of the sidebar list, of the numbers on the canvas and of the exported
+// `order` (tab index) that data-entry forms built from a template follow.
+
+export const READING_DIRECTIONS = [
+    { value: 'ltr', label: 'Left to right' },
+    { value: 'rtl', label: 'Right to left' },
+]
+
+export const READING_FLOWS = [
+    { value: 'rows', label: 'Row by row' },
+    { value: 'columns', label: 'Column by column' },
+]
+
+const center = (b, axis) => (axis === 'x' ? b.x + b.w / 2 : b.y + b.h / 2)
+const extent = (b, axis) => (axis === 'x' ? [b.x, b.x + b.w] : [b.y, b.y + b.h])
+
+// Whether two boxes share a line along `axis`: the center of either lies within the extent of the other
+const sameLine = (a, b, axis) => {
+    const [a0, a1] = extent(a, axis)
+    const [b0, b1] = extent(b, axis)
+    const ca = center(a, axis)
+    const cb = center(b, axis)
+    return (cb >= a0 && cb <= a1) || (ca >= b0 && ca <= b1)
+}
+
+// Boxes in reading order, page by page. Row by row, boxes are grouped into lines from the top down, each read
+// left to right (or right to left); column by column, into columns across the page, each read from the top down.
+// A box joins the line of the first box it shares a line with, so lines do not drift down a slanted form.
+// Returns `boxes` itself when the order does not change.
+export const readingOrder = (boxes, { direction = 'ltr', flow = 'rows' } = {}) => {
+    const across = flow === 'columns' ? 'x' : 'y' // axis that separates lines
+    const along = flow === 'columns' ? 'y' : 'x' // axis a line is read along
+    const sign = (axis) => (axis === 'x' && direction === 'rtl' ? -1 : 1)
+
+    const pages = new Map()
+    boxes.forEach((b) => pages.set(b.page || 0, [...(pages.get(b.page || 0) || []), b]))
+    const sorted = [...pages.keys()]
+        .sort((a, b) => a - b)
+        .flatMap((page) => {
+            const lines = []
+            ;[...pages.get(page)]
+                .sort((a, b) => sign(across) * (center(a, across) - center(b, across)))
+                .forEach((b) => {
+                    const line = lines.find((l) => sameLine(l[0], b, across))
+                    if (line) line.push(b)
+                    else lines.push([b])
+                })
+            return lines.flatMap((line) => line.sort((a, b) => sign(along) * (center(a, along) - center(b, along))))
+        })
+    return sorted.every((b, i) => b === boxes[i]) ? boxes : sorted
+}
+
+// Move the box with id `id` to position `index` of the list (counted before the move).
+// Returns `boxes` itself when the box stays where it is.
+export const moveToIndex = (boxes, id, index) => {
+    const from = boxes.findIndex((b) => b.id === id)
+    const to = Math.max(0, Math.min(boxes.length - 1, index > from ? index - 1 : index))
+    if (from === -1 || to === from) return boxes
+    const next = boxes.filter((b) => b.id !== id)
+    next.splice(to, 0, boxes[from])
+    return next
+}
+
+// Number of each box, by id: fields and tables count from 1 in list order, which is their exported `order`, and
+// anchors, which are not filled in, count from 1 among themselves
+export const listNumbers = (boxes) => {
+    const counts = { anchor: 0, entry: 0 }
+    return new Map(
+        boxes.map((b) => {
+            const group = b.kind === 'anchor' ? 'anchor' : 'entry'
+            counts[group] += 1
+            return [b.id, counts[group]]
+        }),
+    )
+}
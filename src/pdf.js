@@ -0,0 +1,38 @@
+// Client-side PDF rasterization. pdf.js and its worker are bundled by Vite, so this works offline.
+// Import lazily (`await import('./pdf')`) to keep pdf.js out of the main bundle.
+import { GlobalWorkerOptions, getDocument } from 'pdfjs-dist'
+import workerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
+
+GlobalWorkerOptions.workerSrc = workerUrl
+
+// Pages are rasterized at 2x the PDF's 72 dpi, so box coordinates are in 144 dpi page pixels
+export const PDF_RENDER_SCALE = 2
+export const THUMBNAIL_SCALE = 0.2
+
+// Open a PDF from an object or data URL
+export const loadPdf = async (url) => {
+    const data = new Uint8Array(await (await fetch(url)).arrayBuffer())
+    return getDocument({ data }).promise
+}
+
+// Natural pixel size of every page at PDF_RENDER_SCALE
+export const getPageSizes = async (pdf) => {
+    const sizes = []
+    for (let i = 1; i <= pdf.numPages; i++) {
+        const page = await pdf.getPage(i)
+        const viewport = page.getViewport({ scale: PDF_RENDER_SCALE })
+        sizes.push({ width: Math.round(viewport.width), height: Math.round(viewport.height) })
+    }
+    return sizes
+}
+
+// Render a zero-based page index to a new canvas
+export const renderPage = async (pdf, index, scale = PDF_RENDER_SCALE) => {
+    const page = await pdf.getPage(index + 1)
+    const viewport = page.getViewport({ scale })
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(viewport.width)
+    canvas.height = Math.round(viewport.height)
+    await page.render({ canvas, viewport }).promise
+    return canvas
+}
@@ -0,0 +1,188 @@
+// PNG decoding and encoding for RGBA images { width, height, data }, where data holds 4 bytes per pixel.
+// Used where no canvas is available (the command-line tool). Decodes every non-interlaced PNG:
+// grayscale, RGB, palette and their alpha variants at any bit depth (16-bit samples keep their high byte).
+import { unzlibSync, zlibSync } from 'fflate'
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10]
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    return c >>> 0
+})
+
+const crc32 = (bytes) => {
+    let c = 0xffffffff
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8)
+    return (c ^ 0xffffffff) >>> 0
+}
+
+// Samples per pixel of each color type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }
+
+const paeth = (a, b, c) => {
+    const p = a + b - c
+    const pa = Math.abs(p - a)
+    const pb = Math.abs(p - b)
+    const pc = Math.abs(p - c)
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c
+}
+
+// Undo the per-row filters; `bpp` is the bytes per complete pixel (at least 1)
+const unfilter = (raw, height, stride, bpp) => {
+    const out = new Uint8Array(height * stride)
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)]
+        const src = y * (stride + 1) + 1
+        const row = y * stride
+        const prev = row - stride
+        for (let x = 0; x < stride; x++) {
+            const a = x >= bpp ? out[row + x - bpp] : 0
+            const b = y > 0 ? out[prev + x] : 0
+            const c = x >= bpp && y > 0 ? out[prev + x - bpp] : 0
+            const v = raw[src + x]
+            if (filter === 0) out[row + x] = v
+            else if (filter === 1) out[row + x] = v + a
+            else if (filter === 2) out[row + x] = v + b
+            else if (filter === 3) out[row + x] = v + ((a + b) >> 1)
+            else if (filter === 4) out[row + x] = v + paeth(a, b, c)
+            else throw new Error(`Unknown PNG filter type ${filter} in row ${y + 1}`)
+        }
+    }
+    return out
+}
+
+export const decodePng = (bytes) => {
+    if (bytes.length < 8 || SIGNATURE.some((b, i) => bytes[i] !== b)) throw new Error('Not a PNG file')
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+    let header = null
+    let palette = null
+    let transparency = null
+    const idat = []
+    for (let pos = 8; pos + 8 <= bytes.length;) {
+        const length = view.getUint32(pos)
+        const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8))
+        const body = bytes.subarray(pos + 8, pos + 8 + length)
+        if (type === 'IHDR') {
+            header = {
+                width: view.getUint32(pos + 8),
+                height: view.getUint32(pos + 12),
+                depth: body[8],
+                colorType: body[9],
+                interlace: body[12],
+            }
+        } else if (type === 'PLTE') palette = body
+        else if (type === 'tRNS') transparency = body
+        else if (type === 'IDAT') idat.push(body)
+        else if (type === 'IEND') break
+        pos += 12 + length
+    }
+    if (!header) throw new Error('PNG has no IHDR chunk')
+    const { width, height, depth, colorType, interlace } = header
+    const channels = CHANNELS[colorType]
+    if (!channels) throw new Error(`Unsupported PNG color type ${colorType}`)
+    if (interlace) throw new Error('Interlaced PNGs are not supported')
+    if (colorType === 3 && !palette) throw new Error('Palette PNG has no PLTE chunk')
+
+    const compressed = new Uint8Array(idat.reduce((n, c) => n + c.length, 0))
+    idat.reduce((offset, c) => {
+        compressed.set(c, offset)
+        return offset + c.length
+    }, 0)
+    const stride = Math.ceil((width * channels * depth) / 8)
+    const pixels = unfilter(unzlibSync(compressed), height, stride, Math.max(1, (channels * depth) >> 3))
+
+    // Sample `s` of pixel x in row y, scaled to 0-255 except for palette indices
+    const max = (1 << Math.min(depth, 8)) - 1
+    const sample = (y, x, s) => {
+        const i = x * channels + s
+        if (depth === 16) return pixels[y * stride + i * 2]
+        if (depth === 8) return pixels[y * stride + i]
+        const bit = i * depth
+        const v = (pixels[y * stride + (bit >> 3)] >> (8 - depth - (bit & 7))) & max
+        return colorType === 3 ? v : Math.round((v * 255) / max)
+    }
+    // Grayscale and RGB images may name one color transparent in tRNS
+    const transparent =
+        transparency && (colorType === 0 || colorType === 2)
+            ? Array.from({ length: channels }, (_, s) => {
+                  const v = (transparency[s * 2] << 8) | transparency[s * 2 + 1]
+                  return depth === 16 ? v >> 8 : depth === 8 ? v : Math.round((v * 255) / max)
+              })
+            : null
+
+    const data = new Uint8Array(width * height * 4)
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4
+            if (colorType === 3) {
+                const index = sample(y, x, 0)
+                data[o] = palette[index * 3]
+                data[o + 1] = palette[index * 3 + 1]
+                data[o + 2] = palette[index * 3 + 2]
+                data[o + 3] = transparency && index < transparency.length ? transparency[index] : 255
+                continue
+            }
+            const gray = channels < 3
+            data[o] = sample(y, x, 0)
+            data[o + 1] = gray ? data[o] : sample(y, x, 1)
+            data[o + 2] = gray ? data[o] : sample(y, x, 2)
+            data[o + 3] = channels === 2 || channels === 4 ? sample(y, x, channels - 1) : 255
+            if (transparent && transparent.every((v, s) => v === data[o + s])) data[o + 3] = 0
+        }
+    }
+    return { width, height, data }
+}
+
+const chunk = (type, body) => {
+    const out = new Uint8Array(12 + body.length)
+    const view = new DataView(out.buffer)
+    view.setUint32(0, body.length)
+    for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i)
+    out.set(body, 8)
+    view.setUint32(8 + body.length, crc32(out.subarray(4, 8 + body.length)))
+    return out
+}
+
+// 8-bit RGBA PNG. Each row takes the filter with the smallest sum of absolute differences, the usual heuristic.
+export const encodePng = ({ width, height, data }) => {
+    const stride = width * 4
+    const raw = new Uint8Array(height * (stride + 1))
+    const candidate = new Uint8Array(stride)
+    for (let y = 0; y < height; y++) {
+        const row = y * stride
+        let best = null
+        for (let filter = 0; filter <= 4; filter++) {
+            let cost = 0
+            for (let x = 0; x < stride; x++) {
+                const a = x >= 4 ? data[row + x - 4] : 0
+                const b = y > 0 ? data[row + x - stride] : 0
+                const c = x >= 4 && y > 0 ? data[row + x - stride - 4] : 0
+                let predicted = 0
+                if (filter === 1) predicted = a
+                else if (filter === 2) predicted = b
+                else if (filter === 3) predicted = (a + b) >> 1
+                else if (filter === 4) predicted = paeth(a, b, c)
+                const v = (data[row + x] - predicted) & 0xff
+                candidate[x] = v
+                cost += v < 128 ? v : 256 - v
+            }
+            if (!best || cost < best.cost) best = { filter, cost, bytes: candidate.slice() }
+        }
+        raw[y * (stride + 1)] = best.filter
+        raw.set(best.bytes, y * (stride + 1) + 1)
+    }
+
+    const header = new Uint8Array(13)
+    const view = new DataView(header.buffer)
+    view.setUint32(0, width)
+    view.setUint32(4, height)
+    header.set([8, 6, 0, 0, 0], 8) // 8 bits per sample, RGBA, deflate, standard filters, no interlace
+    const parts = [Uint8Array.from(SIGNATURE), chunk('IHDR', header), chunk('IDAT', zlibSync(raw, { level: 6 })), chunk('IEND', new Uint8Array(0))]
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0))
+    parts.reduce((offset, p) => {
+        out.set(p, offset)
+        return offset + p.length
+    }, 0)
+    return out
+}
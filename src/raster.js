@@ -0,0 +1,125 @@
+// Boxes painted straight into an RGBA image { width, height, data } (see png.js), for overlays rendered without a
+// canvas by the command-line tool. Colors follow the editor canvas (render.js); labels are box numbers, A1, A2, …
+// for anchors as in the editor's list (see order.js).
+import { listNumbers } from './order.js'
+import { frameCenter, pointRadius, shapeBounds, shapePoints } from './shapes.js'
+import { isTable, tableColumns, tableRows } from './table.js'
+import { isAnchor } from './template.js'
+
+const hex = (color) => [1, 3, 5].map((i) => parseInt(color.slice(i, i + 2), 16))
+
+const STYLES = {
+    field: { stroke: hex('#2dd4bf'), label: hex('#2dd4bf'), text: hex('#053b37') },
+    anchor: { stroke: hex('#a855f7'), label: hex('#a855f7'), text: hex('#ffffff') },
+    table: { stroke: hex('#f59e0b'), label: hex('#f59e0b'), text: hex('#451a03') },
+}
+
+// 3x5 pixel digits and the anchor prefix, rows top to bottom
+const GLYPHS = {
+    0: ['111', '101', '101', '101', '111'],
+    1: ['010', '110', '010', '010', '111'],
+    2: ['111', '001', '111', '100', '111'],
+    3: ['111', '001', '111', '001', '111'],
+    4: ['101', '101', '111', '001', '001'],
+    5: ['111', '100', '111', '001', '111'],
+    6: ['111', '100', '111', '101', '111'],
+    7: ['111', '001', '001', '001', '001'],
+    8: ['111', '101', '111', '101', '111'],
+    9: ['111', '101', '111', '001', '111'],
+    A: ['010', '101', '111', '101', '101'],
+}
+
+// Blend `color` over the pixels of a rectangle (clipped to the image)
+const fillRect = (image, x, y, w, h, color, alpha = 1) => {
+    const x0 = Math.max(0, Math.round(x))
+    const y0 = Math.max(0, Math.round(y))
+    const x1 = Math.min(image.width, Math.round(x + w))
+    const y1 = Math.min(image.height, Math.round(y + h))
+    for (let py = y0; py < y1; py++) {
+        for (let px = x0; px < x1; px++) {
+            const o = (py * image.width + px) * 4
+            for (let c = 0; c < 3; c++) image.data[o + c] = Math.round(image.data[o + c] * (1 - alpha) + color[c] * alpha)
+            image.data[o + 3] = Math.max(image.data[o + 3], Math.round(alpha * 255))
+        }
+    }
+}
+
+// Horizontal or vertical line of thickness `t`, optionally dashed as [on, off]
+const line = (image, x, y, length, vertical, t, color, dash = null) => {
+    for (let s = 0; s < length; s += dash ? dash[0] + dash[1] : length) {
+        const run = Math.min(dash ? dash[0] : length, length - s)
+        if (vertical) fillRect(image, x - t / 2, y + s, t, run, color)
+        else fillRect(image, x + s, y - t / 2, run, t, color)
+    }
+}
+
+const strokeRect = (image, r, t, color, dash) => {
+    line(image, r.x, r.y, r.w, false, t, color, dash)
+    line(image, r.x, r.y + r.h, r.w, false, t, color, dash)
+    line(image, r.x, r.y, r.h, true, t, color, dash)
+    line(image, r.x + r.w, r.y, r.h, true, t, color, dash)
+}
+
+// Line of thickness `t` between two points at any angle, stamped pixel by pixel
+const segment = (image, a, b, t, color) => {
+    const steps = Math.max(1, Math.ceil(Math.hypot(b.x - a.x, b.y - a.y)))
+    for (let i = 0; i <= steps; i++) fillRect(image, a.x + ((b.x - a.x) * i) / steps - t / 2, a.y + ((b.y - a.y) * i) / steps - t / 2, t, t, color)
+}
+
+// Outline of a shaped box (see shapes.js); points are drawn as a circle around a dot
+const strokeShape = (image, b, t, color) => {
+    const center = frameCenter(b)
+    const points =
+        b.shape === 'point'
+            ? Array.from({ length: 48 }, (_, i) => ({
+                  x: center.x + pointRadius(b) * Math.cos((i * Math.PI) / 24),
+                  y: center.y + pointRadius(b) * Math.sin((i * Math.PI) / 24),
+              }))
+            : shapePoints(b)
+    points.forEach((p, i) => segment(image, p, points[(i + 1) % points.length], t, color))
+    if (b.shape === 'point') fillRect(image, center.x - t, center.y - t, 2 * t, 2 * t, color)
+}
+
+// Characters of `text` (digits and A) with their top-left corner at (x, y), each font pixel `scale` pixels wide
+const drawLabel = (image, text, x, y, scale, color) =>
+    text.split('').forEach((c, i) => {
+        GLYPHS[c].forEach((row, ry) => {
+            row.split('').forEach((bit, rx) => {
+                if (bit === '1') fillRect(image, x + (i * 4 + rx) * scale, y + ry * scale, scale, scale, color)
+            })
+        })
+    })
+
+// Outline each box with a numbered tag above it, like the editor's labels. `numbers` maps box ids to the
+// number shown (by default as listNumbers numbers `boxes`). Lines and tags grow with the image size.
+export const paintBoxes = (image, boxes, { numbers = listNumbers(boxes) } = {}) => {
+    const t = Math.max(2, Math.round(Math.min(image.width, image.height) / 800))
+    const scale = t + 1
+    boxes.forEach((b) => {
+        const style = STYLES[isAnchor(b) ? 'anchor' : isTable(b) ? 'table' : 'field']
+        if (b.shape) strokeShape(image, b, t, style.stroke)
+        else strokeRect(image, b, t, style.stroke, isAnchor(b) ? [4 * t, 2 * t] : null)
+
+        // Table grid: solid column dividers, dashed row dividers
+        if (isTable(b)) {
+            const thin = Math.max(1, Math.round(t / 2))
+            tableColumns(b)
+                .slice(1)
+                .forEach((c) => line(image, c.x, b.y, b.h, true, thin, style.stroke))
+            tableRows(b)
+                .slice(1)
+                .forEach((r) => line(image, b.x, r.y, b.w, false, thin, style.stroke, [2 * t, 2 * t]))
+        }
+
+        const number = numbers.get(b.id)
+        if (number === undefined) return
+        const label = `${isAnchor(b) ? 'A' : ''}${number}`
+        const tagW = (label.length * 4 + 1) * scale
+        const tagH = 7 * scale
+        const { x, y } = shapeBounds(b)
+        const tagY = Math.max(0, y - tagH)
+        fillRect(image, x, tagY, tagW, tagH, style.label, 0.85)
+        drawLabel(image, label, x + scale, tagY + scale, scale, style.text)
+    })
+    return image
+}
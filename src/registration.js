@@ -0,0 +1,218 @@
+// Template registration: find anchor regions in a new scan and fit an affine transform
+// from reference (template) pixels to scan pixels.
+
+export const MIN_ANCHORS = 3
+
+// Matching settings. These are exported with the template so a pipeline can reproduce the alignment.
+export const MATCH_SETTINGS = {
+    method: 'ncc', // normalized cross-correlation of grayscale patches
+    workWidth: 800, // both images are resampled to this width before matching
+    searchMargin: 0.15, // search window around each anchor's expected spot, as a fraction of the working width
+    minScore: 0.5, // matches below this score are discarded when enough anchors remain
+}
+
+// Grayscale luminance of an image resampled to width x height
+export const toGray = (source, width, height) => {
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d', { willReadFrequently: true })
+    ctx.drawImage(source, 0, 0, width, height)
+    const { data } = ctx.getImageData(0, 0, width, height)
+    const gray = new Float32Array(width * height)
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]
+    }
+    return { data: gray, width, height }
+}
+
+// Summed-area tables of values and squared values, (width + 1) x (height + 1)
+const integralImages = ({ data, width, height }) => {
+    const stride = width + 1
+    const sum = new Float64Array(stride * (height + 1))
+    const sq = new Float64Array(stride * (height + 1))
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0
+        let rowSq = 0
+        for (let x = 0; x < width; x++) {
+            const v = data[y * width + x]
+            rowSum += v
+            rowSq += v * v
+            sum[(y + 1) * stride + x + 1] = sum[y * stride + x + 1] + rowSum
+            sq[(y + 1) * stride + x + 1] = sq[y * stride + x + 1] + rowSq
+        }
+    }
+    return { sum, sq, stride }
+}
+
+const rectSum = (table, stride, x, y, w, h) => table[(y + h) * stride + x + w] - table[y * stride + x + w] - table[(y + h) * stride + x] + table[y * stride + x]
+
+// Crop a region out of a grayscale image
+const cropGray = (img, x, y, w, h) => {
+    const data = new Float32Array(w * h)
+    for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) data[j * w + i] = img.data[(y + j) * img.width + x + i]
+    }
+    return { data, width: w, height: h }
+}
+
+// Best NCC position of `tpl` inside `img` with its top-left corner in [x0, x1] x [y0, y1]
+const matchTemplate = (img, integral, tpl, x0, y0, x1, y1) => {
+    const n = tpl.width * tpl.height
+    let tplMean = 0
+    for (let i = 0; i < n; i++) tplMean += tpl.data[i]
+    tplMean /= n
+    const centered = new Float32Array(n)
+    let tplVar = 0
+    for (let i = 0; i < n; i++) {
+        centered[i] = tpl.data[i] - tplMean
+        tplVar += centered[i] * centered[i]
+    }
+    // A flat template (blank paper) cannot be localized
+    if (tplVar < 1e-6 || x1 < x0 || y1 < y0) return null
+
+    const score = (u, v) => {
+        const s = rectSum(integral.sum, integral.stride, u, v, tpl.width, tpl.height)
+        const s2 = rectSum(integral.sq, integral.stride, u, v, tpl.width, tpl.height)
+        const imgVar = s2 - (s * s) / n
+        if (imgVar < 1e-6) return -1
+        let cross = 0
+        for (let j = 0; j < tpl.height; j++) {
+            const row = (v + j) * img.width + u
+            const trow = j * tpl.width
+            for (let i = 0; i < tpl.width; i++) cross += img.data[row + i] * centered[trow + i]
+        }
+        return cross / Math.sqrt(imgVar * tplVar)
+    }
+
+    // Coarse pass on a 2px grid, then refine around the best hit
+    let best = { x: x0, y: y0, score: -Infinity }
+    for (let v = y0; v <= y1; v += 2) {
+        for (let u = x0; u <= x1; u += 2) {
+            const s = score(u, v)
+            if (s > best.score) best = { x: u, y: v, score: s }
+        }
+    }
+    const coarse = best
+    for (let v = Math.max(y0, coarse.y - 2); v <= Math.min(y1, coarse.y + 2); v++) {
+        for (let u = Math.max(x0, coarse.x - 2); u <= Math.min(x1, coarse.x + 2); u++) {
+            const s = score(u, v)
+            if (s > best.score) best = { x: u, y: v, score: s }
+        }
+    }
+    return best
+}
+
+// Solve a 3x3 linear system with Gaussian elimination; null when singular
+const solve3 = (m, b) => {
+    const a = m.map((row, i) => [...row, b[i]])
+    for (let col = 0; col < 3; col++) {
+        let pivot = col
+        for (let r = col + 1; r < 3; r++) if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r
+        if (Math.abs(a[pivot][col]) < 1e-9) return null
+        ;[a[col], a[pivot]] = [a[pivot], a[col]]
+        for (let r = 0; r < 3; r++) {
+            if (r === col) continue
+            const f = a[r][col] / a[col][col]
+            for (let c = col; c < 4; c++) a[r][c] -= f * a[col][c]
+        }
+    }
+    return [a[0][3] / a[0][0], a[1][3] / a[1][1], a[2][3] / a[2][2]]
+}
+
+// Least-squares affine transform from point pairs [{ from, to }], or null for fewer than 3 non-collinear points.
+// The result maps x' = a x + b y + c, y' = d x + e y + f.
+export const fitAffine = (pairs) => {
+    if (pairs.length < MIN_ANCHORS) return null
+    const m = [
+        [0, 0, 0],
+        [0, 0, 0],
+        [0, 0, 0],
+    ]
+    const bx = [0, 0, 0]
+    const by = [0, 0, 0]
+    pairs.forEach(({ from, to }) => {
+        const row = [from.x, from.y, 1]
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) m[i][j] += row[i] * row[j]
+            bx[i] += row[i] * to.x
+            by[i] += row[i] * to.y
+        }
+    })
+    const px = solve3(m, bx)
+    const py = solve3(m, by)
+    if (!px || !py) return null
+    return { a: px[0], b: px[1], c: px[2], d: py[0], e: py[1], f: py[2] }
+}
+
+export const applyAffine = (t, p) => ({ x: t.a * p.x + t.b * p.y + t.c, y: t.d * p.x + t.e * p.y + t.f })
+
+// Rotation (degrees), scale and translation of an affine transform, for display
+export const describeAffine = (t) => ({
+    rotation: (Math.atan2(t.d, t.a) * 180) / Math.PI,
+    scaleX: Math.hypot(t.a, t.d),
+    scaleY: Math.hypot(t.b, t.e),
+    dx: t.c,
+    dy: t.f,
+})
+
+// Corners of a box warped by a transform, clockwise from the top-left
+export const warpBox = (t, b) =>
+    [
+        { x: b.x, y: b.y },
+        { x: b.x + b.w, y: b.y },
+        { x: b.x + b.w, y: b.y + b.h },
+        { x: b.x, y: b.y + b.h },
+    ].map((p) => applyAffine(t, p))
+
+// Locate each anchor of the reference image in the scan and fit the transform.
+// Returns { transform, matches, rms } where matches are { anchor, from, to, score, used } in natural pixels.
+export const registerScan = (reference, scan, anchors, settings = MATCH_SETTINGS) => {
+    const refW = reference.naturalWidth
+    const refH = reference.naturalHeight
+    const kRef = settings.workWidth / refW
+    const kScan = settings.workWidth / scan.naturalWidth
+    const ref = toGray(reference, settings.workWidth, Math.max(1, Math.round(refH * kRef)))
+    const target = toGray(scan, settings.workWidth, Math.max(1, Math.round(scan.naturalHeight * kScan)))
+    const integral = integralImages(target)
+    const margin = Math.round(settings.searchMargin * settings.workWidth)
+
+    const matches = anchors.map((anchor) => {
+        const x = Math.max(0, Math.min(ref.width - 1, Math.round(anchor.x * kRef)))
+        const y = Math.max(0, Math.min(ref.height - 1, Math.round(anchor.y * kRef)))
+        const w = Math.max(1, Math.min(ref.width - x, Math.round(anchor.w * kRef)))
+        const h = Math.max(1, Math.min(ref.height - y, Math.round(anchor.h * kRef)))
+        const from = { x: anchor.x + anchor.w / 2, y: anchor.y + anchor.h / 2 }
+        if (w > target.width || h > target.height) return { anchor, from, to: null, score: -1, used: false }
+
+        const tpl = cropGray(ref, x, y, w, h)
+        const found = matchTemplate(
+            target,
+            integral,
+            tpl,
+            Math.max(0, x - margin),
+            Math.max(0, y - margin),
+            Math.min(target.width - w, x + margin),
+            Math.min(target.height - h, y + margin),
+        )
+        if (!found) return { anchor, from, to: null, score: -1, used: false }
+        const to = { x: (found.x + w / 2) / kScan, y: (found.y + h / 2) / kScan }
+        return { anchor, from, to, score: found.score, used: true }
+    })
+
+    // Drop weak matches as long as enough anchors are left for a fit
+    const found = matches.filter((m) => m.to)
+    const strong = found.filter((m) => m.score >= settings.minScore)
+    const used = strong.length >= MIN_ANCHORS ? strong : found
+    matches.forEach((m) => {
+        m.used = used.includes(m)
+    })
+
+    const transform = fitAffine(used)
+    if (!transform) return { transform: null, matches, rms: null }
+    const sq = used.reduce((acc, m) => {
+        const p = applyAffine(transform, m.from)
+        return acc + (p.x - m.to.x) ** 2 + (p.y - m.to.y) ** 2
+    }, 0)
+    return { transform, matches, rms: Math.sqrt(sq / used.length) }
+}
@@ -0,0 +1,415 @@
+// Canvas painters for the editor's stacked layers, so each can be redrawn on its own:
+//   image layer:   the page image, from a cache of downscaled copies
+//   box layer:     suggestions and boxes, only those in view; repainted when boxes or the view change.
+//                  In compare mode it shows the differences between two template versions instead.
+//   overlay layer: selection, resize handles, snap guides, the box or polygon being drawn and collaborators' cursors
+//                  and selections; cheap enough for every pointer move
+// All painters take a view { zoom, pan: { x, y }, sx, sy, width, height, dpr }, where sx/sy convert natural page
+// pixels to canvas pixels at zoom 1 and width/height are the canvas size in device pixels.
+import { getHandlePoints } from './geometry.js'
+import { frameCenter, pointRadius, shapeBounds, shapePoints } from './shapes.js'
+import { isTable, tableColumns, tableRows } from './table.js'
+import { isAnchor } from './template.js'
+
+const LABEL_HEIGHT = 18
+const LABEL_PADDING = 4
+
+// The image cache stops after this many halvings
+const MAX_IMAGE_LEVELS = 6
+
+// Downscaled copies of a page image, halved step by step (smoother than one big downscale per frame)
+export const createImageCache = (img) => ({ levels: [img], width: img.naturalWidth || img.width, height: img.naturalHeight || img.height })
+
+// The smallest cached copy at least `width` pixels wide, made on first use
+const imageLevel = (cache, width) => {
+    let level = 0
+    while (level < MAX_IMAGE_LEVELS && Math.floor(cache.width / 2 ** (level + 1)) >= Math.max(1, width)) level++
+    for (let i = 1; i <= level; i++) {
+        if (cache.levels[i]) continue
+        const prev = cache.levels[i - 1]
+        const canvas = document.createElement('canvas')
+        canvas.width = Math.max(1, Math.floor(cache.width / 2 ** i))
+        canvas.height = Math.max(1, Math.floor(cache.height / 2 ** i))
+        const ctx = canvas.getContext('2d')
+        ctx.imageSmoothingQuality = 'high'
+        ctx.drawImage(prev, 0, 0, canvas.width, canvas.height)
+        cache.levels[i] = canvas
+    }
+    return cache.levels[level]
+}
+
+export const clearLayer = (ctx, view) => {
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, view.width, view.height)
+}
+
+const applyView = (ctx, view) => ctx.setTransform(view.zoom, 0, 0, view.zoom, view.pan.x, view.pan.y)
+
+// The part of the page on the canvas, in natural pixels
+export const visibleRect = (view) => ({
+    x: -view.pan.x / view.zoom / view.sx,
+    y: -view.pan.y / view.zoom / view.sy,
+    w: view.width / view.zoom / view.sx,
+    h: view.height / view.zoom / view.sy,
+})
+
+export const drawImageLayer = (ctx, view, cache) => {
+    clearLayer(ctx, view)
+    applyView(ctx, view)
+    ctx.drawImage(imageLevel(cache, view.width * view.zoom), 0, 0, view.width, view.height)
+}
+
+// Message shown instead of a page
+export const drawPlaceholder = (ctx, view, text) => {
+    clearLayer(ctx, view)
+    ctx.fillStyle = '#f5f5f5'
+    ctx.fillRect(0, 0, view.width, view.height)
+    ctx.fillStyle = '#888'
+    ctx.font = `${14 * view.dpr}px sans-serif`
+    ctx.fillText(text, 12, 28)
+}
+
+// Label widths by font and text; measuring text is one of the slowest parts of painting many boxes
+const labelWidths = new Map()
+const measureLabel = (ctx, label) => {
+    const key = `${ctx.font}|${label}`
+    let width = labelWidths.get(key)
+    if (width === undefined) {
+        if (labelWidths.size > 20000) labelWidths.clear()
+        width = Math.ceil(ctx.measureText(label).width)
+        labelWidths.set(key, width)
+    }
+    return width
+}
+
+// Forget the measured label widths, so the next paint measures every label again (for the benchmark page)
+export const clearLabelWidths = () => labelWidths.clear()
+
+// Path of a box's outline in canvas pixels (see shapes.js): a polygon through its corners or vertices, or an
+// ellipse for a point (a circle unless the page is shown stretched)
+const traceShape = (ctx, b, sx, sy) => {
+    ctx.beginPath()
+    if (b.shape === 'point') {
+        const c = frameCenter(b)
+        ctx.ellipse(c.x * sx, c.y * sy, pointRadius(b) * sx, pointRadius(b) * sy, 0, 0, 2 * Math.PI)
+        return
+    }
+    shapePoints(b).forEach((p, i) => (i ? ctx.lineTo(Math.round(p.x * sx), Math.round(p.y * sy)) : ctx.moveTo(Math.round(p.x * sx), Math.round(p.y * sy))))
+    ctx.closePath()
+}
+
+// Small dot marking the center of a point
+const markCenter = (ctx, b, sx, sy, radius) => {
+    const c = frameCenter(b)
+    ctx.beginPath()
+    ctx.arc(c.x * sx, c.y * sy, radius, 0, 2 * Math.PI)
+    ctx.fill()
+}
+
+// Suggestions from auto-detect, then the boxes in view (all of `boxes` when there is no index).
+// `labels` maps box ids to label text; `isWeak(b)` flags fields whose OCR came back empty or unsure, and the ids in
+// `failing` are fields that missed their expected values in the accuracy report, drawn in red.
+export const drawBoxLayer = (ctx, view, { boxes, index, labels, isWeak, failing = null, suggestions = [], hoveredSuggestion = null }) => {
+    clearLayer(ctx, view)
+    applyView(ctx, view)
+    const { sx, sy } = view
+
+    suggestions.forEach((s) => {
+        const hovered = s.id === hoveredSuggestion
+        ctx.fillStyle = hovered ? 'rgba(99, 102, 241, 0.25)' : 'rgba(99, 102, 241, 0.08)'
+        ctx.fillRect(Math.round(s.x * sx), Math.round(s.y * sy), Math.round(s.w * sx), Math.round(s.h * sy))
+        ctx.strokeStyle = '#6366f1'
+        ctx.lineWidth = hovered ? 2 : 1
+        ctx.setLineDash([4, 3])
+        ctx.strokeRect(Math.round(s.x * sx), Math.round(s.y * sy), Math.round(s.w * sx), Math.round(s.h * sy))
+        ctx.setLineDash([])
+    })
+
+    // Labels sit above their box, so look a label's height further down for boxes whose label is in view
+    const area = visibleRect(view)
+    const shown = index ? index.query({ ...area, h: area.h + LABEL_HEIGHT / sy }) : boxes
+
+    ctx.font = `${12 * view.dpr}px sans-serif`
+    shown.forEach((b) => {
+        const x = Math.round(b.x * sx)
+        const y = Math.round(b.y * sy)
+        const w = Math.round(b.w * sx)
+        const h = Math.round(b.h * sy)
+
+        // Anchors are dashed purple and tables orange so they stand apart from fields; failing boxes are red whatever
+        // they are, like their label
+        const anchor = isAnchor(b)
+        const table = isTable(b)
+        const failed = failing?.has(b.id)
+        ctx.lineWidth = failed ? 3 : 2
+        ctx.strokeStyle = failed ? '#dc2626' : anchor ? '#a855f7' : table ? '#f59e0b' : '#2dd4bf'
+        if (anchor) ctx.setLineDash([8, 4])
+        if (b.shape) {
+            traceShape(ctx, b, sx, sy)
+            ctx.stroke()
+        } else {
+            ctx.strokeRect(x, y, w, h)
+        }
+        ctx.setLineDash([])
+        if (b.shape === 'point') {
+            ctx.fillStyle = ctx.strokeStyle
+            markCenter(ctx, b, sx, sy, 2 * view.dpr)
+        }
+
+        // Table grid: solid column dividers, dashed row dividers
+        if (table) {
+            ctx.lineWidth = 1
+            ctx.beginPath()
+            tableColumns(b)
+                .slice(1)
+                .forEach((c) => {
+                    ctx.moveTo(Math.round(c.x * sx), y)
+                    ctx.lineTo(Math.round(c.x * sx), y + h)
+                })
+            ctx.stroke()
+            ctx.setLineDash([4, 3])
+            ctx.beginPath()
+            tableRows(b)
+                .slice(1)
+                .forEach((r) => {
+                    ctx.moveTo(x, Math.round(r.y * sy))
+                    ctx.lineTo(x + w, Math.round(r.y * sy))
+                })
+            ctx.stroke()
+            ctx.setLineDash([])
+        }
+
+        if (!anchor && !table && isWeak?.(b)) {
+            ctx.fillStyle = 'rgba(239, 68, 68, 0.18)'
+            ctx.strokeStyle = '#ef4444'
+            if (b.shape) {
+                traceShape(ctx, b, sx, sy)
+                ctx.fill()
+                ctx.stroke()
+            } else {
+                ctx.fillRect(x, y, w, h)
+                ctx.strokeRect(x, y, w, h)
+            }
+        }
+
+        // Label background and text, above the top-left of what the box covers
+        const label = labels.get(b.id) || ''
+        const labelW = measureLabel(ctx, label) + LABEL_PADDING * 2
+        const bounds = b.shape ? shapeBounds(b) : b
+        const lx = Math.round(bounds.x * sx)
+        const ly = Math.round(bounds.y * sy)
+        ctx.fillStyle = anchor ? 'rgba(168, 85, 247, 0.85)' : table ? 'rgba(245, 158, 11, 0.85)' : 'rgba(45, 212, 191, 0.85)'
+        if (failed) ctx.fillStyle = 'rgba(220, 38, 38, 0.9)'
+        ctx.fillRect(lx, Math.max(0, ly - LABEL_HEIGHT), labelW, LABEL_HEIGHT)
+        ctx.fillStyle = anchor || failed ? '#ffffff' : table ? '#451a03' : '#053b37'
+        ctx.fillText(label, lx + LABEL_PADDING, Math.max(12, ly - 6))
+    })
+}
+
+// Colors of compare mode by change status (see diff.js)
+const DIFF_STYLES = {
+    added: { stroke: '#16a34a', fill: 'rgba(22, 163, 74, 0.15)', text: '#ffffff' },
+    removed: { stroke: '#dc2626', fill: 'rgba(220, 38, 38, 0.12)', text: '#ffffff' },
+    moved: { stroke: '#f59e0b', fill: 'rgba(245, 158, 11, 0.15)', text: '#451a03' },
+    renamed: { stroke: '#2563eb', fill: 'rgba(37, 99, 235, 0.12)', text: '#ffffff' },
+    edited: { stroke: '#a855f7', fill: 'rgba(168, 85, 247, 0.12)', text: '#ffffff' },
+    unchanged: { stroke: '#94a3b8', fill: null, text: '#ffffff' },
+}
+
+// Changes between two template versions on one page (see diffBoxes). Removed boxes are dashed where they were; moved
+// and resized ones show their old place dashed in gray, joined to the new one. Labels give the current name.
+export const drawDiffLayer = (ctx, view, { changes }) => {
+    clearLayer(ctx, view)
+    applyView(ctx, view)
+    const { sx, sy } = view
+    const rect = (b) => [Math.round(b.x * sx), Math.round(b.y * sy), Math.round(b.w * sx), Math.round(b.h * sy)]
+    ctx.font = `${12 * view.dpr}px sans-serif`
+
+    changes.forEach((c) => {
+        const style = DIFF_STYLES[c.status]
+        const box = c.after || c.before
+        const [x, y, w, h] = rect(box)
+
+        if (c.status === 'moved' && (c.before.page || 0) === (c.after.page || 0)) {
+            const [bx, by, bw, bh] = rect(c.before)
+            ctx.lineWidth = 1
+            ctx.strokeStyle = '#64748b'
+            ctx.setLineDash([4, 3])
+            traceShape(ctx, c.before, sx, sy)
+            ctx.stroke()
+            ctx.beginPath()
+            ctx.moveTo(bx + bw / 2, by + bh / 2)
+            ctx.lineTo(x + w / 2, y + h / 2)
+            ctx.stroke()
+            ctx.setLineDash([])
+        }
+
+        traceShape(ctx, box, sx, sy)
+        if (style.fill) {
+            ctx.fillStyle = style.fill
+            ctx.fill()
+        }
+        ctx.lineWidth = c.status === 'unchanged' ? 1 : 2
+        ctx.strokeStyle = style.stroke
+        if (c.status === 'removed') ctx.setLineDash([8, 4])
+        ctx.stroke()
+        ctx.setLineDash([])
+
+        const [lx, ly] = rect(shapeBounds(box))
+        const label = box.name || '(unnamed)'
+        ctx.fillStyle = style.stroke
+        ctx.fillRect(lx, Math.max(0, ly - LABEL_HEIGHT), measureLabel(ctx, label) + LABEL_PADDING * 2, LABEL_HEIGHT)
+        ctx.fillStyle = style.text
+        ctx.fillText(label, lx + LABEL_PADDING, Math.max(12, ly - 6))
+    })
+}
+
+// Selected boxes, the resize handles of `handleBox` and its rotation handle at `rotateHandle`, snap guides, the box
+// being drawn (`rubberBand`, which may have a shape) and the vertices of a polygon being drawn, followed by a line to
+// the pointer (`polyline`: { points, pointer }). Collaborators (`peers`: { name, color, cursor, selected }) show their
+// selected boxes dashed and their cursor with a name tag in their color. All in natural pixels.
+export const drawOverlay = (
+    ctx,
+    view,
+    { selected = [], handleBox = null, rotateHandle = null, handleSize, guides = [], rubberBand = null, polyline = null, peers = [] },
+) => {
+    clearLayer(ctx, view)
+    applyView(ctx, view)
+    const { sx, sy, zoom } = view
+
+    peers.forEach((peer) => {
+        ctx.setLineDash([6 / zoom, 3 / zoom])
+        ctx.lineWidth = 2 / zoom
+        ctx.strokeStyle = peer.color
+        peer.selected.forEach((b) => {
+            traceShape(ctx, b, sx, sy)
+            ctx.stroke()
+        })
+        ctx.setLineDash([])
+    })
+
+    selected.forEach((b) => {
+        traceShape(ctx, b, sx, sy)
+        ctx.fillStyle = 'rgba(37, 99, 235, 0.12)'
+        ctx.fill()
+        ctx.lineWidth = 2 / zoom
+        ctx.strokeStyle = '#2563eb'
+        ctx.stroke()
+    })
+    if (handleBox) {
+        const size = (handleSize * view.dpr) / zoom
+        ctx.fillStyle = '#ffffff'
+        ctx.lineWidth = 1.5 / zoom
+        const handles = getHandlePoints(handleBox)
+        if (rotateHandle && handles.n) {
+            ctx.beginPath()
+            ctx.moveTo(handles.n.x * sx, handles.n.y * sy)
+            ctx.lineTo(rotateHandle.x * sx, rotateHandle.y * sy)
+            ctx.stroke()
+            ctx.beginPath()
+            ctx.arc(rotateHandle.x * sx, rotateHandle.y * sy, size / 2, 0, 2 * Math.PI)
+            ctx.fill()
+            ctx.stroke()
+        }
+        Object.values(handles).forEach((p) => {
+            ctx.fillRect(p.x * sx - size / 2, p.y * sy - size / 2, size, size)
+            ctx.strokeRect(p.x * sx - size / 2, p.y * sy - size / 2, size, size)
+        })
+    }
+
+    // Snap guides run across the whole page
+    if (guides.length) {
+        ctx.strokeStyle = '#ec4899'
+        ctx.lineWidth = 1 / zoom
+        ctx.beginPath()
+        guides.forEach((g) => {
+            if (g.axis === 'x') {
+                ctx.moveTo(g.at * sx, 0)
+                ctx.lineTo(g.at * sx, view.height)
+            } else {
+                ctx.moveTo(0, g.at * sy)
+                ctx.lineTo(view.width, g.at * sy)
+            }
+        })
+        ctx.stroke()
+    }
+
+    if (rubberBand) {
+        ctx.setLineDash([6, 4])
+        ctx.lineWidth = 2
+        ctx.strokeStyle = '#f97316'
+        traceShape(ctx, rubberBand, sx, sy)
+        ctx.stroke()
+        ctx.setLineDash([])
+    }
+
+    if (polyline) {
+        const points = [...polyline.points, polyline.pointer].filter(Boolean)
+        ctx.lineWidth = 2 / zoom
+        ctx.strokeStyle = '#f97316'
+        ctx.beginPath()
+        points.forEach((p, i) => (i ? ctx.lineTo(p.x * sx, p.y * sy) : ctx.moveTo(p.x * sx, p.y * sy)))
+        ctx.stroke()
+        ctx.fillStyle = '#f97316'
+        polyline.points.forEach((p) => {
+            ctx.beginPath()
+            ctx.arc(p.x * sx, p.y * sy, (3 * view.dpr) / zoom, 0, 2 * Math.PI)
+            ctx.fill()
+        })
+    }
+
+    // Cursors keep their size on screen at any zoom
+    const unit = view.dpr / zoom
+    ctx.font = `${12 * unit}px sans-serif`
+    peers.forEach((peer) => {
+        if (!peer.cursor) return
+        const x = peer.cursor.x * sx
+        const y = peer.cursor.y * sy
+        ctx.beginPath()
+        ctx.moveTo(x, y)
+        ctx.lineTo(x, y + 16 * unit)
+        ctx.lineTo(x + 4.5 * unit, y + 12 * unit)
+        ctx.lineTo(x + 11 * unit, y + 12 * unit)
+        ctx.closePath()
+        ctx.fillStyle = peer.color
+        ctx.fill()
+        ctx.lineWidth = unit
+        ctx.strokeStyle = '#ffffff'
+        ctx.stroke()
+        const labelW = measureLabel(ctx, peer.name) + LABEL_PADDING * 2 * unit
+        ctx.fillRect(x + 10 * unit, y + 14 * unit, labelW, LABEL_HEIGHT * unit)
+        ctx.fillStyle = '#ffffff'
+        ctx.fillText(peer.name, x + 10 * unit + LABEL_PADDING * unit, y + 27 * unit)
+    })
+}
+
+// Whole-page overview: the image, box outlines and the visible part `viewRect` (natural pixels) framed in red
+export const drawMinimap = (ctx, cache, { width, height, dpr, boxes, viewRect }) => {
+    const k = width / cache.width
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.drawImage(imageLevel(cache, width), 0, 0, width, height)
+    ctx.lineWidth = 1
+    boxes.forEach((b) => {
+        ctx.strokeStyle = isAnchor(b) ? '#a855f7' : isTable(b) ? '#f59e0b' : '#0d9488'
+        if (b.shape) {
+            traceShape(ctx, b, k, k)
+            ctx.stroke()
+        } else {
+            ctx.strokeRect(b.x * k, b.y * k, b.w * k, b.h * k)
+        }
+    })
+
+    // Shade everything outside the view
+    const x = Math.max(0, viewRect.x * k)
+    const y = Math.max(0, viewRect.y * k)
+    const w = Math.min(width, (viewRect.x + viewRect.w) * k) - x
+    const h = Math.min(height, (viewRect.y + viewRect.h) * k) - y
+    ctx.fillStyle = 'rgba(15, 23, 42, 0.35)'
+    ctx.beginPath()
+    ctx.rect(0, 0, width, height)
+    ctx.rect(x, y, w, h)
+    ctx.fill('evenodd')
+    ctx.strokeStyle = '#ef4444'
+    ctx.lineWidth = 2 * dpr
+    ctx.strokeRect(x, y, w, h)
+}
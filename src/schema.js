@@ -0,0 +1,242 @@
+// The exported template format (see buildTemplate in template.js) as a JSON Schema, pixel/percent conversion, and
+// checks that need nothing but the template itself. Shared by the editor and the command-line tool (bin/template.js),
+// so nothing here may touch the DOM.
+import { FIELD_TYPES, parseFieldRules, validateFieldRules } from './fields.js'
+import { KEY_STYLES } from './keys.js'
+import { MIN_POLYGON_POINTS, SHAPES, validateShape } from './shapes.js'
+import { parseTable } from './table.js'
+
+const round6 = (v) => +v.toFixed(6)
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+
+// --- Conversion ---
+
+// Pixel rectangle { x, y, width, height } on a page of the given size as fractions of the page
+export const toPercent = (r, { width, height }) => ({
+    x: round6(r.x / width),
+    y: round6(r.y / height),
+    width: round6(r.width / width),
+    height: round6(r.height / height),
+})
+
+// Fractional rectangle back to pixels of a page of the given size (not rounded)
+export const toPixels = (r, { width, height }) => ({ x: r.x * width, y: r.y * height, width: r.width * width, height: r.height * height })
+
+// Page sizes a template declares: its pages, or the image for templates written before multi-page support
+export const templatePages = (template) => (Array.isArray(template.pages) && template.pages.length ? template.pages : template.image ? [template.image] : [])
+
+// --- Schema ---
+
+// Version of the exported format, written as `schemaVersion`. Raise it with a migration step (see migrations.js)
+// whenever the shape changes in a way older readers would misread.
+export const TEMPLATE_VERSION = 2
+
+const string = { type: 'string' }
+const positive = { type: 'number', exclusiveMinimum: 0 }
+const pageIndex = { type: 'integer', minimum: 0 }
+const rect = {
+    type: 'object',
+    required: ['x', 'y', 'width', 'height'],
+    properties: { x: { type: 'number' }, y: { type: 'number' }, width: positive, height: positive },
+}
+
+// A field, anchor or table: where it is, in pixels of its page and/or fractions of it
+const region = (properties = {}, required = []) => ({
+    type: 'object',
+    required,
+    anyOf: [{ required: ['pixels'] }, { required: ['percent'] }],
+    properties: {
+        id: { type: 'string', minLength: 1 },
+        name: string,
+        key: string,
+        order: { type: 'integer', minimum: 1 },
+        page: pageIndex,
+        pixels: rect,
+        percent: rect,
+        ...properties,
+    },
+})
+
+// A field's shape, with the coordinates of every kind of shape allowed on each side (see serializeShape)
+const number = { type: 'number' }
+const shapeCoordinates = {
+    type: 'object',
+    properties: {
+        points: { type: 'array', minItems: MIN_POLYGON_POINTS, items: { type: 'array', minItems: 2, items: number } },
+        x: number,
+        y: number,
+        cx: number,
+        cy: number,
+        width: positive,
+        height: positive,
+        radius: positive,
+    },
+}
+const shape = {
+    type: 'object',
+    required: ['type'],
+    anyOf: [{ required: ['pixels'] }, { required: ['percent'] }],
+    properties: {
+        type: { enum: SHAPES.filter((s) => s.value !== 'rect').map((s) => s.value) },
+        angle: number,
+        pixels: shapeCoordinates,
+        percent: shapeCoordinates,
+    },
+}
+
+const tableColumns = { type: 'array', minItems: 1, items: { type: 'object', properties: { name: string } } }
+
+export const TEMPLATE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'OCR template',
+    type: 'object',
+    required: ['schemaVersion', 'fields'],
+    properties: {
+        schemaVersion: { type: 'integer', enum: [TEMPLATE_VERSION] },
+        image: { type: 'object', required: ['width', 'height'], properties: { name: string, width: positive, height: positive } },
+        pages: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['width', 'height'],
+                properties: { index: pageIndex, width: positive, height: positive, transform: { type: 'object' } },
+            },
+        },
+        fields: {
+            type: 'array',
+            items: region({
+                type: { enum: FIELD_TYPES.map((t) => t.value) },
+                required: { type: 'boolean' },
+                rules: {
+                    type: 'object',
+                    properties: {
+                        pattern: string,
+                        values: { type: 'array', items: { type: ['string', 'number'] } },
+                        dateFormat: string,
+                        length: { type: 'integer', minimum: 1 },
+                    },
+                },
+                shape,
+            }),
+        },
+        anchors: { type: 'array', items: region() },
+        tables: {
+            type: 'array',
+            items: region({ columns: tableColumns, rows: { type: 'array' } }, ['columns']),
+        },
+        registration: { type: 'object' },
+        keyStyle: { enum: KEY_STYLES.map((s) => s.value) },
+        // Keys of fields and tables nested at their dots, with box ids as the values
+        output: { type: 'object' },
+    },
+}
+
+const TYPE_CHECKS = {
+    object: isObject,
+    array: Array.isArray,
+    string: (v) => typeof v === 'string',
+    number: (v) => typeof v === 'number' && Number.isFinite(v),
+    integer: (v) => Number.isInteger(v),
+    boolean: (v) => typeof v === 'boolean',
+}
+
+// Problems with a value against a schema, as { path, message } with JSON Pointer paths ('' is the whole value).
+// Only the keywords TEMPLATE_SCHEMA uses are understood: type, enum, required, properties, items, anyOf (of required
+// lists), minItems, minLength, minimum and exclusiveMinimum.
+export const checkSchema = (value, schema = TEMPLATE_SCHEMA, path = '') => {
+    const types = [].concat(schema.type || [])
+    if (types.length && !types.some((t) => TYPE_CHECKS[t](value))) return [{ path, message: `must be ${types.join(' or ')}` }]
+
+    const problems = []
+    const problem = (message) => problems.push({ path, message })
+    if (schema.enum && !schema.enum.includes(value)) problem(`must be one of ${schema.enum.join(', ')}`)
+    if (schema.minimum !== undefined && value < schema.minimum) problem(`must be at least ${schema.minimum}`)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) problem(`must be greater than ${schema.exclusiveMinimum}`)
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+        problem(schema.minLength === 1 ? 'must not be empty' : `needs ${schema.minLength} characters`)
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) problem(`needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`)
+
+    if (isObject(value)) {
+        const missing = (schema.required || []).filter((k) => value[k] === undefined)
+        if (missing.length) problem(`is missing ${missing.map((k) => `"${k}"`).join(', ')}`)
+        if (schema.anyOf && !schema.anyOf.some((s) => s.required.every((k) => value[k] !== undefined))) {
+            problem(`needs ${schema.anyOf.map((s) => s.required.map((k) => `"${k}"`).join(' and ')).join(' or ')}`)
+        }
+        Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+            if (value[key] !== undefined) problems.push(...checkSchema(value[key], sub, `${path}/${key}`))
+        })
+    }
+    if (Array.isArray(value) && schema.items) value.forEach((item, i) => problems.push(...checkSchema(item, schema.items, `${path}/${i}`)))
+    return problems
+}
+
+// --- Template checks ---
+
+const KINDS = [
+    { key: 'fields', label: 'Field' },
+    { key: 'anchors', label: 'Anchor' },
+    { key: 'tables', label: 'Table' },
+]
+
+// Whether a rectangle lies within [0, width] x [0, height]
+const inside = (r, width, height) => r.x >= 0 && r.y >= 0 && r.x + r.width <= width && r.y + r.height <= height
+
+// Check a parsed template object without a document to apply it to: the schema, then boxes that do not fit their
+// page, duplicate ids, table layouts, field shapes and field rules (errors), and duplicate keys (or names, for templates without
+// keys), repeated orders and questionable rules (warnings).
+// Problems are { path, label, message }; `label` names the field, anchor or table as the editor does.
+export const checkTemplate = (data) => {
+    const errors = checkSchema(data).map((p) => ({ ...p, label: '' }))
+    const warnings = []
+    if (errors.length) return { errors, warnings }
+
+    const pages = templatePages(data)
+    const ids = new Map() // id -> path of its first use
+    const orders = new Map() // order -> path of its first use
+    const names = new Map() // 'key:<key>', or 'name:<name>' for entries without a key -> { property, value, uses: [{ path, label }] }
+    KINDS.forEach(({ key, label: kindLabel }) => {
+        ;(data[key] || []).forEach((entry, i) => {
+            const path = `/${key}/${i}`
+            const label = `${kindLabel} ${i + 1}${entry.name ? ` "${entry.name}"` : ''}`
+            const error = (message, at = path) => errors.push({ path: at, label, message })
+            const warning = (message, at = path) => warnings.push({ path: at, label, message })
+
+            if (entry.id !== undefined) {
+                if (ids.has(entry.id)) error(`duplicate id "${entry.id}" (first used at ${ids.get(entry.id)})`, `${path}/id`)
+                else ids.set(entry.id, path)
+            }
+            if (entry.order !== undefined) {
+                if (orders.has(entry.order)) warning(`order ${entry.order} is also used at ${orders.get(entry.order)}`, `${path}/order`)
+                else orders.set(entry.order, path)
+            }
+            const [property, value] = entry.key !== undefined ? ['key', entry.key] : ['name', entry.name]
+            if (value) names.set(`${property}:${value}`, { property, value, uses: [...(names.get(`${property}:${value}`)?.uses || []), { path, label }] })
+
+            const page = entry.page || 0
+            const size = pages[page]
+            if (pages.length && !size) {
+                error(`page ${page + 1} does not exist (template has ${pages.length} page${pages.length === 1 ? '' : 's'})`, `${path}/page`)
+            } else if (size && entry.pixels && !inside(entry.pixels, size.width, size.height)) {
+                error(`pixels extend outside the ${size.width}x${size.height} page`, `${path}/pixels`)
+            }
+            if (entry.percent && !inside(entry.percent, 1, 1)) error('percent extends outside the page (0 to 1)', `${path}/percent`)
+
+            if (key === 'tables') {
+                parseTable(entry, size?.height || 1).errors.forEach((message) => error(message))
+            } else if (key === 'fields') {
+                if (entry.shape !== undefined) validateShape(entry.shape).forEach((message) => error(message, `${path}/shape`))
+                const { props, errors: ruleErrors } = parseFieldRules(entry)
+                ruleErrors.forEach((message) => error(message))
+                if (!ruleErrors.length) validateFieldRules(props).forEach((message) => warning(message))
+            }
+        })
+    })
+
+    names.forEach(({ property, value, uses }) => {
+        if (uses.length < 2) return
+        uses.forEach(({ path, label }) => warnings.push({ path: `${path}/${property}`, label, message: `${property} "${value}" is used ${uses.length} times` }))
+    })
+    return { errors, warnings }
+}
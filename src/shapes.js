@@ -0,0 +1,266 @@
+// Field shapes other than the plain rectangle, for slanted fields, irregular areas and single marks. A field's
+// { x, y, w, h } stays its frame, so moving, resizing, aligning and snapping work on every shape alike:
+//   (no shape)      the rectangle itself
+//   'rotated-rect'  the frame turned by `angle` degrees clockwise about its center
+//   'polygon'       `points`, vertices as [u, v] fractions of the frame (the frame is their bounding box)
+//   'point'         a mark at the center of the frame with half its width as radius
+// Exports add a `shape` in pixels and percent of the page next to the bounding box (see serializeShape), so
+// consumers that only read rectangles still get one.
+
+export const SHAPES = [
+    { value: 'rect', label: 'Rectangle' },
+    { value: 'rotated-rect', label: 'Rotated' },
+    { value: 'polygon', label: 'Polygon' },
+    { value: 'point', label: 'Point' },
+]
+
+// Radius of a point placed with a click rather than dragged out
+export const DEFAULT_POINT_RADIUS = 10
+
+export const MIN_POLYGON_POINTS = 3
+
+export const shapeOf = (b) => b.shape || 'rect'
+
+const round6 = (v) => +v.toFixed(6)
+const radians = (deg) => (deg * Math.PI) / 180
+
+// Turn pt about center by `deg` degrees clockwise (y points down)
+export const rotatePoint = (pt, center, deg) => {
+    const cos = Math.cos(radians(deg))
+    const sin = Math.sin(radians(deg))
+    const dx = pt.x - center.x
+    const dy = pt.y - center.y
+    return { x: center.x + cos * dx - sin * dy, y: center.y + sin * dx + cos * dy }
+}
+
+export const frameCenter = (b) => ({ x: b.x + b.w / 2, y: b.y + b.h / 2 })
+
+export const pointRadius = (b) => Math.min(b.w, b.h) / 2
+
+// Outline of a box in page pixels, clockwise from the top-left; a point is outlined by its frame
+export const shapePoints = (b) => {
+    if (b.shape === 'polygon') return b.points.map(([u, v]) => ({ x: b.x + u * b.w, y: b.y + v * b.h }))
+    const corners = [
+        { x: b.x, y: b.y },
+        { x: b.x + b.w, y: b.y },
+        { x: b.x + b.w, y: b.y + b.h },
+        { x: b.x, y: b.y + b.h },
+    ]
+    return b.shape === 'rotated-rect' && b.angle ? corners.map((p) => rotatePoint(p, frameCenter(b), b.angle)) : corners
+}
+
+// Smallest rectangle around a list of points
+const pointBounds = (points) => {
+    const xs = points.map((p) => p.x)
+    const ys = points.map((p) => p.y)
+    const x = Math.min(...xs)
+    const y = Math.min(...ys)
+    return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y }
+}
+
+// Rectangle the box covers on the page: its frame, except for rotated rectangles whose corners stick out
+export const shapeBounds = (b) => (b.shape === 'rotated-rect' && b.angle ? pointBounds(shapePoints(b)) : { x: b.x, y: b.y, w: b.w, h: b.h })
+
+const distanceToSegment = (pt, a, b) => {
+    const dx = b.x - a.x
+    const dy = b.y - a.y
+    const t = dx || dy ? Math.max(0, Math.min(1, ((pt.x - a.x) * dx + (pt.y - a.y) * dy) / (dx * dx + dy * dy))) : 0
+    return Math.hypot(pt.x - a.x - t * dx, pt.y - a.y - t * dy)
+}
+
+// Even-odd rule, so a polygon that crosses itself is hollow where it overlaps
+const insidePolygon = (pt, points) => {
+    let inside = false
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i]
+        const b = points[j]
+        if (a.y > pt.y !== b.y > pt.y && pt.x < ((b.x - a.x) * (pt.y - a.y)) / (b.y - a.y) + a.x) inside = !inside
+    }
+    return inside
+}
+
+// Whether pt lies on the box or within `tolerance` of it
+export const containsPoint = (b, pt, tolerance = 0) => {
+    if (b.shape === 'point') return Math.hypot(pt.x - b.x - b.w / 2, pt.y - b.y - b.h / 2) <= pointRadius(b) + tolerance
+    if (b.shape === 'polygon' || (b.shape === 'rotated-rect' && b.angle)) {
+        const points = shapePoints(b)
+        return insidePolygon(pt, points) || points.some((p, i) => distanceToSegment(pt, p, points[(i + 1) % points.length]) <= tolerance)
+    }
+    return pt.x >= b.x - tolerance && pt.x <= b.x + b.w + tolerance && pt.y >= b.y - tolerance && pt.y <= b.y + b.h + tolerance
+}
+
+// Polygon field props from vertices in page pixels: the frame around them and the vertices relative to it
+export const polygonFromPoints = (points) => {
+    const frame = pointBounds(points)
+    const x = Math.round(frame.x)
+    const y = Math.round(frame.y)
+    const w = Math.max(1, Math.round(frame.x + frame.w) - x)
+    const h = Math.max(1, Math.round(frame.y + frame.h) - y)
+    return { x, y, w, h, shape: 'polygon', points: points.map((p) => [round6((p.x - x) / w), round6((p.y - y) / h)]) }
+}
+
+// Point field props for a center and radius in page pixels
+export const pointFromCenter = (center, radius) => {
+    const r = Math.max(1, Math.round(radius))
+    return { x: Math.round(center.x - r), y: Math.round(center.y - r), w: 2 * r, h: 2 * r, shape: 'point' }
+}
+
+// Angle in degrees within (-180, 180]
+export const normalizeAngle = (deg) => {
+    const a = round6((((deg % 360) + 540) % 360) - 180)
+    return a === -180 ? 180 : a
+}
+
+// The box turned by `deg` degrees clockwise about its center. Rotated rectangles change their angle and polygons
+// are turned vertex by vertex, which gives them a new frame; points and plain rectangles do not turn, except that
+// a quarter turn swaps the sides of a rectangle.
+export const turnShape = (b, deg) => {
+    const quarter = Math.round(deg / 90)
+    if (!deg || b.shape === 'point') return b
+    if (b.shape === 'polygon') return { ...b, ...polygonFromPoints(shapePoints(b).map((p) => rotatePoint(p, frameCenter(b), deg))) }
+    const swapped = quarter % 2 ? { ...b, x: Math.round(b.x + (b.w - b.h) / 2), y: Math.round(b.y + (b.h - b.w) / 2), w: b.h, h: b.w } : b
+    if (b.shape !== 'rotated-rect') return swapped
+    return { ...swapped, angle: normalizeAngle((b.angle || 0) + deg - quarter * 90) }
+}
+
+// The box as a plain rectangle over everything it covers
+export const withoutShape = (b) => {
+    const bounds = shapeBounds(b)
+    const x = Math.round(bounds.x)
+    const y = Math.round(bounds.y)
+    return { ...b, shape: undefined, points: undefined, angle: undefined, x, y, w: Math.round(bounds.x + bounds.w) - x, h: Math.round(bounds.y + bounds.h) - y }
+}
+
+// The box with another shape ('rect' for none) over about the same area: a polygon through its outline, a rotated
+// rectangle or a point over what it covers
+export const changeShape = (b, shape) => {
+    if (shape === shapeOf(b)) return b
+    const plain = withoutShape(b)
+    if (shape === 'rotated-rect') return { ...plain, shape, angle: 0 }
+    if (shape === 'polygon') return { ...plain, ...polygonFromPoints(shapePoints(b)) }
+    if (shape === 'point') return { ...plain, ...pointFromCenter(frameCenter(plain), Math.min(plain.w, plain.h) / 2) }
+    return plain
+}
+
+// Resize a point by dragging its edge to pt: the center stays and the radius follows, staying inside the page
+export const resizePoint = (origin, pt, width, height) => {
+    const center = frameCenter(origin)
+    const room = Math.min(center.x, center.y, width - center.x, height - center.y)
+    return { ...origin, ...pointFromCenter(center, Math.max(1, Math.min(room, Math.hypot(pt.x - center.x, pt.y - center.y)))) }
+}
+
+// A shaped box read from a template, fitted to a page of the given size without changing its outline more than
+// needed: polygon vertices off the page are moved onto its edge and the frame recomputed, a point off the page is
+// moved onto its edge, and a rotated rectangle is kept as it is, its frame snapped to whole pixels. Null when the
+// box lies entirely outside the page.
+export const fitShape = (b, { width, height }) => {
+    const bounds = shapeBounds(b)
+    if (bounds.x >= width || bounds.y >= height || bounds.x + bounds.w <= 0 || bounds.y + bounds.h <= 0) return null
+    const clamp = (p) => ({ x: Math.max(0, Math.min(width, p.x)), y: Math.max(0, Math.min(height, p.y)) })
+    if (b.shape === 'polygon') return { ...b, ...polygonFromPoints(shapePoints(b).map(clamp)) }
+    if (b.shape === 'point') return { ...b, ...pointFromCenter(clamp(frameCenter(b)), pointRadius(b)) }
+    const x = Math.round(b.x)
+    const y = Math.round(b.y)
+    return { ...b, x, y, w: Math.max(1, Math.round(b.x + b.w) - x), h: Math.max(1, Math.round(b.y + b.h) - y) }
+}
+
+// --- Export ---
+
+const pixelPoints = (points) => points.map((p) => [round6(p.x), round6(p.y)])
+const percentPoints = (points, { width, height }) => points.map((p) => [round6(p.x / width), round6(p.y / height)])
+
+// Export form of a shaped box on a page of the given size, or null for plain rectangles. Percent values are fractions
+// of the page width (x, width, radius) and height (y, height):
+//   polygon:       { type, pixels: { points }, percent: { points } }, points as [x, y]
+//   rotated-rect:  { type, angle, pixels: { cx, cy, width, height, points }, percent: { … } }, points are the corners
+//   point:         { type, pixels: { x, y, radius }, percent: { x, y, radius } }
+export const serializeShape = (b, page) => {
+    if (b.shape === 'polygon') {
+        const points = shapePoints(b)
+        return { type: 'polygon', pixels: { points: pixelPoints(points) }, percent: { points: percentPoints(points, page) } }
+    }
+    if (b.shape === 'rotated-rect') {
+        const { x: cx, y: cy } = frameCenter(b)
+        const points = shapePoints(b)
+        return {
+            type: 'rotated-rect',
+            angle: b.angle || 0,
+            pixels: { cx, cy, width: b.w, height: b.h, points: pixelPoints(points) },
+            percent: {
+                cx: round6(cx / page.width),
+                cy: round6(cy / page.height),
+                width: round6(b.w / page.width),
+                height: round6(b.h / page.height),
+                points: percentPoints(points, page),
+            },
+        }
+    }
+    if (b.shape === 'point') {
+        const { x, y } = frameCenter(b)
+        const radius = pointRadius(b)
+        return {
+            type: 'point',
+            pixels: { x, y, radius },
+            percent: { x: round6(x / page.width), y: round6(y / page.height), radius: round6(radius / page.width) },
+        }
+    }
+    return null
+}
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v)
+
+// Problems with the coordinates of one side (pixels or percent) of an exported shape
+const coordinateErrors = (type, c, label) => {
+    if (!isObject(c)) return [`${label} must be an object`]
+    if (type === 'polygon') {
+        if (!Array.isArray(c.points) || !c.points.every((p) => Array.isArray(p) && p.length === 2 && p.every(isNumber))) {
+            return [`${label}.points must be a list of [x, y] numbers`]
+        }
+        return c.points.length < MIN_POLYGON_POINTS ? [`${label}.points needs at least ${MIN_POLYGON_POINTS} points`] : []
+    }
+    const keys = type === 'point' ? ['x', 'y', 'radius'] : ['cx', 'cy', 'width', 'height']
+    const bad = keys.filter((k) => !isNumber(c[k]))
+    if (bad.length) return [`${label}.${bad.join(`, ${label}.`)} must be a number`]
+    const sizes = type === 'point' ? ['radius'] : ['width', 'height']
+    return sizes.some((k) => c[k] <= 0) ? [`${label}.${sizes.join(` and ${label}.`)} must be positive`] : []
+}
+
+// Problems with an exported shape, as messages
+export const validateShape = (shape) => {
+    if (!isObject(shape)) return ['shape must be an object']
+    if (!SHAPES.some((s) => s.value !== 'rect' && s.value === shape.type)) {
+        return [
+            `shape.type must be one of ${SHAPES.filter((s) => s.value !== 'rect')
+                .map((s) => s.value)
+                .join(', ')}`,
+        ]
+    }
+    const errors = []
+    if (shape.type === 'rotated-rect' && !isNumber(shape.angle)) errors.push('shape.angle must be a number')
+    if (shape.pixels === undefined && shape.percent === undefined) errors.push('shape needs "pixels" or "percent" coordinates')
+    ;['pixels', 'percent'].forEach((side) => shape[side] !== undefined && errors.push(...coordinateErrors(shape.type, shape[side], `shape.${side}`)))
+    return errors
+}
+
+// Read an exported shape for a page of the given size. Pixels are used when the template was made on a page of the same
+// size (`sameSize`), percent otherwise, and pixels rescaled from `sourceSize` when there is no percent.
+// Returns { rect: { x, y, width, height } (the frame, in page pixels), props, errors }; rect is null on errors.
+export const parseShape = (shape, { width, height }, sourceSize, sameSize) => {
+    const errors = validateShape(shape)
+    if (errors.length) return { rect: null, props: {}, errors }
+
+    const usePixels = shape.pixels !== undefined && (sameSize || shape.percent === undefined)
+    const c = usePixels ? shape.pixels : shape.percent
+    const kx = usePixels ? (sameSize ? 1 : width / sourceSize.width) : width
+    const ky = usePixels ? (sameSize ? 1 : height / sourceSize.height) : height
+    const frame = ({ x, y, w, h, ...props }) => ({ rect: { x, y, width: w, height: h }, props, errors: [] })
+
+    if (shape.type === 'polygon') return frame(polygonFromPoints(c.points.map(([px, py]) => ({ x: px * kx, y: py * ky }))))
+    if (shape.type === 'point') {
+        return frame(pointFromCenter({ x: c.x * kx, y: c.y * ky }, c.radius * kx))
+    }
+    const w = c.width * kx
+    const h = c.height * ky
+    return frame({ x: c.cx * kx - w / 2, y: c.cy * ky - h / 2, w, h, shape: 'rotated-rect', angle: normalizeAngle(shape.angle) })
+}
@@ -0,0 +1,65 @@
+// Snapping for drawing, moving and resizing boxes. Everything here works in natural image pixels,
+// so snapped coordinates are exact integers in the exported template.
+
+// Snap distance in CSS pixels (converted to natural pixels by the caller)
+export const SNAP_DISTANCE = 6
+
+// Edges and centers of the given boxes, plus the page edges and center, as candidate lines per axis
+export const snapTargets = (boxes, width, height) => {
+    const x = [0, width / 2, width]
+    const y = [0, height / 2, height]
+    boxes.forEach((b) => {
+        x.push(b.x, b.x + b.w / 2, b.x + b.w)
+        y.push(b.y, b.y + b.h / 2, b.y + b.h)
+    })
+    return { x: [...new Set(x.map(Math.round))], y: [...new Set(y.map(Math.round))] }
+}
+
+// Smallest shift that brings one of `values` onto a target within `tolerance`: { delta, at } or null
+const nearest = (values, targets, tolerance) => {
+    let best = null
+    values.forEach((v) => {
+        targets.forEach((t) => {
+            const delta = t - v
+            if (Math.abs(delta) <= tolerance && (!best || Math.abs(delta) < Math.abs(best.delta))) best = { delta, at: t }
+        })
+    })
+    return best
+}
+
+const toGrid = (v, grid) => (grid > 0 ? Math.round(v / grid) * grid : v)
+
+// Shift for one axis: a guide line match wins over the grid
+const snapAxis = (values, targets, { tolerance, grid }) => {
+    const hit = nearest(values, targets, tolerance)
+    if (hit) return { delta: hit.delta, guide: hit.at }
+    return { delta: toGrid(values[0], grid) - values[0], guide: null }
+}
+
+// Snap a rectangle being moved by its left/center/right and top/middle/bottom.
+// Returns { x, y, guides }, where guides are { axis: 'x' | 'y', at } lines to show.
+export const snapRect = (rect, targets, options) => {
+    const sx = snapAxis([rect.x, rect.x + rect.w / 2, rect.x + rect.w], targets.x, options)
+    const sy = snapAxis([rect.y, rect.y + rect.h / 2, rect.y + rect.h], targets.y, options)
+    const guides = []
+    if (sx.guide !== null) guides.push({ axis: 'x', at: sx.guide })
+    if (sy.guide !== null) guides.push({ axis: 'y', at: sy.guide })
+    return { x: Math.round(rect.x + sx.delta), y: Math.round(rect.y + sy.delta), guides }
+}
+
+// Snap a point (a corner being drawn or a handle being dragged). `axes` limits snapping to 'x', 'y' or 'xy'.
+export const snapPoint = (pt, targets, { axes = 'xy', ...options }) => {
+    const guides = []
+    let { x, y } = pt
+    if (axes.includes('x')) {
+        const s = snapAxis([x], targets.x, options)
+        x = Math.round(x + s.delta)
+        if (s.guide !== null) guides.push({ axis: 'x', at: s.guide })
+    }
+    if (axes.includes('y')) {
+        const s = snapAxis([y], targets.y, options)
+        y = Math.round(y + s.delta)
+        if (s.guide !== null) guides.push({ axis: 'y', at: s.guide })
+    }
+    return { x, y, guides }
+}
@@ -0,0 +1,63 @@
+// Uniform grid over box rectangles, for culling boxes outside the view and for hit testing on dense pages.
+// Results keep the order of the input array: drawing order, so the last hit is the one on top.
+// Boxes are indexed by the rectangle they cover (see shapeBounds) and hit-tested by their shape.
+import { containsPoint, shapeBounds } from './shapes.js'
+
+// Cell keys pack the column and row into one number
+const ROW_STRIDE = 1 << 16
+
+// Cells about twice the size of an average box keep both the cells per box and the boxes per cell small
+const defaultCellSize = (boxes) => {
+    if (!boxes.length) return 256
+    const total = boxes.reduce((sum, b) => sum + Math.max(b.w, b.h), 0)
+    return Math.max(32, Math.round((2 * total) / boxes.length))
+}
+
+export const createSpatialIndex = (boxes, cellSize = defaultCellSize(boxes)) => {
+    const cells = new Map() // key -> indices into boxes
+    const cellOf = (v) => Math.max(0, Math.floor(v / cellSize))
+    const bounds = boxes.map(shapeBounds)
+
+    bounds.forEach((b, i) => {
+        for (let cy = cellOf(b.y); cy <= cellOf(b.y + b.h); cy++) {
+            for (let cx = cellOf(b.x); cx <= cellOf(b.x + b.w); cx++) {
+                const key = cy * ROW_STRIDE + cx
+                const cell = cells.get(key)
+                if (cell) cell.push(i)
+                else cells.set(key, [i])
+            }
+        }
+    })
+
+    // Indices of boxes in cells touching the rectangle, ascending and without duplicates
+    const candidates = (x0, y0, x1, y1) => {
+        const found = new Set()
+        for (let cy = cellOf(y0); cy <= cellOf(y1); cy++) {
+            for (let cx = cellOf(x0); cx <= cellOf(x1); cx++) {
+                const cell = cells.get(cy * ROW_STRIDE + cx)
+                if (cell) cell.forEach((i) => found.add(i))
+            }
+        }
+        return [...found].sort((a, b) => a - b)
+    }
+
+    return {
+        // Boxes overlapping { x, y, w, h }
+        query: (rect) =>
+            candidates(rect.x, rect.y, rect.x + rect.w, rect.y + rect.h)
+                .filter((i) => {
+                    const b = bounds[i]
+                    return b.x <= rect.x + rect.w && b.x + b.w >= rect.x && b.y <= rect.y + rect.h && b.y + b.h >= rect.y
+                })
+                .map((i) => boxes[i]),
+
+        // Topmost box containing the point (within `tolerance`), like hitTestBoxes in geometry.js
+        hitTest: (pt, tolerance = 0) => {
+            const ids = candidates(pt.x - tolerance, pt.y - tolerance, pt.x + tolerance, pt.y + tolerance)
+            for (let k = ids.length - 1; k >= 0; k--) {
+                if (containsPoint(boxes[ids[k]], pt, tolerance)) return boxes[ids[k]]
+            }
+            return null
+        },
+    }
+}
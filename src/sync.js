@@ -0,0 +1,159 @@
+// Shared state of a document's boxes in collaboration mode, used by the editor (collab.js) and the sync server
+// (bin/sync-server.js). Every property of every box is a last-writer-wins register stamped [counter, client] from a
+// Lamport clock; a box is removed by a stamp newer than all of its properties, and the order of the list is one more
+// register. A replica and a delta (the edits sent between replicas) have the same shape, so merging works the same
+// in any order and any number of times, and a replica that was offline catches up by sending everything it has.
+//   replica: { client, clock, boxes: { [id]: { props: { [key]: [value, stamp] }, removed: stamp | null } }, order: [ids, stamp] | null }
+//   delta:   { boxes, order }
+// Values are JSON; a property that was cleared (set to undefined) is stored as null.
+
+export const DEFAULT_SYNC_PORT = 8787
+
+// Cursor and selection colors, handed out by the server in the order people join a room
+export const PEER_COLORS = ['#e11d48', '#7c3aed', '#0284c7', '#16a34a', '#ea580c', '#db2777', '#4f46e5', '#ca8a04']
+
+// Order of two stamps; null is older than any stamp
+const compareStamps = (a, b) => {
+    if (!a || !b) return a ? 1 : b ? -1 : 0
+    return a[0] - b[0] || (a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0)
+}
+
+const isStamp = (s) => Array.isArray(s) && s.length === 2 && Number.isInteger(s[0]) && typeof s[1] === 'string'
+
+export const createReplica = (client) => ({ client, clock: 0, boxes: {}, order: null })
+
+// Everything a replica has, to send as one delta
+export const replicaDelta = (replica) => ({ boxes: replica.boxes, order: replica.order })
+
+// Whether a delta received from elsewhere has the expected shape (its values are not checked)
+export const isDelta = (delta) =>
+    !!delta &&
+    typeof delta === 'object' &&
+    (delta.order === null || delta.order === undefined || (Array.isArray(delta.order) && Array.isArray(delta.order[0]) && isStamp(delta.order[1]))) &&
+    !!delta.boxes &&
+    typeof delta.boxes === 'object' &&
+    Object.entries(delta.boxes).every(
+        ([id, entry]) =>
+            id !== '__proto__' &&
+            entry &&
+            typeof entry.props === 'object' &&
+            Object.values(entry.props || {}).every((p) => Array.isArray(p) && p.length === 2 && isStamp(p[1])) &&
+            (entry.removed === null || entry.removed === undefined || isStamp(entry.removed)),
+    )
+
+const newestProp = (entry) => Object.values(entry.props).reduce((newest, [, stamp]) => (compareStamps(stamp, newest) > 0 ? stamp : newest), null)
+const oldestProp = (entry) => Object.values(entry.props).reduce((oldest, [, stamp]) => (!oldest || compareStamps(stamp, oldest) < 0 ? stamp : oldest), null)
+
+// A box is there when it has been edited since it was last removed
+const isLive = (entry) => compareStamps(newestProp(entry), entry.removed) > 0
+
+const toBox = (id, entry) => {
+    const box = { id }
+    Object.entries(entry.props).forEach(([key, [value]]) => {
+        if (value !== null) box[key] = value
+    })
+    return box
+}
+
+// Ids of the boxes of a replica in list order: those in the order register first, then any added since it was
+// written (by someone else at the same time), oldest first
+const listOrder = (replica) => {
+    const live = Object.entries(replica.boxes).filter(([, entry]) => isLive(entry))
+    const ordered = (replica.order?.[0] || []).filter((id) => Object.hasOwn(replica.boxes, id) && isLive(replica.boxes[id]))
+    const listed = new Set(ordered)
+    const rest = live
+        .filter(([id]) => !listed.has(id))
+        .sort(([, a], [, b]) => compareStamps(oldestProp(a), oldestProp(b)))
+        .map(([id]) => id)
+    return [...ordered, ...rest]
+}
+
+// Merge `delta` into `replica` (changing it) and advance its clock past every stamp seen. Returns what changed for
+// the boxes of the replica, for applyChanges: { added: Map id -> box, set: Map id -> props (undefined for cleared
+// ones), removed: Set of ids, order: all ids in list order when boxes came, went or moved, else null }, or null when
+// the delta brought nothing new.
+export const mergeDelta = (replica, delta) => {
+    const added = new Map()
+    const set = new Map()
+    const removed = new Set()
+    let reordered = false
+    const seen = (stamp) => {
+        if (stamp && stamp[0] > replica.clock) replica.clock = stamp[0]
+    }
+
+    Object.entries(delta.boxes || {}).forEach(([id, incoming]) => {
+        const entry = Object.hasOwn(replica.boxes, id) ? replica.boxes[id] : { props: {}, removed: null }
+        const wasLive = isLive(entry)
+        const props = {}
+        Object.entries(incoming.props || {}).forEach(([key, [value, stamp]]) => {
+            seen(stamp)
+            if (compareStamps(stamp, entry.props[key]?.[1]) <= 0) return
+            entry.props = { ...entry.props, [key]: [value, stamp] }
+            props[key] = value === null ? undefined : value
+        })
+        seen(incoming.removed)
+        if (compareStamps(incoming.removed, entry.removed) > 0) entry.removed = incoming.removed
+        replica.boxes[id] = entry
+
+        const live = isLive(entry)
+        if (wasLive && !live) removed.add(id)
+        else if (!wasLive && live) added.set(id, toBox(id, entry))
+        else if (live && Object.keys(props).length) set.set(id, props)
+    })
+
+    if (delta.order) {
+        seen(delta.order[1])
+        if (compareStamps(delta.order[1], replica.order?.[1]) > 0) {
+            replica.order = delta.order
+            reordered = true
+        }
+    }
+    const order = added.size || removed.size || reordered ? listOrder(replica) : null
+    return added.size || set.size || removed.size || order ? { added, set, removed, order } : null
+}
+
+// Record a local edit from `before` to `after` (lists of boxes) in the replica under one new stamp.
+// Returns the delta to send to the others, or null when nothing changed.
+export const localDelta = (replica, before, after) => {
+    const stamp = [replica.clock + 1, replica.client]
+    const boxes = {}
+    const beforeById = new Map(before.map((b) => [b.id, b]))
+    const afterIds = new Set(after.map((b) => b.id))
+    after.forEach((b) => {
+        const prev = beforeById.get(b.id) || {}
+        const props = {}
+        new Set([...Object.keys(prev), ...Object.keys(b)]).forEach((key) => {
+            if (key === 'id' || JSON.stringify(prev[key]) === JSON.stringify(b[key])) return
+            props[key] = [b[key] === undefined ? null : b[key], stamp]
+        })
+        if (Object.keys(props).length) boxes[b.id] = { props, removed: null }
+    })
+    before.forEach((b) => {
+        if (!afterIds.has(b.id)) boxes[b.id] = { props: {}, removed: stamp }
+    })
+    const reordered = before.length !== after.length || before.some((b, i) => b.id !== after[i].id)
+    const delta = { boxes, order: reordered ? [after.map((b) => b.id), stamp] : null }
+    if (!Object.keys(boxes).length && !delta.order) return null
+    mergeDelta(replica, delta)
+    return delta
+}
+
+// Apply changes returned by mergeDelta to a list of boxes. Works on any earlier or later version of the list too,
+// which is how collaborators' edits reach the undo history: boxes the list does not have are only added when
+// they are new, changed properties overwrite just those properties, and boxes the replica does not know go last.
+export const applyChanges = (boxes, { added, set, removed, order }) => {
+    let next = boxes.filter((b) => !removed.has(b.id)).map((b) => (set.has(b.id) ? { ...b, ...set.get(b.id) } : b))
+    const present = new Set(next.map((b) => b.id))
+    added.forEach((box, id) => {
+        if (!present.has(id)) next.push(box)
+    })
+    if (order) {
+        const rank = new Map(order.map((id, i) => [id, i]))
+        const last = order.length
+        next = next
+            .map((b, i) => [b, rank.get(b.id) ?? last + i])
+            .sort((p, q) => p[1] - q[1])
+            .map(([b]) => b)
+    }
+    return next
+}
@@ -0,0 +1,183 @@
+// Table regions: a box with kind: 'table' whose area is split into a grid of cells.
+//   columns:  [{ name }] left to right
+//   colStops: ascending fractions of the table width where the column dividers sit (columns.length - 1 of them)
+//   rowStops: ascending fractions of the table height where the row dividers sit
+//   rowPitch: row height in natural pixels for repeating rows; replaces rowStops when set
+// Fractions keep the dividers in place relative to the table when it is moved or resized.
+import { MIN_BOX_SIZE } from './geometry.js'
+
+const round6 = (v) => +v.toFixed(6)
+
+export const isTable = (b) => b.kind === 'table'
+
+// Properties of a freshly drawn table: one unnamed column and one row
+export const newTableProps = () => ({ kind: 'table', columns: [{ name: '' }], colStops: [], rowStops: [] })
+
+export const columnLabel = (column, index) => column.name || `Column ${index + 1}`
+
+const colStops = (b) => b.colStops || []
+const rowStops = (b) => b.rowStops || []
+const hasPitch = (b) => b.rowPitch > 0
+
+// Split `start..start+size` at the given fractions into [{ start, size }] in whole pixels
+const spans = (start, size, stops) => {
+    const edges = [0, ...stops, 1].map((f) => start + Math.round(f * size))
+    return edges.slice(0, -1).map((s, i) => ({ start: s, size: edges[i + 1] - s }))
+}
+
+// Columns as { name, x, w } in natural pixels
+export const tableColumns = (b) => spans(b.x, b.w, colStops(b)).map((s, i) => ({ name: b.columns?.[i]?.name || '', x: s.start, w: s.size }))
+
+// Rows as { y, h } in natural pixels. With a pitch, only whole rows that fit are used (at least one).
+export const tableRows = (b) => {
+    if (hasPitch(b)) {
+        const count = Math.max(1, Math.floor(b.h / b.rowPitch))
+        return Array.from({ length: count }, (_, i) => ({ y: Math.round(b.y + i * b.rowPitch), h: Math.round(Math.min(b.rowPitch, b.h)) }))
+    }
+    return spans(b.y, b.h, rowStops(b)).map((s) => ({ y: s.start, h: s.size }))
+}
+
+// Every cell as { row, column, columnName, x, y, w, h }, row by row
+export const tableCells = (b) => {
+    const columns = tableColumns(b)
+    return tableRows(b).flatMap((r, row) => columns.map((c, column) => ({ row, column, columnName: c.name, x: c.x, y: r.y, w: c.w, h: r.h })))
+}
+
+// Divider under a point: { axis: 'col' | 'row', index } or null. Row dividers are fixed while a pitch is set.
+export const hitTestDivider = (b, pt, tol) => {
+    if (pt.x < b.x - tol || pt.x > b.x + b.w + tol || pt.y < b.y - tol || pt.y > b.y + b.h + tol) return null
+    const col = colStops(b).findIndex((f) => Math.abs(b.x + f * b.w - pt.x) <= tol)
+    if (col !== -1) return { axis: 'col', index: col }
+    const row = hasPitch(b) ? -1 : rowStops(b).findIndex((f) => Math.abs(b.y + f * b.h - pt.y) <= tol)
+    return row !== -1 ? { axis: 'row', index: row } : null
+}
+
+const stopKey = (axis) => (axis === 'col' ? 'colStops' : 'rowStops')
+
+// Move one divider to a point, keeping at least MIN_BOX_SIZE pixels to its neighbours
+export const moveDivider = (b, { axis, index }, pt) => {
+    const stops = [...(axis === 'col' ? colStops(b) : rowStops(b))]
+    const size = axis === 'col' ? b.w : b.h
+    const gap = MIN_BOX_SIZE / size
+    const lo = (index > 0 ? stops[index - 1] : 0) + gap
+    const hi = (index < stops.length - 1 ? stops[index + 1] : 1) - gap
+    if (lo > hi) return b
+    const f = axis === 'col' ? (pt.x - b.x) / b.w : (pt.y - b.y) / b.h
+    stops[index] = round6(Math.max(lo, Math.min(hi, f)))
+    return { ...b, [stopKey(axis)]: stops }
+}
+
+// Add a divider at a point. A new column divider splits the column under it; the right part is a new unnamed column.
+// Returns the box unchanged when the point is too close to an existing divider or edge.
+export const addDivider = (b, axis, pt) => {
+    const stops = axis === 'col' ? colStops(b) : rowStops(b)
+    const size = axis === 'col' ? b.w : b.h
+    const f = axis === 'col' ? (pt.x - b.x) / b.w : (pt.y - b.y) / b.h
+    const gap = MIN_BOX_SIZE / size
+    if ([0, ...stops, 1].some((s) => Math.abs(s - f) < gap)) return b
+    const index = stops.filter((s) => s < f).length
+    const next = { ...b, [stopKey(axis)]: [...stops.slice(0, index), round6(f), ...stops.slice(index)] }
+    if (axis === 'col') {
+        const columns = b.columns || [{ name: '' }]
+        next.columns = [...columns.slice(0, index + 1), { name: '' }, ...columns.slice(index + 1)]
+    }
+    return next
+}
+
+// Split the widest column (or tallest row) in half
+export const splitLargest = (b, axis) => {
+    const parts = axis === 'col' ? tableColumns(b).map((c) => ({ start: c.x, size: c.w })) : tableRows(b).map((r) => ({ start: r.y, size: r.h }))
+    const largest = parts.reduce((a, p) => (p.size > a.size ? p : a), parts[0])
+    const mid = largest.start + largest.size / 2
+    return addDivider(b, axis, axis === 'col' ? { x: mid, y: b.y } : { x: b.x, y: mid })
+}
+
+// Remove a column; its neighbour (the one on the left, or on the right for the first column) takes its space
+export const removeColumn = (b, index) => {
+    const columns = b.columns || []
+    if (columns.length < 2) return b
+    const stop = Math.max(0, index - 1)
+    return { ...b, columns: columns.filter((_, i) => i !== index), colStops: colStops(b).filter((_, i) => i !== stop) }
+}
+
+// Remove a row the same way (divider rows only)
+export const removeRow = (b, index) => {
+    const stops = rowStops(b)
+    if (!stops.length) return b
+    const stop = Math.max(0, index - 1)
+    return { ...b, rowStops: stops.filter((_, i) => i !== stop) }
+}
+
+// Problems with a table definition, as short messages for the sidebar
+export const validateTable = (b) => {
+    const problems = []
+    const names = (b.columns || []).map((c) => c.name.trim())
+    if (names.some((n) => !n)) problems.push('Every column needs a name')
+    const dupes = [...new Set(names.filter((n, i) => n && names.indexOf(n) !== i))]
+    if (dupes.length) problems.push(`Duplicate column name${dupes.length === 1 ? '' : 's'}: ${dupes.join(', ')}`)
+    if (hasPitch(b) && b.rowPitch > b.h) problems.push('Row pitch is taller than the table')
+    return problems
+}
+
+// Structured export of a table: named columns, rows and per-cell coordinates,
+// each in natural pixels and as fractions of the page
+export const serializeTable = (b, { width, height }) => {
+    const px = (r) => ({ x: r.x, y: r.y, width: r.w, height: r.h })
+    const pct = (r) => ({ x: round6(r.x / width), y: round6(r.y / height), width: round6(r.w / width), height: round6(r.h / height) })
+    return {
+        columns: tableColumns(b).map((c) => ({
+            name: c.name,
+            pixels: { x: c.x, width: c.w },
+            percent: { x: round6(c.x / width), width: round6(c.w / width) },
+        })),
+        rows: tableRows(b).map((r) => ({
+            pixels: { y: r.y, height: r.h },
+            percent: { y: round6(r.y / height), height: round6(r.h / height) },
+        })),
+        ...(hasPitch(b) ? { rowPitch: { pixels: b.rowPitch, percent: round6(b.rowPitch / height) } } : {}),
+        cells: tableCells(b).map((c) => ({ row: c.row, column: c.column, pixels: px(c), percent: pct(c) })),
+    }
+}
+
+// Table properties from an exported table definition. Dividers are taken relative to the table's own
+// rectangle, so they survive any rescaling of the page; `pageHeight` converts a percent row pitch.
+// Returns { props, errors }.
+export const parseTable = (t, pageHeight) => {
+    const errors = []
+    if (!Array.isArray(t.columns) || !t.columns.length) {
+        return { props: null, errors: ['"columns" must be a non-empty array'] }
+    }
+    // Prefer percent (independent of the source size) and fall back to pixels
+    const unit = t.percent && t.columns.every((c) => c?.percent) ? 'percent' : 'pixels'
+    const rect = t[unit]
+    if (!rect) return { props: null, errors: [`table ${unit} are missing`] }
+
+    const columns = []
+    const stops = []
+    t.columns.forEach((c, i) => {
+        const name = c?.name === undefined ? '' : c.name
+        if (typeof name !== 'string') errors.push(`columns[${i}].name must be a string`)
+        columns.push({ name: typeof name === 'string' ? name : '' })
+        const x = c?.[unit]?.x
+        if (i === 0) return
+        if (typeof x !== 'number' || !Number.isFinite(x)) errors.push(`columns[${i}].${unit}.x must be a number`)
+        else stops.push(round6((x - rect.x) / rect.width))
+    })
+    if (stops.some((s, i) => s <= 0 || s >= 1 || (i > 0 && s <= stops[i - 1]))) errors.push('columns must be in order and inside the table')
+
+    const props = { kind: 'table', columns, colStops: stops, rowStops: [] }
+    if (t.rowPitch !== undefined) {
+        const pitch = t.rowPitch?.percent !== undefined ? t.rowPitch.percent * pageHeight : t.rowPitch?.pixels
+        if (!(pitch > 0)) errors.push('rowPitch must be positive')
+        else props.rowPitch = Math.round(pitch)
+    } else if (Array.isArray(t.rows)) {
+        const rowUnit = t.rows.every((r) => r?.percent) ? 'percent' : 'pixels'
+        const rowRect = t[rowUnit]
+        if (!rowRect) return { props: null, errors: [...errors, `table ${rowUnit} are missing`] }
+        props.rowStops = t.rows.slice(1).map((r) => round6((r?.[rowUnit]?.y - rowRect.y) / rowRect.height))
+        if (props.rowStops.some((s, i) => !(s > 0 && s < 1) || (i > 0 && s <= props.rowStops[i - 1]))) errors.push('rows must be in order and inside the table')
+    } else if (t.rows !== undefined) {
+        errors.push('"rows" must be an array')
+    }
+    return { props, errors }
+}
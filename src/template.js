@@ -0,0 +1,253 @@
+// Template (de)serialization for the `{ schemaVersion, image, pages[], fields[], anchors[], tables[] }` shape written by Export JSON.
+// Boxes are { id, x, y, w, h, name, page } in natural pixels of their page (page defaults to 0),
+// plus the optional type and rule properties described in fields.js.
+// Boxes with kind: 'anchor' are registration anchors and are exported separately from fields.
+// Boxes with kind: 'table' are table regions (see table.js), exported as structured tables.
+// Fields may have a shape (see shapes.js), exported next to their bounding box, which is what `pixels` and `percent` hold.
+// Pages that were rotated or cropped in the editor carry the transform from the original page (see transform.js).
+// Fields and tables carry the machine key of their name (see keys.js); `output` nests those keys, mapped to box ids.
+// They also carry `order`, their position from 1 among fields and tables in the editor's list (see order.js), which is
+// the tab order for data entry across both arrays; imports restore the list in that order.
+import { parseFieldRules, serializeFieldRules } from './fields.js'
+import { DEFAULT_KEY_STYLE, nameToKey, nestByKey } from './keys.js'
+import { listNumbers } from './order.js'
+import { MATCH_SETTINGS, MIN_ANCHORS } from './registration.js'
+import { TEMPLATE_VERSION, toPercent, toPixels } from './schema.js'
+import { fitShape, parseShape, serializeShape, shapeBounds } from './shapes.js'
+import { isTable, parseTable, serializeTable } from './table.js'
+import { isIdentity, serializeTransform } from './transform.js'
+
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v)
+
+export const isAnchor = (b) => b.kind === 'anchor'
+
+// Plain fields: everything that is not an anchor or a table
+export const isField = (b) => !b.kind
+
+// Page, pixel and percent coordinates of a box: the whole pixels its shape covers, within the page
+const placement = (b, pages) => {
+    const page = b.page || 0
+    const { width, height } = pages[page]
+    const bounds = shapeBounds(b)
+    const x = Math.max(0, Math.floor(bounds.x))
+    const y = Math.max(0, Math.floor(bounds.y))
+    const pixels = { x, y, width: Math.min(width, Math.ceil(bounds.x + bounds.w)) - x, height: Math.min(height, Math.ceil(bounds.y + bounds.h)) - y }
+    return { page, pixels, percent: toPercent(pixels, pages[page]) }
+}
+
+// Build the exported payload: natural image pixels plus percentages (of the field's page) for portability.
+// `pages` lists the natural size of every page; single images have one page.
+// `transforms` (per page, optional) are the rotations and crops applied to the original pages of size `sources`.
+export const buildTemplate = (boxes, { name, pages, sources = [], transforms = [], keyStyle = DEFAULT_KEY_STYLE }) => {
+    const keyOf = (b) => {
+        const key = nameToKey(b.name, keyStyle)
+        return key ? { key } : {}
+    }
+    const order = listNumbers(boxes)
+    const payload = {
+        schemaVersion: TEMPLATE_VERSION,
+        image: {
+            name: name || 'uploaded-image',
+            width: pages[0].width,
+            height: pages[0].height,
+        },
+        pages: pages.map((p, index) => ({
+            index,
+            width: p.width,
+            height: p.height,
+            ...(isIdentity(transforms[index]) ? {} : { transform: serializeTransform(sources[index], transforms[index]) }),
+        })),
+        fields: boxes.filter(isField).map((b) => {
+            const { page, pixels, percent } = placement(b, pages)
+            const shape = serializeShape(b, pages[page])
+            return {
+                id: b.id,
+                name: b.name || '',
+                ...keyOf(b),
+                order: order.get(b.id),
+                page,
+                ...serializeFieldRules(b),
+                pixels,
+                percent,
+                ...(shape ? { shape } : {}),
+            }
+        }),
+    }
+
+    const tables = boxes.filter(isTable)
+    if (tables.length) {
+        payload.tables = tables.map((b) => {
+            const { page, pixels, percent } = placement(b, pages)
+            return { id: b.id, name: b.name || '', ...keyOf(b), order: order.get(b.id), page, pixels, percent, ...serializeTable(b, pages[page]) }
+        })
+    }
+
+    const anchors = boxes.filter(isAnchor)
+    if (anchors.length) {
+        payload.anchors = anchors.map((b) => ({ id: b.id, name: b.name || '', ...placement(b, pages) }))
+        // How a scan is aligned to this template: match each anchor patch, then fit an affine
+        // transform from anchor centers in template pixels to the matched centers in the scan
+        payload.registration = {
+            model: 'affine',
+            points: 'anchor-centers',
+            minAnchors: MIN_ANCHORS,
+            matching: { ...MATCH_SETTINGS },
+        }
+    }
+
+    // Where extraction writes each value: fields and tables by key, nested at the dots
+    payload.keyStyle = keyStyle
+    payload.output = nestByKey([...payload.fields, ...(payload.tables || [])].filter((e) => e.key).map((e) => [e.key, e.id]))
+    return payload
+}
+
+// Validate a { width, height } object describing a page or image size
+const readSize = (size) => (isObject(size) && size.width > 0 && size.height > 0 ? { width: size.width, height: size.height } : null)
+
+// Validate a { x, y, width, height } object. Returns it when usable, otherwise null (pushing errors).
+const readRect = (rect, label, errors) => {
+    if (rect === undefined) return null
+    if (!isObject(rect)) {
+        errors.push(`${label} must be an object`)
+        return null
+    }
+    const bad = ['x', 'y', 'width', 'height'].filter((k) => typeof rect[k] !== 'number' || !Number.isFinite(rect[k]))
+    if (bad.length) {
+        errors.push(`${label}.${bad.join(`, ${label}.`)} must be a number`)
+        return null
+    }
+    if (rect.width <= 0 || rect.height <= 0) {
+        errors.push(`${label}.width and ${label}.height must be positive`)
+        return null
+    }
+    return rect
+}
+
+// Parse a template (JSON text or object) into boxes for a document whose pages have the given sizes.
+// Pixels are used when a page's size matches the template; otherwise boxes are rescaled from percent.
+// Returns { boxes, errors }; boxes is empty whenever there are errors.
+export const parseTemplate = (input, pageSizes) => {
+    let data = input
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input)
+        } catch (err) {
+            return { boxes: [], errors: [`Invalid JSON: ${err.message}`] }
+        }
+    }
+
+    if (!isObject(data)) return { boxes: [], errors: ['Template must be a JSON object'] }
+    if (!Array.isArray(data.fields)) return { boxes: [], errors: ['Template is missing a "fields" array'] }
+    if (data.anchors !== undefined && !Array.isArray(data.anchors)) return { boxes: [], errors: ['"anchors" must be an array'] }
+    if (data.tables !== undefined && !Array.isArray(data.tables)) return { boxes: [], errors: ['"tables" must be an array'] }
+
+    const errors = []
+    let imageSize = null
+    if (data.image !== undefined) {
+        imageSize = readSize(data.image)
+        if (!imageSize) errors.push('image.width and image.height must be positive numbers')
+    }
+    let sourcePages = []
+    if (data.pages !== undefined) {
+        if (!Array.isArray(data.pages)) {
+            errors.push('"pages" must be an array')
+        } else {
+            sourcePages = data.pages.map((p, i) => {
+                const size = readSize(p)
+                if (!size) errors.push(`pages[${i}].width and pages[${i}].height must be positive numbers`)
+                return size
+            })
+        }
+    }
+
+    const seenIds = new Set()
+    const boxes = []
+    const orders = new Map() // box -> its `order`, when the entry has one
+    const parseEntry = (f, i, kind) => {
+        const label = `${{ anchor: 'Anchor', table: 'Table' }[kind] || 'Field'} ${i + 1}${isObject(f) && typeof f.name === 'string' && f.name ? ` "${f.name}"` : ''}`
+        if (!isObject(f)) {
+            errors.push(`${label}: must be an object`)
+            return
+        }
+
+        const fieldErrors = []
+        if (f.name !== undefined && typeof f.name !== 'string') fieldErrors.push('name must be a string')
+        if (f.id !== undefined && (typeof f.id !== 'string' || !f.id)) fieldErrors.push('id must be a non-empty string')
+        else if (f.id !== undefined && seenIds.has(f.id)) fieldErrors.push(`duplicate id "${f.id}"`)
+        if (typeof f.id === 'string') seenIds.add(f.id)
+
+        const page = f.page === undefined ? 0 : f.page
+        if (!Number.isInteger(page) || page < 0) {
+            errors.push(`${label}: page must be a non-negative integer`)
+            return
+        }
+        if (page >= pageSizes.length) {
+            errors.push(`${label}: page ${page + 1} does not exist (document has ${pageSizes.length} page${pageSizes.length === 1 ? '' : 's'})`)
+            return
+        }
+        const { width, height } = pageSizes[page]
+        const sourceSize = sourcePages[page] || (page === 0 ? imageSize : null)
+        const sameSize = !sourceSize || (sourceSize.width === width && sourceSize.height === height)
+
+        // Anchors carry no type or rules; tables carry their columns and rows instead
+        const { props, errors: ruleErrors } =
+            kind === 'anchor' ? { props: { kind }, errors: [] } : kind === 'table' ? parseTable(f, height) : parseFieldRules(f)
+        fieldErrors.push(...ruleErrors)
+
+        const pixels = readRect(f.pixels, 'pixels', fieldErrors)
+        const percent = readRect(f.percent, 'percent', fieldErrors)
+
+        let rect = null
+        if (sameSize && pixels) {
+            rect = pixels
+        } else if (percent) {
+            rect = toPixels(percent, { width, height })
+        } else if (pixels) {
+            const kx = width / sourceSize.width
+            const ky = height / sourceSize.height
+            rect = { x: pixels.x * kx, y: pixels.y * ky, width: pixels.width * kx, height: pixels.height * ky }
+        } else if (f.pixels === undefined && f.percent === undefined) {
+            fieldErrors.push('needs "pixels" or "percent" coordinates')
+        }
+
+        // A field's shape places it more exactly than its bounding box
+        let shapeProps = {}
+        if (kind === 'field' && f.shape !== undefined) {
+            const shaped = parseShape(f.shape, { width, height }, sourceSize, sameSize)
+            fieldErrors.push(...shaped.errors)
+            if (shaped.rect) rect = shaped.rect
+            shapeProps = shaped.props
+        }
+
+        const addBox = ({ x, y, w, h, ...shaped }) => {
+            const box = { id: f.id || crypto.randomUUID(), x, y, w, h, name: f.name || '', page, ...props, ...shaped }
+            boxes.push(box)
+            if (Number.isInteger(f.order)) orders.set(box, f.order)
+        }
+        const outside = `lies outside the ${width}x${height} image`
+        if (rect && shapeProps.shape) {
+            // Clipping the frame would distort the shape; fit the shape itself to the image instead
+            const fitted = fitShape({ x: rect.x, y: rect.y, w: rect.width, h: rect.height, ...shapeProps }, { width, height })
+            if (!fitted) fieldErrors.push(outside)
+            else if (!fieldErrors.length) addBox(fitted)
+        } else if (rect) {
+            // Snap to whole pixels and clip to the image
+            const x = Math.max(0, Math.min(width, Math.round(rect.x)))
+            const y = Math.max(0, Math.min(height, Math.round(rect.y)))
+            const r = Math.max(0, Math.min(width, Math.round(rect.x + rect.width)))
+            const btm = Math.max(0, Math.min(height, Math.round(rect.y + rect.height)))
+            if (r <= x || btm <= y) fieldErrors.push(outside)
+            else if (!fieldErrors.length) addBox({ x, y, w: r - x, h: btm - y })
+        }
+
+        fieldErrors.forEach((msg) => errors.push(`${label}: ${msg}`))
+    }
+    data.fields.forEach((f, i) => parseEntry(f, i, 'field'))
+    ;(data.anchors || []).forEach((f, i) => parseEntry(f, i, 'anchor'))
+    ;(data.tables || []).forEach((f, i) => parseEntry(f, i, 'table'))
+
+    if (errors.length) return { boxes: [], errors }
+    // Boxes with an order first, in that order; the rest keep their place in the file (fields, anchors, tables)
+    const rank = (b) => orders.get(b) ?? Number.MAX_SAFE_INTEGER
+    return { boxes: [...boxes].sort((a, b) => rank(a) - rank(b)), errors: [] }
+}
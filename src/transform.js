@@ -0,0 +1,212 @@
+// Page image transforms: rotate the original page about its center, then optionally crop.
+//   { rotation, crop }
+//   rotation: degrees clockwise; the rotated page is enlarged to fit the whole original, corners filled white
+//   crop:     { x, y, w, h } in pixels of the rotated page, or null
+// Boxes are always in pixels of the transformed page, so changing a transform maps them along (see mapBox).
+import { frameCenter, turnShape } from './shapes.js'
+
+export const IDENTITY_TRANSFORM = { rotation: 0, crop: null }
+
+const round6 = (v) => +v.toFixed(6)
+
+const radians = (deg) => (deg * Math.PI) / 180
+
+// Angle in (-180, 180], to 0.01 degree
+export const normalizeRotation = (deg) => {
+    const r = ((deg % 360) + 360) % 360
+    return Math.round((r > 180 ? r - 360 : r) * 100) / 100
+}
+
+export const isIdentity = (t) => !t || (!t.rotation && !t.crop)
+
+// Nearest multiple of 90 degrees and the fine angle left over
+export const splitRotation = (rotation) => {
+    const quarter = Math.round(rotation / 90) * 90
+    return { quarter: normalizeRotation(quarter), fine: Math.round((rotation - quarter) * 100) / 100 }
+}
+
+// Size of the page after rotation only
+export const rotatedSize = ({ width, height }, rotation) => {
+    const a = radians(rotation)
+    const cos = Math.abs(Math.cos(a))
+    const sin = Math.abs(Math.sin(a))
+    return { width: Math.round(width * cos + height * sin), height: Math.round(width * sin + height * cos) }
+}
+
+// Size of the page after the whole transform
+export const transformedSize = (size, t) => (t?.crop ? { width: t.crop.w, height: t.crop.h } : rotatedSize(size, t?.rotation || 0))
+
+// Affine matrix [a, b, c, d, e, f] from original pixels to transformed page pixels,
+// in canvas setTransform order: x' = a * x + c * y + e, y' = b * x + d * y + f
+export const transformMatrix = (size, t) => {
+    const a = radians(t?.rotation || 0)
+    const cos = Math.cos(a)
+    const sin = Math.sin(a)
+    const rotated = rotatedSize(size, t?.rotation || 0)
+    const cx = size.width / 2
+    const cy = size.height / 2
+    const e = rotated.width / 2 - (t?.crop?.x || 0) - (cos * cx - sin * cy)
+    const f = rotated.height / 2 - (t?.crop?.y || 0) - (sin * cx + cos * cy)
+    return [cos, sin, -sin, cos, e, f].map(round6)
+}
+
+// Original pixel -> transformed page pixel
+export const toPage = (pt, size, t) => {
+    const [a, b, c, d, e, f] = transformMatrix(size, t)
+    return { x: a * pt.x + c * pt.y + e, y: b * pt.x + d * pt.y + f }
+}
+
+// Transformed page pixel -> original pixel
+export const toSource = (pt, size, t) => {
+    const [a, b, c, d, e, f] = transformMatrix(size, t)
+    const x = pt.x - e
+    const y = pt.y - f
+    // The matrix is a rotation, so its inverse is its transpose
+    return { x: a * x + b * y, y: c * x + d * y }
+}
+
+// Move a box from one transform of its page to another. The box center follows the image and the size is kept,
+// swapped for an odd number of quarter turns; it is then kept inside the new page. Rotated rectangles and polygons
+// turn with the page (see turnShape). Table dividers stay relative to the box.
+export const mapBox = (box, size, from, to) => {
+    const turned = turnShape(box, (to?.rotation || 0) - (from?.rotation || 0))
+    const moved = toPage(toSource(frameCenter(box), size, from), size, to)
+    // A turned polygon's frame is not centered where the old one was
+    const center = { x: moved.x + frameCenter(turned).x - frameCenter(box).x, y: moved.y + frameCenter(turned).y - frameCenter(box).y }
+    const page = transformedSize(size, to)
+    const w = Math.min(page.width, turned.w)
+    const h = Math.min(page.height, turned.h)
+    return {
+        ...turned,
+        x: Math.max(0, Math.min(page.width - w, Math.round(center.x - w / 2))),
+        y: Math.max(0, Math.min(page.height - h, Math.round(center.y - h / 2))),
+        w,
+        h,
+    }
+}
+
+// The same transform with another rotation; a crop moves with the image like a box does
+export const withRotation = (size, t, rotation) => {
+    const next = normalizeRotation(rotation)
+    const from = { rotation: t?.rotation || 0, crop: null }
+    const to = { rotation: next, crop: null }
+    return { rotation: next, crop: t?.crop ? mapBox(t.crop, size, from, to) : null }
+}
+
+// Export form of a non-identity transform, so a pipeline can reproduce the page from the original image.
+// `matrix` maps original pixels to page pixels (x' = a * x + c * y + e, y' = b * x + d * y + f).
+export const serializeTransform = (size, t) => ({
+    rotation: t.rotation || 0,
+    crop: t.crop ? { x: t.crop.x, y: t.crop.y, width: t.crop.w, height: t.crop.h } : null,
+    source: { width: size.width, height: size.height },
+    matrix: transformMatrix(size, t),
+})
+
+// Read an exported transform back: the transform in editor form and the size of the original page
+export const parseTransform = (t) => ({
+    transform: { rotation: normalizeRotation(t.rotation || 0), crop: t.crop ? { x: t.crop.x, y: t.crop.y, w: t.crop.width, h: t.crop.height } : null },
+    source: t.source,
+})
+
+// Render an image with a transform to a new canvas
+export const renderTransformed = (img, t) => {
+    const size = { width: img.naturalWidth, height: img.naturalHeight }
+    const { width, height } = transformedSize(size, t)
+    const canvas = document.createElement('canvas')
+    canvas.width = width
+    canvas.height = height
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = '#fff'
+    ctx.fillRect(0, 0, width, height)
+    ctx.setTransform(...transformMatrix(size, t))
+    ctx.drawImage(img, 0, 0)
+    return canvas
+}
+
+// Convert a rendered canvas into an HTMLImageElement so it can stand in for an uploaded image
+export const canvasToImage = (canvas) =>
+    new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error('Failed to rasterize the page'))
+                return
+            }
+            const img = new Image()
+            img.onload = () => resolve(img)
+            img.onerror = () => reject(new Error('Failed to load the rasterized page'))
+            img.src = URL.createObjectURL(blob)
+        }, 'image/png')
+    })
+
+// Dark pixels of a grayscale image { data, width, height } as a flat [x0, y0, x1, y1, ...] list
+const darkPixels = ({ data, width, height }, threshold) => {
+    const points = []
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) if (data[y * width + x] < threshold) points.push(x, y)
+    }
+    return points
+}
+
+// Spread of the row profile of the points rotated by `deg`: largest when text lines are level
+const profileScore = (points, deg, height) => {
+    const a = radians(deg)
+    const sin = Math.sin(a)
+    const cos = Math.cos(a)
+    const offset = height
+    const bins = new Float64Array(height * 3)
+    for (let i = 0; i < points.length; i += 2) {
+        const y = Math.round(points[i] * sin + points[i + 1] * cos) + offset
+        if (y >= 0 && y < bins.length) bins[y]++
+    }
+    let score = 0
+    for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i]
+    return score
+}
+
+// Rotation (degrees clockwise, within ±maxAngle) that levels the text lines of a grayscale page,
+// found by maximizing the spread of its horizontal projection profile. Coarse search, then refinement.
+export const estimateSkew = (gray, { maxAngle = 5, threshold = 128 } = {}) => {
+    const points = darkPixels(gray, threshold)
+    if (!points.length) return 0
+    const search = (from, to, step) => {
+        let best = { angle: 0, score: -1 }
+        for (let angle = from; angle <= to + 1e-9; angle += step) {
+            const score = profileScore(points, angle, gray.height)
+            if (score > best.score) best = { angle, score }
+        }
+        return best.angle
+    }
+    const coarse = search(-maxAngle, maxAngle, 0.5)
+    return Math.round(search(coarse - 0.5, coarse + 0.5, 0.05) * 100) / 100
+}
+
+// Bounding rectangle { x, y, w, h } of the page content in a grayscale image, or null for a blank page.
+// Rows and columns that are mostly dark (scanner borders) or almost empty (specks) are not content.
+export const contentBounds = ({ data, width, height }, { threshold = 128, margin = 0.01 } = {}) => {
+    const dark = (x, y) => data[y * width + x] < threshold
+    const range = (length, crossFrom, crossTo, isDark) => {
+        const span = crossTo - crossFrom
+        const min = Math.max(1, span * 0.002)
+        let first = -1
+        let last = -1
+        for (let i = 0; i < length; i++) {
+            let count = 0
+            for (let j = crossFrom; j < crossTo; j++) if (isDark(i, j)) count++
+            if (count >= min && count <= span * 0.6) {
+                if (first === -1) first = i
+                last = i
+            }
+        }
+        return first === -1 ? null : [first, last]
+    }
+    const cols = range(width, 0, height, (x, y) => dark(x, y))
+    if (!cols) return null
+    const rows = range(height, cols[0], cols[1] + 1, (y, x) => dark(x, y))
+    if (!rows) return null
+    // Columns once more, counting only the content rows
+    const inner = range(width, rows[0], rows[1] + 1, (x, y) => dark(x, y)) || cols
+    const pad = Math.round(margin * width)
+    const x = Math.max(0, inner[0] - pad)
+    const y = Math.max(0, rows[0] - pad)
+    return { x, y, w: Math.min(width, inner[1] + 1 + pad) - x, h: Math.min(height, rows[1] + 1 + pad) - y }
+}
@@ -0,0 +1,97 @@
+import { useCallback, useState } from 'react'
+
+// Maximum number of undo steps kept in memory
+const HISTORY_LIMIT = 200
+
+const resolve = (updater, prev) => (typeof updater === 'function' ? updater(prev) : updater)
+
+// Undo/redo history around a single state value.
+// Every change goes through `set` (one undoable step) or `setTransient` (no step, e.g. while dragging).
+// Steps committed with the same `merge` key back to back collapse into one, so typing a name is a single undo.
+export default function useHistory(initial) {
+    const [history, setHistory] = useState({ past: [], present: initial, future: [], mergeKey: null })
+
+    const set = useCallback((updater, { merge = null } = {}) => {
+        setHistory((h) => {
+            const next = resolve(updater, h.present)
+            if (next === h.present) return h
+            if (merge && merge === h.mergeKey) {
+                return { ...h, present: next, future: [] }
+            }
+            return {
+                past: [...h.past, h.present].slice(-HISTORY_LIMIT),
+                present: next,
+                future: [],
+                mergeKey: merge,
+            }
+        })
+    }, [])
+
+    const setTransient = useCallback((updater) => {
+        setHistory((h) => {
+            const next = resolve(updater, h.present)
+            return next === h.present ? h : { ...h, present: next }
+        })
+    }, [])
+
+    // Record `before` as the undo step for changes already applied with setTransient
+    const record = useCallback((before) => {
+        setHistory((h) => {
+            if (before === h.present) return h
+            return {
+                past: [...h.past, before].slice(-HISTORY_LIMIT),
+                present: h.present,
+                future: [],
+                mergeKey: null,
+            }
+        })
+    }, [])
+
+    const undo = useCallback(() => {
+        setHistory((h) => {
+            if (h.past.length === 0) return h
+            return {
+                past: h.past.slice(0, -1),
+                present: h.past[h.past.length - 1],
+                future: [h.present, ...h.future],
+                mergeKey: null,
+            }
+        })
+    }, [])
+
+    const redo = useCallback(() => {
+        setHistory((h) => {
+            if (h.future.length === 0) return h
+            return {
+                past: [...h.past, h.present],
+                present: h.future[0],
+                future: h.future.slice(1),
+                mergeKey: null,
+            }
+        })
+    }, [])
+
+    // Apply a change made elsewhere (e.g. by a collaborator) to every step, without adding one,
+    // so undo and redo only take back local edits
+    const rebase = useCallback((updater) => {
+        setHistory((h) => ({ ...h, past: h.past.map(updater), present: updater(h.present), future: h.future.map(updater) }))
+    }, [])
+
+    // Replace the state and drop all history (e.g. when loading saved state)
+    const reset = useCallback((value) => {
+        setHistory({ past: [], present: value, future: [], mergeKey: null })
+    }, [])
+
+    return {
+        state: history.present,
+        set,
+        setTransient,
+        record,
+        undo,
+        redo,
+        reset,
+        rebase,
+        canUndo: history.past.length > 0,
+        canRedo: history.future.length > 0,
+    }
+}
@@ -0,0 +1,108 @@
+// Validation of template text as shown in the editor's JSON panel and read by the command-line tool: import errors,
+// schema and template checks (schema.js) and outdated versions, each tied to the line it starts on (JSON templates
+// only) and to the box it concerns, so the editor can point at both.
+import { importTemplateAs } from './formats.js'
+import { templateVersion } from './migrations.js'
+import { TEMPLATE_VERSION, checkTemplate } from './schema.js'
+
+const escapePointer = (key) => String(key).replace(/~/g, '~0').replace(/\//g, '~1')
+
+// Line (from 1) on which each value of a JSON text starts, by JSON Pointer. The text must be valid JSON.
+export const pointerLines = (text) => {
+    const lines = new Map()
+    let pos = 0
+    let line = 1
+    const skipSpace = () => {
+        while (pos < text.length && /\s/.test(text[pos])) {
+            if (text[pos] === '\n') line++
+            pos++
+        }
+    }
+    const readString = () => {
+        const start = pos++
+        while (text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1
+        pos++
+        return JSON.parse(text.slice(start, pos))
+    }
+    const readValue = (pointer) => {
+        skipSpace()
+        lines.set(pointer, line)
+        const open = text[pos]
+        if (open === '"') {
+            readString()
+        } else if (open === '{' || open === '[') {
+            const close = open === '{' ? '}' : ']'
+            pos++
+            skipSpace()
+            for (let i = 0; text[pos] !== close; i++) {
+                if (i) {
+                    pos++ // ,
+                    skipSpace()
+                }
+                let key = i
+                if (open === '{') {
+                    key = readString()
+                    skipSpace()
+                    pos++ // :
+                }
+                readValue(`${pointer}/${escapePointer(key)}`)
+                skipSpace()
+            }
+            pos++
+        } else {
+            while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++
+        }
+    }
+    readValue('')
+    return lines
+}
+
+// Line of a JSON parse error, from the "position N" V8 puts in its messages
+const errorLine = (text, message) => {
+    const match = /position (\d+)/.exec(message)
+    return match ? text.slice(0, +match[1]).split('\n').length : null
+}
+
+// Problems with template text in the given format, as { level: 'error' | 'warning', path, label, message, line, boxId }.
+// `path` is a JSON Pointer into the (migrated) template, `line` is null when unknown and `boxId` is the id of the
+// field, anchor or table the problem is in, if it has one.
+export const validateTemplateText = (formatId, text) => {
+    if (!text.trim()) return []
+    let data
+    try {
+        data = importTemplateAs(formatId, text)
+    } catch (err) {
+        const line = formatId === 'template' ? errorLine(text, err.message) : null
+        return [{ level: 'error', path: '', label: '', message: err.message, line, boxId: null }]
+    }
+
+    const lines = formatId === 'template' ? pointerLines(text) : new Map()
+    // The nearest enclosing value that is in the text (migration may add properties that are not)
+    const lineOf = (path) => {
+        for (let p = path; ; p = p.slice(0, p.lastIndexOf('/'))) {
+            if (lines.has(p)) return lines.get(p)
+            if (!p) return null
+        }
+    }
+    const boxIdOf = (path) => {
+        const [, key, index] = path.split('/')
+        const id = ['fields', 'anchors', 'tables'].includes(key) ? data[key]?.[index]?.id : undefined
+        return typeof id === 'string' ? id : null
+    }
+    const problem = (level) => (p) => ({ level, path: p.path, label: p.label, message: p.message, line: lineOf(p.path), boxId: boxIdOf(p.path) })
+
+    const { errors, warnings } = checkTemplate(data)
+    const problems = [...errors.map(problem('error')), ...warnings.map(problem('warning'))]
+    const version = formatId === 'template' ? templateVersion(JSON.parse(text)) : TEMPLATE_VERSION
+    if (version < TEMPLATE_VERSION) {
+        problems.push({
+            level: 'warning',
+            path: '/schemaVersion',
+            label: '',
+            message: `uses schema version ${version}, which is migrated to ${TEMPLATE_VERSION} when read; export it again to upgrade it`,
+            line: lines.get('/schemaVersion') ?? 1,
+            boxId: null,
+        })
+    }
+    return problems
+}
@@ -0,0 +1,54 @@
+// Compare mode against a document's own export: nothing may show up as changed
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { diffBoxes } from '../src/diff.js'
+import { exportTemplateAs, importTemplateAs } from '../src/formats.js'
+import { buildTemplate, parseTemplate } from '../src/template.js'
+
+const pages = [{ width: 1000, height: 800 }]
+
+// One of each kind and shape, some with their type and rules left unset as the editor leaves them
+const boxes = [
+    { id: 'name', x: 10, y: 10, w: 100, h: 20, name: 'First Name', page: 0 },
+    { id: 'date', x: 10, y: 50, w: 100, h: 20, name: 'Date', page: 0, type: 'date', required: true, dateFormat: 'YYYY-MM-DD' },
+    { id: 'logo', x: 300, y: 10, w: 50, h: 50, name: '', page: 0, kind: 'anchor', type: 'number', required: true },
+    {
+        id: 'items',
+        x: 10,
+        y: 300,
+        w: 400,
+        h: 200,
+        name: 'Items',
+        page: 0,
+        kind: 'table',
+        columns: [{ name: 'Item' }, { name: 'Price' }],
+        colStops: [0.7],
+        rowStops: [0.5],
+    },
+    { id: 'stamp', x: 500, y: 500, w: 20, h: 20, name: 'Stamp', page: 0, shape: 'point' },
+    { id: 'slant', x: 600, y: 100, w: 120, h: 30, name: 'Slant', page: 0, shape: 'rotated-rect', angle: 12 },
+    {
+        id: 'area',
+        x: 600,
+        y: 300,
+        w: 100,
+        h: 80,
+        name: 'Area',
+        page: 0,
+        shape: 'polygon',
+        points: [
+            [0, 0],
+            [1, 0.25],
+            [0.5, 1],
+        ],
+    },
+]
+
+test('a document diffed against its own export is unchanged', () => {
+    const text = exportTemplateAs('template', buildTemplate(boxes, { name: 'form.png', pages }))[0].content
+    const { boxes: exported, errors } = parseTemplate(importTemplateAs('template', text), pages)
+    assert.deepEqual(errors, [])
+    const changes = diffBoxes(boxes, exported)
+    assert.equal(changes.length, boxes.length)
+    changes.forEach((c) => assert.equal(c.status, 'unchanged', `${c.after?.id || c.before?.id} is ${c.status}`))
+})
@@ -0,0 +1,35 @@
+// Exchange formats read back what they write for the boxes they support
+import assert from 'node:assert/strict'
+import { test } from 'node:test'
+import { exportTemplateAs, importTemplateAs } from '../src/formats.js'
+import { buildTemplate, parseTemplate } from '../src/template.js'
+
+const pages = [{ width: 1000, height: 800 }]
+
+const roundTrip = (formatId, boxes) => {
+    const [file] = exportTemplateAs(formatId, buildTemplate(boxes, { name: 'form.png', pages }))
+    const { boxes: imported, errors } = parseTemplate(importTemplateAs(formatId, file.content), pages)
+    assert.deepEqual(errors, [])
+    return new Map(imported.map((b) => [b.id, b]))
+}
+
+test('COCO keeps field types and required flags', () => {
+    const imported = roundTrip('coco', [
+        { id: 'date', x: 10, y: 50, w: 100, h: 20, name: 'Date', page: 0, type: 'date', required: true },
+        { id: 'total', x: 10, y: 90, w: 100, h: 20, name: 'Total', page: 0, type: 'number', required: false },
+    ])
+    assert.equal(imported.get('date').type, 'date')
+    assert.equal(imported.get('date').required, true)
+    assert.equal(imported.get('total').type, 'number')
+    assert.equal(imported.get('total').required, false)
+})
+
+test('COCO keeps point shapes', () => {
+    const imported = roundTrip('coco', [
+        { id: 'stamp', x: 500, y: 500, w: 20, h: 20, name: 'Stamp', page: 0, shape: 'point' },
+        { id: 'name', x: 10, y: 10, w: 100, h: 20, name: 'First Name', page: 0 },
+    ])
+    const { x, y, w, h, shape } = imported.get('stamp')
+    assert.deepEqual({ x, y, w, h, shape }, { x: 500, y: 500, w: 20, h: 20, shape: 'point' })
+    assert.equal(imported.get('name').shape, undefined)
+})
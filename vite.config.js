@@ -1,7 +1,63 @@
+import { readFileSync } from 'node:fs'
+import { createRequire } from 'node:module'
+import { dirname, join } from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { TEMPLATE_SCHEMA } from './src/schema.js'
+
+const require = createRequire(import.meta.url)
+const packageDir = (name) => dirname(require.resolve(`${name}/package.json`))
+
+// OCR worker, WASM cores and English language data, served from the app under /tesseract/ so OCR works offline
+const OCR_ASSETS = {
+  'tesseract/worker.min.js': join(packageDir('tesseract.js'), 'dist/worker.min.js'),
+  ...Object.fromEntries(
+    ['lstm', 'simd-lstm', 'relaxedsimd-lstm'].map((variant) => [
+      `tesseract/core/tesseract-core-${variant}.wasm.js`,
+      join(packageDir('tesseract.js-core'), `tesseract-core-${variant}.wasm.js`),
+    ]),
+  ),
+  'tesseract/lang/eng.traineddata.gz': join(packageDir('@tesseract.js-data/eng'), '4.0.0_best_int/eng.traineddata.gz'),
+}
+
+const ocrAssets = () => ({
+  name: 'ocr-assets',
+  configureServer(server) {
+    server.middlewares.use((req, res, next) => {
+      const path = (req.url || '').split('?')[0].slice(server.config.base.length)
+      const file = OCR_ASSETS[path]
+      if (!file) return next()
+      res.setHeader('Content-Type', path.endsWith('.js') ? 'text/javascript' : 'application/octet-stream')
+      res.end(readFileSync(file))
+    })
+  },
+  generateBundle() {
+    Object.entries(OCR_ASSETS).forEach(([fileName, file]) => {
+      this.emitFile({ type: 'asset', fileName, source: readFileSync(file) })
+    })
+  },
+})
+
+// JSON Schema of exported templates, published next to the app for downstream parsers
+const SCHEMA_FILE = 'template.schema.json'
+
+const templateSchema = () => ({
+  name: 'template-schema',
+  configureServer(server) {
+    server.middlewares.use((req, res, next) => {
+      if ((req.url || '').split('?')[0] !== `${server.config.base}${SCHEMA_FILE}`) return next()
+      res.setHeader('Content-Type', 'application/schema+json')
+      res.end(JSON.stringify(TEMPLATE_SCHEMA, null, 2))
+    })
+  },
+  generateBundle() {
+    this.emitFile({ type: 'asset', fileName: SCHEMA_FILE, source: `${JSON.stringify(TEMPLATE_SCHEMA, null, 2)}\n` })
+  },
+})
 
 // https://vite.dev/config/
+// The build is the editor alone; the canvas rendering benchmark (benchmark.html) is served by the dev server only,
+// at /benchmark.html
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ocrAssets(), templateSchema()],
 })